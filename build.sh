@@ -108,9 +108,9 @@ EMFLAGS=(
     "-s" "INITIAL_MEMORY=67108864"     # 64MB initial
     "-s" "MAXIMUM_MEMORY=536870912"    # 512MB max
     "-s" "FORCE_FILESYSTEM=1"
-    "-s" "EXPORTED_RUNTIME_METHODS=['FS','UTF8ToString','stringToUTF8','lengthBytesUTF8','ccall','cwrap']"
+    "-s" "EXPORTED_RUNTIME_METHODS=['FS','UTF8ToString','stringToUTF8','lengthBytesUTF8','ccall','cwrap','HEAPU8']"
     "-s" "USE_SQLITE3=1"
-    "-s" "EXPORTED_FUNCTIONS=['_malloc','_free','_ipod_set_mountpoint','_ipod_get_mountpoint','_ipod_parse_db','_ipod_init_new','_ipod_write_db','_ipod_close_db','_ipod_is_db_loaded','_ipod_get_track_count','_ipod_get_track_json','_ipod_get_all_tracks_json','_ipod_free_string','_ipod_add_track','_ipod_track_set_path','_ipod_track_finalize','_ipod_finalize_last_track','_ipod_finalize_last_track_no_stat','_ipod_get_track_dest_path','_ipod_remove_track','_ipod_update_track','_ipod_device_supports_artwork','_ipod_track_set_artwork_from_data','_ipod_get_playlist_count','_ipod_get_playlist_json','_ipod_get_all_playlists_json','_ipod_get_playlist_tracks_json','_ipod_create_playlist','_ipod_delete_playlist','_ipod_rename_playlist','_ipod_playlist_add_track','_ipod_playlist_remove_track','_ipod_path_to_ipod_format','_ipod_path_to_fs_format','_ipod_get_last_error','_ipod_clear_error','_ipod_get_device_info_json']"
+    "-s" "EXPORTED_FUNCTIONS=['_malloc','_free','_ipod_set_mountpoint','_ipod_get_mountpoint','_ipod_parse_db','_ipod_init_new','_ipod_write_db','_ipod_close_db','_ipod_is_db_loaded','_ipod_get_track_count','_ipod_get_track_json','_ipod_get_all_tracks_json','_ipod_free_string','_ipod_add_track','_ipod_track_set_path','_ipod_track_replace_file','_ipod_track_finalize','_ipod_finalize_last_track','_ipod_finalize_last_track_no_stat','_ipod_get_track_dest_path','_ipod_remove_track','_ipod_update_track','_ipod_update_track_sort_fields','_ipod_track_set_soundcheck','_ipod_track_set_lyrics_flag','_ipod_track_set_gapless','_ipod_track_set_gapless_album','_ipod_device_supports_artwork','_ipod_get_artwork_formats_json','_ipod_track_set_artwork_from_data','_ipod_track_share_artwork','_ipod_track_get_artwork_rgba','_ipod_track_remove_artwork','_ipod_get_playlist_count','_ipod_get_playlist_json','_ipod_get_all_playlists_json','_ipod_get_playlist_tracks_json','_ipod_create_playlist','_ipod_delete_playlist','_ipod_rename_playlist','_ipod_playlist_add_track','_ipod_playlist_remove_track','_ipod_playlist_move_entry','_ipod_create_smart_playlist','_ipod_spl_set_prefs','_ipod_spl_clear_rules','_ipod_spl_add_rule','_ipod_spl_update','_ipod_get_playlist_rules_json','_ipod_path_to_ipod_format','_ipod_path_to_fs_format','_ipod_get_last_error','_ipod_clear_error','_ipod_get_device_info_json']"
     "-s" "NO_EXIT_RUNTIME=1"
     "-s" "ASYNCIFY=1"
     "-s" "EMULATE_FUNCTION_POINTER_CASTS=1"
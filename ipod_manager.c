@@ -112,6 +112,19 @@ static int escape_json_string(char *dest, const char *src, size_t max_len) {
             *dst++ = 'r';
             s++;
             remaining -= 2;
+        } else if (*s == '\t') {
+            if (remaining < 2) break;
+            *dst++ = '\\';
+            *dst++ = 't';
+            s++;
+            remaining -= 2;
+        } else if ((unsigned char)*s < 0x20) {
+            /* Other control characters (free-text fields like comment) */
+            if (remaining < 6) break;
+            snprintf(dst, 7, "\\u%04x", (unsigned char)*s);
+            dst += 6;
+            s++;
+            remaining -= 6;
         } else {
             *dst++ = *s++;
             remaining--;
@@ -400,6 +413,25 @@ int ipod_init_new(const char *model_number, const char *ipod_name) {
     return ipod_parse_db();
 }
 
+/*
+ * Whether libgpod can write every rule of a smart playlist.  Rules it has no
+ * field or action type for (from a newer iTunes, or a damaged database) make
+ * itdb_write() fail or write garbage.
+ */
+static gboolean spl_rules_writable(Itdb_Playlist *pl) {
+    for (GList *l = pl->splrules.rules; l != NULL; l = l->next) {
+        Itdb_SPLRule *splr = (Itdb_SPLRule *)l->data;
+        if (!splr)
+            continue;
+        if (itdb_splr_get_field_type(splr) == ITDB_SPLFT_UNKNOWN)
+            return FALSE;
+        ItdbSPLActionType type = itdb_splr_get_action_type(splr);
+        if (type == ITDB_SPLAT_UNKNOWN || type == ITDB_SPLAT_INVALID)
+            return FALSE;
+    }
+    return TRUE;
+}
+
 /**
  * Write/save the iTunesDB back to the iPod
  */
@@ -430,6 +462,14 @@ int ipod_write_db(void) {
         sanitize_field_if_needed(&track->artist, "artist", track->id);
         sanitize_field_if_needed(&track->album, "album", track->id);
         sanitize_field_if_needed(&track->genre, "genre", track->id);
+        sanitize_field_if_needed(&track->albumartist, "albumartist", track->id);
+        sanitize_field_if_needed(&track->composer, "composer", track->id);
+        sanitize_field_if_needed(&track->comment, "comment", track->id);
+        sanitize_field_if_needed(&track->sort_title, "sort_title", track->id);
+        sanitize_field_if_needed(&track->sort_artist, "sort_artist", track->id);
+        sanitize_field_if_needed(&track->sort_album, "sort_album", track->id);
+        sanitize_field_if_needed(&track->sort_albumartist, "sort_albumartist", track->id);
+        sanitize_field_if_needed(&track->sort_composer, "sort_composer", track->id);
         sanitize_field_if_needed(&track->filetype, "filetype", track->id);
         sanitize_field_if_needed(&track->ipod_path, "ipod_path", track->id);
     }
@@ -491,14 +531,23 @@ int ipod_write_db(void) {
 
     log_info("Writing iTunesDB...");
     
-    // Disable smart playlists to prevent validation issues
+    // Smart playlists used to be flattened here (is_spl cleared on all of them)
+    // to dodge write failures, which dropped their rules from the iPod.  Only the
+    // playlists with rules libgpod can't write are flattened now; they keep their
+    // current tracks as a regular playlist.
     for (GList *l = g_itdb->playlists; l != NULL; l = l->next) {
         Itdb_Playlist *pl = (Itdb_Playlist *)l->data;
-        if (pl && pl->is_spl) {
+        if (pl && pl->is_spl && !spl_rules_writable(pl)) {
+            log_info("Warning: Smart playlist %s has rules that can't be written; saving it as a regular playlist",
+                     pl->name ? pl->name : "Unknown");
             pl->is_spl = FALSE;
         }
     }
 
+    // Re-evaluate smart playlists so their members match the current library.
+    // Rules and preferences are written as-is so live updating works on the iPod.
+    itdb_spl_update_all(g_itdb);
+
     if (!itdb_write(g_itdb, &error)) {
         if (error) {
             set_error("Failed to write iTunesDB: %s", error->message);
@@ -566,21 +615,32 @@ char* ipod_get_track_json(int index) {
     }
 
     /* Build JSON string - escape special characters */
-    char *json = (char *)malloc(8192);
+    char *json = (char *)malloc(16384);
     if (!json) return NULL;
 
     char title_esc[512] = "", artist_esc[512] = "", album_esc[512] = "";
     char genre_esc[256] = "", path_esc[1024] = "";
+    char albumartist_esc[512] = "", composer_esc[512] = "", comment_esc[1024] = "";
+    char sort_title_esc[512] = "", sort_artist_esc[512] = "", sort_album_esc[512] = "";
+    char sort_albumartist_esc[512] = "", sort_composer_esc[512] = "";
 
     escape_json_string(title_esc, track->title, sizeof(title_esc));
     escape_json_string(artist_esc, track->artist, sizeof(artist_esc));
     escape_json_string(album_esc, track->album, sizeof(album_esc));
     escape_json_string(genre_esc, track->genre, sizeof(genre_esc));
     escape_json_string(path_esc, track->ipod_path, sizeof(path_esc));
+    escape_json_string(albumartist_esc, track->albumartist, sizeof(albumartist_esc));
+    escape_json_string(composer_esc, track->composer, sizeof(composer_esc));
+    escape_json_string(comment_esc, track->comment, sizeof(comment_esc));
+    escape_json_string(sort_title_esc, track->sort_title, sizeof(sort_title_esc));
+    escape_json_string(sort_artist_esc, track->sort_artist, sizeof(sort_artist_esc));
+    escape_json_string(sort_album_esc, track->sort_album, sizeof(sort_album_esc));
+    escape_json_string(sort_albumartist_esc, track->sort_albumartist, sizeof(sort_albumartist_esc));
+    escape_json_string(sort_composer_esc, track->sort_composer, sizeof(sort_composer_esc));
 
     /* NOTE: "id" is the track INDEX in the list, not track->id
      * This is because track->id is 0 for newly added tracks until itdb_write() */
-    snprintf(json, 8192,
+    snprintf(json, 16384,
         "{"
         "\"id\":%d,"
         "\"dbid\":%llu,"
@@ -588,17 +648,32 @@ char* ipod_get_track_json(int index) {
         "\"artist\":\"%s\","
         "\"album\":\"%s\","
         "\"genre\":\"%s\","
+        "\"albumartist\":\"%s\","
+        "\"composer\":\"%s\","
+        "\"comment\":\"%s\","
+        "\"sort_title\":\"%s\","
+        "\"sort_artist\":\"%s\","
+        "\"sort_album\":\"%s\","
+        "\"sort_albumartist\":\"%s\","
+        "\"sort_composer\":\"%s\","
         "\"track_nr\":%d,"
+        "\"tracks\":%d,"
         "\"cd_nr\":%d,"
+        "\"cds\":%d,"
         "\"year\":%d,"
+        "\"bpm\":%d,"
+        "\"compilation\":%s,"
         "\"tracklen\":%d,"
         "\"bitrate\":%d,"
         "\"samplerate\":%u,"
         "\"size\":%d,"
         "\"playcount\":%u,"
         "\"rating\":%u,"
+        "\"soundcheck\":%u,"
+        "\"gapless_album\":%s,"
         "\"ipod_path\":\"%s\","
-        "\"transferred\":%s"
+        "\"transferred\":%s,"
+        "\"has_artwork\":%s"
         "}",
         index,  /* Use index instead of track->id */
         (unsigned long long)track->dbid,
@@ -606,17 +681,32 @@ char* ipod_get_track_json(int index) {
         artist_esc,
         album_esc,
         genre_esc,
+        albumartist_esc,
+        composer_esc,
+        comment_esc,
+        sort_title_esc,
+        sort_artist_esc,
+        sort_album_esc,
+        sort_albumartist_esc,
+        sort_composer_esc,
         track->track_nr,
+        track->tracks,
         track->cd_nr,
+        track->cds,
         track->year,
+        (int)track->BPM,
+        track->compilation ? "true" : "false",
         track->tracklen,
         track->bitrate,
         track->samplerate,
         track->size,
         track->playcount,
         track->rating,
+        track->soundcheck,
+        track->gapless_album_flag ? "true" : "false",
         path_esc,
-        track->transferred ? "true" : "false"
+        track->transferred ? "true" : "false",
+        itdb_track_has_thumbnails(track) ? "true" : "false"
     );
 
     return json;
@@ -647,9 +737,10 @@ char* ipod_get_all_tracks_json(void) {
         if (track_json) {
             size_t track_len = strlen(track_json);
 
-            /* Grow buffer if needed */
+            /* Grow buffer until the track fits (one track can exceed the per-track estimate) */
             if (pos + track_len + 10 > buf_size) {
-                buf_size *= 2;
+                while (pos + track_len + 10 > buf_size)
+                    buf_size *= 2;
                 char *new_buf = realloc(json, buf_size);
                 if (!new_buf) {
                     free(json);
@@ -772,6 +863,67 @@ int ipod_add_track(
     return track_index;
 }
 
+/**
+ * Point a track at a file copied to dest_filename (a path under the mountpoint):
+ * sets ipod_path (colon format) and filetype_marker, like itdb_cp_finalize().
+ */
+static int set_track_path_from_dest(Itdb_Track *track, const char *dest_filename) {
+    if (!dest_filename || strlen(g_mountpoint) == 0) {
+        set_error("No destination filename or mountpoint");
+        return -1;
+    }
+
+    /* Ensure dest_filename is under mountpoint */
+    size_t mplen = strlen(g_mountpoint);
+    if (strlen(dest_filename) < mplen || strncmp(dest_filename, g_mountpoint, mplen) != 0) {
+        set_error("Destination file is not under mountpoint");
+        return -1;
+    }
+
+    if (strlen(dest_filename) == mplen) {
+        set_error("Destination file does not appear to be on the iPod mounted at mountpoint");
+        return -1;
+    }
+
+    /* Derive ipod_path exactly like itdb_cp_finalize() does:
+     * - strip mountpoint, ensure it begins with '/'
+     * - convert from FS path to iPod path via itdb_filename_fs2ipod()
+     * Built aside so the track keeps its old path if anything fails.
+     */
+    gchar *ipod_path;
+    if (dest_filename[mplen] == G_DIR_SEPARATOR) {
+        ipod_path = g_strdup(&dest_filename[mplen]);
+    } else {
+        ipod_path = g_strdup_printf("%c%s", G_DIR_SEPARATOR, &dest_filename[mplen]);
+    }
+
+    if (!ipod_path) {
+        set_error("Failed to allocate ipod_path");
+        return -1;
+    }
+
+    itdb_filename_fs2ipod(ipod_path);
+    g_free(track->ipod_path);
+    track->ipod_path = ipod_path;
+
+    /* Derive filetype_marker from suffix, like libgpod's itdb_cp_finalize */
+    const char *suffix = strrchr(dest_filename, '.');
+    if (!suffix) suffix = ".";
+
+    guint32 marker = 0;
+    for (int i = 1; i <= 4; i++) { /* skip '.' */
+        marker = marker << 8;
+        if ((int)strlen(suffix) > i) {
+            marker |= (guint8)toupper((unsigned char)suffix[i]);
+        } else {
+            marker |= (guint8)' ';
+        }
+    }
+    track->filetype_marker = marker;
+
+    return 0;
+}
+
 /**
  * Finalize track after file is copied using libgpod's proper function
  * This sets ipod_path, filetype_marker, transferred, and size
@@ -872,18 +1024,6 @@ int ipod_finalize_last_track_no_stat(const char *dest_filename, int size_bytes)
         return -1;
     }
 
-    if (!dest_filename || strlen(g_mountpoint) == 0) {
-        set_error("No destination filename or mountpoint");
-        return -1;
-    }
-
-    /* Ensure dest_filename is under mountpoint */
-    size_t mplen = strlen(g_mountpoint);
-    if (strlen(dest_filename) < mplen || strncmp(dest_filename, g_mountpoint, mplen) != 0) {
-        set_error("Destination file is not under mountpoint");
-        return -1;
-    }
-
     Itdb_Track *track = g_last_added_track;
 
     /* Update transferred + size */
@@ -892,46 +1032,10 @@ int ipod_finalize_last_track_no_stat(const char *dest_filename, int size_bytes)
         track->size = size_bytes;
     }
 
-    /* Derive ipod_path exactly like itdb_cp_finalize() does:
-     * - strip mountpoint, ensure it begins with '/'
-     * - convert from FS path to iPod path via itdb_filename_fs2ipod()
-     */
-    g_free(track->ipod_path);
-    track->ipod_path = NULL;
-
-    if ((int)strlen(g_mountpoint) >= (int)strlen(dest_filename)) {
-        set_error("Destination file does not appear to be on the iPod mounted at mountpoint");
-        return -1;
-    }
-
-    if (dest_filename[mplen] == G_DIR_SEPARATOR) {
-        track->ipod_path = g_strdup(&dest_filename[mplen]);
-    } else {
-        track->ipod_path = g_strdup_printf("%c%s", G_DIR_SEPARATOR, &dest_filename[mplen]);
-    }
-
-    if (!track->ipod_path) {
-        set_error("Failed to allocate ipod_path");
+    if (set_track_path_from_dest(track, dest_filename) != 0) {
         return -1;
     }
 
-    itdb_filename_fs2ipod(track->ipod_path);
-
-    /* Derive filetype_marker from suffix, like libgpod's itdb_cp_finalize */
-    const char *suffix = strrchr(dest_filename, '.');
-    if (!suffix) suffix = ".";
-
-    guint32 marker = 0;
-    for (int i = 1; i <= 4; i++) { /* skip '.' */
-        marker = marker << 8;
-        if ((int)strlen(suffix) > i) {
-            marker |= (guint8)toupper((unsigned char)suffix[i]);
-        } else {
-            marker |= (guint8)' ';
-        }
-    }
-    track->filetype_marker = marker;
-
     log_info("Finalized last track (no-stat): %s", track->ipod_path ? track->ipod_path : "NULL");
     return 0;
 }
@@ -964,6 +1068,53 @@ int ipod_track_set_path(int track_index, const char *ipod_path) {
     return 0;
 }
 
+/**
+ * Point an existing track at a replacement audio file already copied to
+ * dest_filename, and update the file-derived fields. The track keeps its
+ * dbid, play counts, rating and playlist entries.
+ * @track_index: index of track in the tracks list (NOT the track ID!)
+ * @dest_filename: filesystem path (with slashes), not iPod path (with colons)
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_track_replace_file(
+    int track_index,
+    const char *dest_filename,
+    int size_bytes,
+    int tracklen_ms,
+    int bitrate,
+    int samplerate,
+    const char *filetype
+) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return -1;
+    }
+
+    if (set_track_path_from_dest(track, dest_filename) != 0) {
+        return -1;
+    }
+
+    track->transferred = TRUE;
+    track->size = size_bytes;
+    if (tracklen_ms > 0) track->tracklen = tracklen_ms;
+    if (bitrate > 0) track->bitrate = bitrate;
+    if (samplerate > 0) track->samplerate = samplerate;
+    if (filetype && *filetype) {
+        g_free(track->filetype);
+        track->filetype = sanitize_utf8_string(filetype);
+    }
+    track->time_modified = time(NULL);
+
+    log_info("Replaced file for track index %d: %s", track_index, track->ipod_path);
+    return 0;
+}
+
 /**
  * Generate iPod destination path for a track using libgpod's proper function
  * Returns allocated string (caller must free) - filesystem path format
@@ -1044,6 +1195,9 @@ int ipod_remove_track(int track_index) {
 /**
  * Update track metadata
  * @track_index: index of track in the tracks list (NOT the track ID!)
+ *
+ * String fields are skipped when NULL; int fields are skipped when < 0.
+ * @compilation: 0 or 1 (any other value >= 0 is treated as 1)
  */
 EMSCRIPTEN_KEEPALIVE
 int ipod_update_track(
@@ -1054,7 +1208,15 @@ int ipod_update_track(
     const char *genre,
     int track_nr,
     int year,
-    int rating
+    int rating,
+    const char *albumartist,
+    const char *composer,
+    const char *comment,
+    int tracks,
+    int cd_nr,
+    int cds,
+    int bpm,
+    int compilation
 ) {
     if (!g_itdb) {
         set_error("No database loaded");
@@ -1071,8 +1233,16 @@ int ipod_update_track(
     if (artist) { g_free(track->artist); track->artist = sanitize_utf8_string(artist); }
     if (album) { g_free(track->album); track->album = sanitize_utf8_string(album); }
     if (genre) { g_free(track->genre); track->genre = sanitize_utf8_string(genre); }
+    if (albumartist) { g_free(track->albumartist); track->albumartist = sanitize_utf8_string(albumartist); }
+    if (composer) { g_free(track->composer); track->composer = sanitize_utf8_string(composer); }
+    if (comment) { g_free(track->comment); track->comment = sanitize_utf8_string(comment); }
     if (track_nr >= 0) track->track_nr = track_nr;
+    if (tracks >= 0) track->tracks = tracks;
+    if (cd_nr >= 0) track->cd_nr = cd_nr;
+    if (cds >= 0) track->cds = cds;
     if (year >= 0) track->year = year;
+    if (bpm >= 0) track->BPM = (gint16)bpm;
+    if (compilation >= 0) track->compilation = compilation ? 0x01 : 0x00;
     if (rating >= 0) track->rating = rating;
 
     track->time_modified = time(NULL);
@@ -1081,6 +1251,143 @@ int ipod_update_track(
     return 0;
 }
 
+/**
+ * Update the sort-order fields the iPod uses when browsing
+ * (e.g. sort_artist "Beatles" files "The Beatles" under B).
+ * @track_index: index of track in the tracks list (NOT the track ID!)
+ *
+ * Fields are skipped when NULL.
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_update_track_sort_fields(
+    int track_index,
+    const char *sort_title,
+    const char *sort_artist,
+    const char *sort_album,
+    const char *sort_albumartist,
+    const char *sort_composer
+) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return -1;
+    }
+
+    if (sort_title) { g_free(track->sort_title); track->sort_title = sanitize_utf8_string(sort_title); }
+    if (sort_artist) { g_free(track->sort_artist); track->sort_artist = sanitize_utf8_string(sort_artist); }
+    if (sort_album) { g_free(track->sort_album); track->sort_album = sanitize_utf8_string(sort_album); }
+    if (sort_albumartist) { g_free(track->sort_albumartist); track->sort_albumartist = sanitize_utf8_string(sort_albumartist); }
+    if (sort_composer) { g_free(track->sort_composer); track->sort_composer = sanitize_utf8_string(sort_composer); }
+
+    track->time_modified = time(NULL);
+
+    log_info("Updated sort fields for track index: %d", track_index);
+    return 0;
+}
+
+/**
+ * Set a track's Sound Check value (volume normalisation).
+ * @track_index: index of track in the tracks list (NOT the track ID!)
+ * @soundcheck: 1000 * 10^(-gain_dB / 10), as stored by iTunes; 0 = none
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_track_set_soundcheck(int track_index, unsigned int soundcheck) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return -1;
+    }
+
+    track->soundcheck = soundcheck;
+    return 0;
+}
+
+/**
+ * Mark whether the track's file carries embedded lyrics.
+ * The lyrics text itself stays in the audio file; the iPod only needs the flag.
+ * @track_index: index of track in the tracks list (NOT the track ID!)
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_track_set_lyrics_flag(int track_index, int has_lyrics) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return -1;
+    }
+
+    track->lyrics_flag = has_lyrics ? 0x01 : 0x00;
+    return 0;
+}
+
+/**
+ * Set the gapless playback info of a track's file.
+ * @track_index: index of track in the tracks list (NOT the track ID!)
+ * @pregap: encoder delay in samples (incl. decoder delay for MP3)
+ * @postgap: encoder padding in samples
+ * @samplecount: number of audio samples without pregap/postgap; 0 clears the gapless flag
+ * @gapless_data: MP3 only: bytes from the first frame to the 8th-from-last frame
+ *
+ * samplecount is a double so callers from JS don't need 64-bit integer support.
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_track_set_gapless(int track_index, unsigned int pregap, unsigned int postgap,
+                           double samplecount, unsigned int gapless_data) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return -1;
+    }
+
+    guint64 samples = samplecount > 0 ? (guint64)samplecount : 0;
+    track->pregap = samples ? pregap : 0;
+    track->postgap = samples ? postgap : 0;
+    track->samplecount = samples;
+    track->gapless_data = samples ? gapless_data : 0;
+    track->gapless_track_flag = samples ? 0x01 : 0x00;
+    return 0;
+}
+
+/**
+ * Mark a track as part of a gapless album (no crossfade / gap between its tracks).
+ * @track_index: index of track in the tracks list (NOT the track ID!)
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_track_set_gapless_album(int track_index, int gapless_album) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return -1;
+    }
+
+    track->gapless_album_flag = gapless_album ? 0x01 : 0x00;
+    return 0;
+}
+
 /**
  * Returns 1 if the current device supports artwork (cover images), 0 otherwise.
  * Call after ipod_parse_db() so that device info is available.
@@ -1092,6 +1399,44 @@ int ipod_device_supports_artwork(void) {
     return itdb_device_supports_artwork(g_itdb->device) ? 1 : 0;
 }
 
+/**
+ * Get the device's cover art formats as JSON (caller must free):
+ *   {"supports_artwork":true,"formats":[{"id":1055,"width":128,"height":128,
+ *     "crop":false,"padding":0,"back_color":"#000000"}, ...]}
+ * Sizes differ between models (e.g. Nano 3G, Video and Classic); libgpod
+ * renders one thumbnail per format from the image passed in.
+ */
+EMSCRIPTEN_KEEPALIVE
+char* ipod_get_artwork_formats_json(void) {
+    if (!g_itdb || !g_itdb->device) {
+        set_error("No device loaded");
+        return NULL;
+    }
+
+    gboolean supported = itdb_device_supports_artwork(g_itdb->device);
+    GList *formats = supported ? itdb_device_get_cover_art_formats(g_itdb->device) : NULL;
+
+    GString *json = g_string_new(NULL);
+    g_string_append_printf(json, "{\"supports_artwork\":%s,\"formats\":[", supported ? "true" : "false");
+    for (GList *l = formats; l != NULL; l = l->next) {
+        const Itdb_ArtworkFormat *f = (const Itdb_ArtworkFormat *)l->data;
+        if (!f)
+            continue;
+        g_string_append_printf(json,
+            "%s{\"id\":%d,\"width\":%d,\"height\":%d,\"crop\":%s,\"padding\":%d,"
+            "\"back_color\":\"#%02x%02x%02x\"}",
+            l == formats ? "" : ",",
+            f->format_id, f->width, f->height, f->crop ? "true" : "false", (int)f->padding,
+            f->back_color[0], f->back_color[1], f->back_color[2]);
+    }
+    g_string_append(json, "]}");
+    g_list_free(formats);
+
+    char *out = strdup(json->str);
+    g_string_free(json, TRUE);
+    return out;
+}
+
 /**
  * Set a track's artwork (cover image) from raw image data (JPEG/PNG).
  * @param track_index: index of track in the tracks list (same as other track APIs).
@@ -1187,10 +1532,10 @@ int ipod_track_set_artwork_from_rgba(int track_index,
 
     /* Wrap raw RGBA pixels in a GdkPixbuf — no image decoders needed.
      * gdk_pixbuf_new_from_data() does NOT copy the data; it just wraps
-     * the pointer.  The pixbuf must not outlive rgba_data.  We pass NULL
-     * for the destroy notify since the caller (Emscripten stack or heap)
-     * owns the buffer. */
-    GdkPixbuf *pixbuf = gdk_pixbuf_new_from_data(
+     * the pointer.  libgpod keeps a reference to the pixbuf until the
+     * database is written, so the wrapper is copied below into a pixbuf
+     * that owns its pixels (the caller frees rgba_data on return). */
+    GdkPixbuf *wrapped = gdk_pixbuf_new_from_data(
         rgba_data,
         GDK_COLORSPACE_RGB,   /* colour-space  */
         TRUE,                 /* has_alpha      */
@@ -1201,6 +1546,9 @@ int ipod_track_set_artwork_from_rgba(int track_index,
         NULL,                 /* destroy_fn      */
         NULL                  /* destroy_fn_data */
     );
+    GdkPixbuf *pixbuf = wrapped ? gdk_pixbuf_copy(wrapped) : NULL;
+    if (wrapped)
+        g_object_unref(wrapped);
     if (!pixbuf) {
         set_error("Failed to create GdkPixbuf from RGBA data (%dx%d)",
                   width, height);
@@ -1234,6 +1582,174 @@ int ipod_track_set_artwork_from_rgba(int track_index,
 #endif
 }
 
+/**
+ * Remove a track's artwork.
+ *
+ * The thumbnails stay in the F*.ithmb files until the next ipod_write_db(),
+ * which rewrites the artwork database without them; fsSync then copies the
+ * smaller files to the iPod and deletes ithmb files that are no longer used.
+ *
+ * @param track_index  Index of track in the tracks list.
+ * @return 0 on success (also if the track had no artwork), -1 on error.
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_track_remove_artwork(int track_index) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return -1;
+    }
+
+    itdb_track_remove_thumbnails(track);
+    track->has_artwork = 0x02;  /* 0x01 = has artwork, 0x02 = none */
+    track->artwork_count = 0;
+    track->artwork_size = 0;
+    track->mhii_link = 0;
+    track->time_modified = time(NULL);
+    return 0;
+}
+
+/**
+ * Get a track's current artwork as RGBA pixels.
+ *
+ * Existing artwork is decoded by libgpod from ArtworkDB + the F*.ithmb files
+ * (mirrored into MEMFS on connect); artwork set during this session comes
+ * from its pending pixbuf.
+ *
+ * Returned buffer layout (caller must free with ipod_free_string()):
+ *   bytes 0..3   width  (uint32, little-endian)
+ *   bytes 4..7   height (uint32, little-endian)
+ *   bytes 8..    width*height*4 bytes of RGBA, row-major, top-to-bottom
+ *
+ * @param track_index  Index of track in the tracks list.
+ * @param size         Fit the thumbnail into size×size; <= 0 for the largest
+ *                     thumbnail stored on the device.
+ * @return Buffer pointer, or NULL if the track has no artwork or on error
+ *         (check ipod_get_last_error()).
+ */
+EMSCRIPTEN_KEEPALIVE
+unsigned char* ipod_track_get_artwork_rgba(int track_index, int size) {
+#ifdef HAVE_GDKPIXBUF
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return NULL;
+    }
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return NULL;
+    }
+    if (!itdb_track_has_thumbnails(track)) {
+        set_error("Track at index %d has no artwork", track_index);
+        return NULL;
+    }
+
+    GdkPixbuf *thumb = (GdkPixbuf *)itdb_track_get_thumbnail(track,
+                                                            size > 0 ? size : -1,
+                                                            size > 0 ? size : -1);
+    if (!thumb) {
+        set_error("Could not decode artwork for track index %d", track_index);
+        return NULL;
+    }
+
+    /* Normalise to 8-bit RGBA (ithmb thumbnails decode to RGB). */
+    GdkPixbuf *pixbuf = gdk_pixbuf_get_has_alpha(thumb)
+        ? g_object_ref(thumb)
+        : gdk_pixbuf_add_alpha(thumb, FALSE, 0, 0, 0);
+    g_object_unref(thumb);
+    if (!pixbuf || gdk_pixbuf_get_n_channels(pixbuf) != 4
+        || gdk_pixbuf_get_bits_per_sample(pixbuf) != 8) {
+        if (pixbuf)
+            g_object_unref(pixbuf);
+        set_error("Unsupported artwork pixel format for track index %d", track_index);
+        return NULL;
+    }
+
+    guint32 width = (guint32)gdk_pixbuf_get_width(pixbuf);
+    guint32 height = (guint32)gdk_pixbuf_get_height(pixbuf);
+    int rowstride = gdk_pixbuf_get_rowstride(pixbuf);
+    const guchar *pixels = gdk_pixbuf_get_pixels(pixbuf);
+
+    unsigned char *out = malloc(8 + (size_t)width * height * 4);
+    if (!out) {
+        g_object_unref(pixbuf);
+        set_error("Out of memory");
+        return NULL;
+    }
+    memcpy(out, &width, 4);
+    memcpy(out + 4, &height, 4);
+    for (guint32 y = 0; y < height; y++)
+        memcpy(out + 8 + (size_t)y * width * 4, pixels + (size_t)y * rowstride, (size_t)width * 4);
+
+    g_object_unref(pixbuf);
+    return out;
+
+#else  /* !HAVE_GDKPIXBUF */
+    (void)track_index;
+    (void)size;
+    set_error("Artwork support requires GdkPixbuf (rebuild with -DHAVE_GDKPIXBUF)");
+    return NULL;
+#endif
+}
+
+/**
+ * Make a track use the same artwork as another track (e.g. the rest of an album).
+ *
+ * The artwork is duplicated by reference (the underlying pixbuf is shared, not
+ * re-encoded) and both artworks get the same dbid.  On devices with sparse
+ * artwork support libgpod writes one ArtworkDB/ithmb entry per dbid, so every
+ * track of the album points at a single image instead of storing its own copy.
+ *
+ * @param track_index   Track that should receive the artwork.
+ * @param source_index  Track that already has artwork set.
+ * @return 0 on success, -1 on error (check ipod_get_last_error()).
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_track_share_artwork(int track_index, int source_index) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+    Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
+    if (!track) {
+        set_error("Track not found at index: %d", track_index);
+        return -1;
+    }
+    Itdb_Track *source = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)source_index);
+    if (!source) {
+        set_error("Track not found at index: %d", source_index);
+        return -1;
+    }
+    if (track == source)
+        return 0;
+    if (!source->artwork || !source->artwork->thumbnail) {
+        set_error("Track at index %d has no artwork to share", source_index);
+        return -1;
+    }
+
+    if (source->artwork->dbid == 0) {
+        source->artwork->dbid = source->dbid
+            ? source->dbid
+            : (((guint64)g_random_int()) << 32) | g_random_int();
+    }
+
+    if (track->artwork)
+        itdb_artwork_free(track->artwork);
+    track->artwork = itdb_artwork_duplicate(source->artwork);
+    track->artwork->dbid = source->artwork->dbid;
+
+    track->has_artwork = source->has_artwork;
+    track->artwork_count = source->artwork_count;
+    track->artwork_size = source->artwork_size;
+    track->mhii_link = source->mhii_link;
+    track->time_modified = time(NULL);
+    return 0;
+}
+
 /* ============================================================================
  * Playlist Functions
  * ============================================================================ */
@@ -1272,6 +1788,7 @@ char* ipod_get_playlist_json(int index) {
     snprintf(json, 2048,
         "{"
         "\"id\":%llu,"
+        "\"persistent_id\":\"%016llx\","
         "\"name\":\"%s\","
         "\"track_count\":%u,"
         "\"is_master\":%s,"
@@ -1279,6 +1796,7 @@ char* ipod_get_playlist_json(int index) {
         "\"is_smart\":%s"
         "}",
         (unsigned long long)pl->id,
+        (unsigned long long)pl->id,
         name_esc,
         itdb_playlist_tracks_number(pl),
         itdb_playlist_is_mpl(pl) ? "true" : "false",
@@ -1501,6 +2019,11 @@ int ipod_playlist_add_track(int playlist_index, int track_index) {
         return -1;
     }
 
+    if (pl->is_spl) {
+        set_error("Tracks in smart playlist \"%s\" are chosen by its rules", pl->name ? pl->name : "");
+        return -1;
+    }
+
     Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
     if (!track) {
         set_error("Track not found at index: %d", track_index);
@@ -1535,6 +2058,11 @@ int ipod_playlist_remove_track(int playlist_index, int track_index) {
         return -1;
     }
 
+    if (pl->is_spl) {
+        set_error("Tracks in smart playlist \"%s\" are chosen by its rules", pl->name ? pl->name : "");
+        return -1;
+    }
+
     Itdb_Track *track = (Itdb_Track *)g_list_nth_data(g_itdb->tracks, (guint)track_index);
     if (!track) {
         set_error("Track not found at index: %d", track_index);
@@ -1553,6 +2081,299 @@ int ipod_playlist_remove_track(int playlist_index, int track_index) {
 }
 
 
+/**
+ * Move one entry of a playlist
+ * @from_position: 0-based position of the entry to move.  Entries are
+ *                 addressed by position because a track can be listed more
+ *                 than once in the same playlist.
+ * @to_position: 0-based position of the entry after the move; values past
+ *               the end move it to the bottom
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_playlist_move_entry(int playlist_index, int from_position, int to_position) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+
+    Itdb_Playlist *pl = itdb_playlist_by_nr(g_itdb, (guint32)playlist_index);
+    if (!pl) {
+        set_error("Playlist index %d out of range", playlist_index);
+        return -1;
+    }
+
+    if (itdb_playlist_is_mpl(pl)) {
+        set_error("Cannot reorder the master playlist");
+        return -1;
+    }
+
+    if (pl->is_spl) {
+        set_error("Tracks in smart playlist \"%s\" are chosen by its rules", pl->name ? pl->name : "");
+        return -1;
+    }
+
+    GList *link = from_position < 0 ? NULL : g_list_nth(pl->members, (guint)from_position);
+    if (!link) {
+        set_error("No entry at position %d in playlist %d", from_position, playlist_index);
+        return -1;
+    }
+
+    /* Relink in place; itdb_playlist_remove/add_track would also touch pl->num */
+    Itdb_Track *track = (Itdb_Track *)link->data;
+    pl->members = g_list_delete_link(pl->members, link);
+    pl->members = g_list_insert(pl->members, track, to_position < 0 ? 0 : to_position);
+
+    log_info("Moved entry %d to position %d in playlist %d", from_position, to_position, playlist_index);
+    return 0;
+}
+
+/* ============================================================================
+ * Smart Playlist Functions
+ *
+ * Smart playlists keep their rules (splrules) and preferences (splpref) in the
+ * iTunesDB; the iPod re-evaluates "live updating" playlists itself as play
+ * counts, ratings etc. change.  libgpod evaluates them on the host too, so the
+ * member list we write is already correct for the current library.
+ * ============================================================================ */
+
+static Itdb_Playlist *get_smart_playlist(int playlist_index) {
+    Itdb_Playlist *pl = itdb_playlist_by_nr(g_itdb, (guint32)playlist_index);
+    if (!pl) {
+        set_error("Playlist index %d out of range", playlist_index);
+        return NULL;
+    }
+    if (!pl->is_spl) {
+        set_error("Playlist %d is not a smart playlist", playlist_index);
+        return NULL;
+    }
+    return pl;
+}
+
+/**
+ * Create an empty smart playlist (no rules, live updating).
+ * Returns playlist index on success, -1 on error.
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_create_smart_playlist(const char *name) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+
+    if (!name || strlen(name) == 0) {
+        set_error("Playlist name cannot be empty");
+        return -1;
+    }
+
+    Itdb_Playlist *pl = itdb_playlist_new(name, TRUE);
+    if (!pl) {
+        set_error("Failed to create smart playlist");
+        return -1;
+    }
+
+    itdb_playlist_add(g_itdb, pl, -1);
+
+    int idx = g_list_index(g_itdb->playlists, pl);
+    log_info("Created smart playlist: %s (index: %d)", name, idx);
+    return idx;
+}
+
+/**
+ * Set a smart playlist's match mode, limit and live-update preferences.
+ * @param match_any     1 = match any rule (OR), 0 = match all rules (AND).
+ * @param limit_enabled 1 to apply the limit below.
+ * @param limit_type    ItdbLimitType (1 minutes, 2 MB, 3 songs, 4 hours, 5 GB).
+ * @param limit_value   Limit amount in limit_type units.
+ * @param limit_sort    ItdbLimitSort (which tracks are kept when limiting).
+ * @param live_update   1 to let the iPod keep the playlist up to date.
+ * @param checked_only  1 to match only checked tracks.
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_spl_set_prefs(int playlist_index, int match_any, int limit_enabled, int limit_type,
+                       int limit_value, int limit_sort, int live_update, int checked_only) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+    Itdb_Playlist *pl = get_smart_playlist(playlist_index);
+    if (!pl)
+        return -1;
+
+    pl->splrules.match_operator = match_any ? ITDB_SPLMATCH_OR : ITDB_SPLMATCH_AND;
+    pl->splpref.checklimits = limit_enabled ? TRUE : FALSE;
+    pl->splpref.limittype = (guint32)limit_type;
+    pl->splpref.limitvalue = (guint32)(limit_value > 0 ? limit_value : 0);
+    pl->splpref.limitsort = (guint32)limit_sort;
+    pl->splpref.liveupdate = live_update ? TRUE : FALSE;
+    pl->splpref.matchcheckedonly = checked_only ? TRUE : FALSE;
+    return 0;
+}
+
+/**
+ * Remove all rules from a smart playlist.
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_spl_clear_rules(int playlist_index) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+    Itdb_Playlist *pl = get_smart_playlist(playlist_index);
+    if (!pl)
+        return -1;
+
+    while (pl->splrules.rules)
+        itdb_splr_remove(pl, (Itdb_SPLRule *)pl->splrules.rules->data);
+    pl->splpref.checkrules = FALSE;
+    return 0;
+}
+
+/**
+ * Append a rule to a smart playlist.
+ * @param field          ItdbSPLField (e.g. 0x04 artist, 0x07 year, 0x19 rating).
+ * @param action         ItdbSPLAction (e.g. 0x01000002 contains, 0x10 greater than).
+ * @param string         Value for string rules; NULL for numeric/date rules.
+ * @param from_value     Numeric value (or range start, or N for "in the last N units");
+ *                       Unix time for "is after" / "is before" / range date rules.
+ * @param to_value       Range end for "is in the range"; ignored otherwise.
+ * @param in_last_units  Seconds per unit for "in the last" rules (86400 = days,
+ *                       604800 = weeks, 2628000 = months); 0 otherwise.
+ * Returns 0 on success, -1 on error.
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_spl_add_rule(int playlist_index, int field, unsigned int action, const char *string,
+                      double from_value, double to_value, int in_last_units) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+    Itdb_Playlist *pl = get_smart_playlist(playlist_index);
+    if (!pl)
+        return -1;
+
+    Itdb_SPLRule *splr = itdb_splr_new();
+    splr->field = (ItdbSPLField)field;
+    splr->action = (ItdbSPLAction)action;
+
+    switch (itdb_splr_get_action_type(splr)) {
+    case ITDB_SPLAT_STRING:
+        g_free(splr->string);
+        splr->string = g_strdup(string ? string : "");
+        break;
+    case ITDB_SPLAT_INTHELAST:
+        if (in_last_units <= 0) {
+            itdb_splr_free(splr);
+            set_error("\"In the last\" rules need a unit");
+            return -1;
+        }
+        splr->fromvalue = ITDB_SPL_DATE_IDENTIFIER;
+        splr->fromdate = -(gint64)from_value;
+        splr->fromunits = (guint64)in_last_units;
+        splr->tovalue = ITDB_SPL_DATE_IDENTIFIER;
+        splr->todate = 0;
+        splr->tounits = 1;
+        break;
+    case ITDB_SPLAT_INT:
+    case ITDB_SPLAT_RANGE_INT:
+    case ITDB_SPLAT_DATE:
+    case ITDB_SPLAT_RANGE_DATE:
+        /* libgpod keeps dates as Unix time and converts them when writing */
+        splr->fromvalue = (guint64)from_value;
+        splr->tovalue = (guint64)(splr->action == ITDB_SPLACTION_IS_IN_THE_RANGE
+                                  || splr->action == ITDB_SPLACTION_IS_NOT_IN_THE_RANGE
+                                  ? to_value : from_value);
+        splr->fromdate = 0;
+        splr->todate = 0;
+        splr->fromunits = 1;
+        splr->tounits = 1;
+        break;
+    default:
+        itdb_splr_free(splr);
+        set_error("Unsupported smart playlist rule (field 0x%x, action 0x%x)", field, action);
+        return -1;
+    }
+
+    itdb_splr_validate(splr);
+    itdb_splr_add(pl, splr, -1);
+    pl->splpref.checkrules = TRUE;
+    return 0;
+}
+
+/**
+ * Re-evaluate a smart playlist's rules against the library now.
+ */
+EMSCRIPTEN_KEEPALIVE
+int ipod_spl_update(int playlist_index) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return -1;
+    }
+    Itdb_Playlist *pl = get_smart_playlist(playlist_index);
+    if (!pl)
+        return -1;
+
+    itdb_spl_update(pl);
+    return 0;
+}
+
+/**
+ * Get a smart playlist's rules and preferences as JSON (caller must free):
+ *   {"match_any":false,"live_update":true,"checked_only":false,
+ *    "limit":{"enabled":false,"type":3,"value":25,"sort":2},
+ *    "rules":[{"field":4,"action":16777218,"string":"Beatles",
+ *              "from_value":0,"to_value":0,"in_last":null}, ...]}
+ * "in_last" is {"count":N,"units":seconds} for "in the last N units" date rules.
+ */
+EMSCRIPTEN_KEEPALIVE
+char* ipod_get_playlist_rules_json(int playlist_index) {
+    if (!g_itdb) {
+        set_error("No database loaded");
+        return NULL;
+    }
+    Itdb_Playlist *pl = get_smart_playlist(playlist_index);
+    if (!pl)
+        return NULL;
+
+    GString *json = g_string_new(NULL);
+    g_string_append_printf(json,
+        "{\"match_any\":%s,\"live_update\":%s,\"checked_only\":%s,"
+        "\"limit\":{\"enabled\":%s,\"type\":%u,\"value\":%u,\"sort\":%u},\"rules\":[",
+        pl->splrules.match_operator == ITDB_SPLMATCH_OR ? "true" : "false",
+        pl->splpref.liveupdate ? "true" : "false",
+        pl->splpref.matchcheckedonly ? "true" : "false",
+        pl->splpref.checklimits ? "true" : "false",
+        pl->splpref.limittype, pl->splpref.limitvalue, pl->splpref.limitsort);
+
+    for (GList *l = pl->splrules.rules; l != NULL; l = l->next) {
+        Itdb_SPLRule *splr = (Itdb_SPLRule *)l->data;
+        if (!splr)
+            continue;
+
+        char string_esc[1024] = "";
+        if (splr->string)
+            escape_json_string(string_esc, splr->string, sizeof(string_esc));
+
+        gboolean in_last = splr->fromvalue == ITDB_SPL_DATE_IDENTIFIER;
+        g_string_append_printf(json,
+            "%s{\"field\":%u,\"action\":%u,\"string\":\"%s\",\"from_value\":%llu,\"to_value\":%llu,",
+            l == pl->splrules.rules ? "" : ",",
+            (unsigned int)splr->field, (unsigned int)splr->action, string_esc,
+            in_last ? 0ULL : (unsigned long long)splr->fromvalue,
+            splr->tovalue == ITDB_SPL_DATE_IDENTIFIER ? 0ULL : (unsigned long long)splr->tovalue);
+        if (in_last) {
+            g_string_append_printf(json, "\"in_last\":{\"count\":%lld,\"units\":%llu}}",
+                (long long)-splr->fromdate, (unsigned long long)splr->fromunits);
+        } else {
+            g_string_append(json, "\"in_last\":null}");
+        }
+    }
+    g_string_append(json, "]}");
+
+    char *out = strdup(json->str);
+    g_string_free(json, TRUE);
+    return out;
+}
+
 /* ============================================================================
  * File Copy Helper (for manual file placement)
  * ============================================================================ */
@@ -6,15 +6,29 @@ import { createContextMenu } from './modules/contextMenu.js';
 import { createFirewireSetup } from './modules/firewireSetup.js';
 import { createModalManager } from './modules/modalManager.js';
 import { createAppState } from './modules/state.js';
-import { readAudioMetadata, getFiletypeFromName, isAudioFile } from './modules/audio.js';
+import { readAudioMetadata, readEmbeddedPicture, getFiletypeFromName, isAudioFile, AUDIO_FILE_EXTENSIONS } from './modules/audio.js';
+import { folderCoverRank } from './modules/artwork.js';
 import { renderTracks, renderPlaylists, formatDuration, updateConnectionStatus, enableUIIfReady } from './modules/uiRender.js';
 import { createIpodConnectionMonitor } from './modules/ipodConnectionMonitor.js';
 import { createUploadQueue } from './modules/uploadQueue.js';
 import { createTrackOps } from './modules/trackOps.js';
 import { createSyncPipeline } from './modules/syncPipeline.js';
-import { createTranscodePool } from './modules/transcode.js';
+import { createSyncJournal } from './modules/syncJournal.js';
+import { createDbBackups } from './modules/dbBackups.js';
+import { createTranscodePool, getIpodPcmConversion, getTranscodeTarget, TRANSCODE_PROFILES } from './modules/transcode.js';
 import { createTrackSelection } from './modules/trackSelection.js';
 import { createMetadataEditor } from './modules/metadataEditor.js';
+import { createArtworkThumbnails } from './modules/artworkThumbnails.js';
+import { createArtworkMatcher } from './modules/artworkMatcher.js';
+import { createSmartPlaylistEditor } from './modules/smartPlaylists.js';
+import { createPlaylistReorder } from './modules/playlistReorder.js';
+import { createPlaylistImport } from './modules/playlistImport.js';
+import { createPlaylistExport } from './modules/playlistExport.js';
+import { createPlaylistFolders } from './modules/playlistFolders.js';
+import { createDuplicates } from './modules/duplicates.js';
+import { createTrackReplace } from './modules/trackReplace.js';
+import { createLoudnessAnalysis } from './modules/loudness.js';
+import { createSettings } from './modules/settings.js';
 
 /**
  * TunesReloaded - module entrypoint
@@ -31,6 +45,8 @@ const fsSync = createFsSync({ log, wasm, mountpoint: '/iPod' });
 const paths = createPaths({ wasm, mountpoint: '/iPod' });
 const firewireSetup = createFirewireSetup({ log });
 const modals = createModalManager();
+const settings = createSettings({ log });
+const artworkThumbnails = createArtworkThumbnails({ wasm, settings, isArtworkSupported, loadArtwork: () => fsSync.ensureArtworkLoaded() });
 
 const ipodMonitor = createIpodConnectionMonitor({
     appState,
@@ -56,6 +72,11 @@ function logWasmError(prefix) {
     log(`${prefix}: ${getLastWasmErrorMessage()}`, 'error');
 }
 
+/** False only when the connected iPod is known not to display artwork (Mini, Shuffle). */
+function isArtworkSupported() {
+    return appState.artworkProfile?.supported !== false;
+}
+
 // === Database / view refresh ===
 async function parseDatabase() {
     log('Parsing iTunesDB...');
@@ -63,12 +84,20 @@ async function parseDatabase() {
     if (result !== 0) return;
 
     appState.isConnected = true;
+    appState.artworkProfile = wasm.wasmGetArtworkFormats();
+    const artworkSupported = isArtworkSupported();
+    if (!artworkSupported) log("This iPod model doesn't display album artwork; artwork features are disabled", 'info');
     updateConnectionStatus(true);
-    enableUIIfReady({ wasmReady: appState.wasmReady, isConnected: appState.isConnected });
+    enableUIIfReady({ wasmReady: appState.wasmReady, isConnected: appState.isConnected, artworkSupported });
     ipodMonitor.start();
 
+    playlistFolders.load();
     await refreshCurrentView();
+    dbBackups.rememberTrackCount(appState.tracks.length);
     log('Database loaded successfully', 'success');
+    // Files journaled before this (re)connect are checked against the database just loaded.
+    syncJournal.detach();
+    await syncPipeline.checkInterruptedSync();
 }
 
 async function loadTracks() {
@@ -76,7 +105,8 @@ async function loadTracks() {
     const tracks = wasm.wasmGetJson('ipod_get_all_tracks_json');
     if (tracks) {
         appState.tracks = tracks;
-        renderTracks({ tracks: getAllTracksWithQueued(), escapeHtml, selectedTrackIds: appState.selectedTrackIds });
+        smartPlaylists.renderRulesBanner(-1);
+        renderTracks({ tracks: getAllTracksWithQueued(), escapeHtml, selectedTrackIds: appState.selectedTrackIds, artwork: artworkThumbnails });
         trackSelection?.applySelectionToDom?.();
 
         // Ensure the sidebar "All Tracks" count reflects the latest track list,
@@ -95,10 +125,37 @@ function getAllTracksWithQueued() {
         album: item.meta?.album || '',
         genre: item.meta?.genre || '',
         tracklen: Number.isFinite(item.meta?.durationMs) ? item.meta.durationMs : null,
+        queueProfile: describeQueuedOutput(item),
     }));
     return [...(appState.tracks || []), ...queued];
 }
 
+/** iPod model name of the connected device, if WebUSB identified it. */
+function getModelName() {
+    const productId = firewireSetup.getDetectedDevice()?.productId;
+    return productId != null ? firewireSetup.getModelInfo(productId)?.name || null : null;
+}
+
+/** Transcode profile for uploads without a per-batch choice: this iPod model's, else the global one. */
+function getDefaultTranscodeProfile() {
+    const model = getModelName();
+    return (model && settings.get('transcodeProfileByModel')?.[model]) || settings.get('transcodeProfile');
+}
+
+/** What a queued file will be uploaded as, for its queue row. */
+function describeQueuedOutput(item) {
+    const meta = item.meta;
+    const target = getTranscodeTarget(item.name, {
+        profile: item.profile || getDefaultTranscodeProfile(),
+        lossless: meta?.lossless,
+        samplerate: meta?.samplerateHz,
+        bitsPerSample: meta?.bitsPerSample,
+    });
+    if (!target) return 'Original';
+    const conversion = getIpodPcmConversion({ samplerate: meta?.samplerateHz, bitsPerSample: meta?.bitsPerSample }, target);
+    return conversion ? `${TRANSCODE_PROFILES[target].label}, ${conversion.description}` : TRANSCODE_PROFILES[target].label;
+}
+
 function getAllTracksCount() {
     return (appState.tracks?.length || 0) + (appState.pendingUploads?.length || 0);
 }
@@ -109,12 +166,13 @@ function renderSidebarPlaylists() {
         currentPlaylistIndex: appState.currentPlaylistIndex,
         allTracksCount: getAllTracksCount(),
         escapeHtml,
+        tree: appState.isConnected ? playlistFolders.getTree(appState.playlists) : null,
     });
 }
 
 function rerenderAllTracksIfVisible() {
     if (appState.currentPlaylistIndex !== -1) return;
-    renderTracks({ tracks: getAllTracksWithQueued(), escapeHtml, selectedTrackIds: appState.selectedTrackIds });
+    renderTracks({ tracks: getAllTracksWithQueued(), escapeHtml, selectedTrackIds: appState.selectedTrackIds, artwork: artworkThumbnails });
     trackSelection?.applySelectionToDom?.();
     renderSidebarPlaylists();
 }
@@ -137,14 +195,18 @@ async function loadPlaylistTracks(index) {
     const playlistName = appState.playlists[index].name;
     log(`Loading tracks for playlist: "${playlistName}"`, 'info');
 
+    smartPlaylists.renderRulesBanner(index);
     const tracks = wasm.wasmGetJson('ipod_get_playlist_tracks_json', index);
     if (tracks) {
-        renderTracks({ tracks, escapeHtml, selectedTrackIds: appState.selectedTrackIds });
+        const playlist = appState.playlists[index];
+        const reorderable = !playlist.is_master && !playlist.is_smart;
+        renderTracks({ tracks, escapeHtml, selectedTrackIds: appState.selectedTrackIds, artwork: artworkThumbnails, reorderable });
         trackSelection.applySelectionToDom();
     }
 }
 
 async function refreshCurrentView() {
+    artworkThumbnails.clear();
     await loadPlaylists();
     const idx = appState.currentPlaylistIndex;
     if (idx === -1) {
@@ -170,6 +232,8 @@ const uploadQueue = createUploadQueue({
     log,
     readAudioMetadata,
     rerenderAllTracksIfVisible,
+    checkDuplicates: (items) => duplicates.reviewQueued(items),
+    getBatchProfile: () => document.getElementById('uploadProfileSelect')?.value || null,
 });
 
 const transcodePool = createTranscodePool({ concurrency: 2 });
@@ -185,9 +249,52 @@ const trackOps = createTrackOps({
 });
 
 const trackSelection = createTrackSelection({ appState, log });
+const playlistReorder = createPlaylistReorder({
+    getSelectedTrackIds: () => trackSelection.getSelectedTrackIds(),
+    ensureTrackSelected: (trackId) => trackSelection.ensureTrackSelected(trackId),
+    onMove: (trackIds, beforePosition) => trackOps.moveTracksInPlaylist(trackIds, beforePosition),
+});
+
+const metadataEditor = createMetadataEditor({
+    wasm,
+    log,
+    refreshCurrentView,
+    getArtworkProfile: () => appState.artworkProfile,
+    loadArtwork: () => fsSync.ensureArtworkLoaded(),
+});
 
-const metadataEditor = createMetadataEditor({ wasm, log, refreshCurrentView });
+const artworkMatcher = createArtworkMatcher({ appState, wasm, log, escapeHtml, refreshCurrentView, isArtworkSupported });
+const playlistImport = createPlaylistImport({ appState, wasm, log, escapeHtml, uploadQueue, refreshCurrentView, getPlaylistNameError });
+const playlistExport = createPlaylistExport({ appState, wasm, paths, log, settings });
+const syncJournal = createSyncJournal({ log });
+const trackReplace = createTrackReplace({
+    appState,
+    wasm,
+    fsSync,
+    paths,
+    log,
+    readAudioMetadata,
+    getFiletypeFromName,
+    transcodeForIpod: transcodePool.transcodeForIpod,
+    getDefaultTranscodeProfile,
+    refreshCurrentView,
+    journal: syncJournal,
+});
+const duplicates = createDuplicates({
+    appState,
+    log,
+    escapeHtml,
+    settings,
+    paths,
+    fsSync,
+    deleteTracks: trackOps.deleteTracks,
+    rerenderAllTracksIfVisible,
+});
+const loudness = createLoudnessAnalysis({ appState, wasm, fsSync, paths, log, measureLoudness: transcodePool.measureLoudness });
+const playlistFolders = createPlaylistFolders({ appState, wasm, fsSync, log, refreshCurrentView, renderSidebarPlaylists });
+const smartPlaylists = createSmartPlaylistEditor({ appState, wasm, log, escapeHtml, refreshCurrentView, getPlaylistNameError });
 
+const dbBackups = createDbBackups({ appState, fsSync, settings, log, escapeHtml, reloadDatabase: continueIpodConnection });
 const syncPipeline = createSyncPipeline({
     appState,
     wasm,
@@ -200,10 +307,18 @@ const syncPipeline = createSyncPipeline({
     rerenderAllTracksIfVisible,
     getOrComputeQueuedMeta: uploadQueue.getOrComputeQueuedMeta,
     readAudioMetadata,
-    transcodeFlacToAlacM4a: transcodePool.transcodeFlacToAlacM4a,
+    readEmbeddedPicture,
+    transcodeForIpod: transcodePool.transcodeForIpod,
+    measureLoudness: transcodePool.measureLoudness,
     getFiletypeFromName,
     formatDuration,
     firewireSetup,
+    settings,
+    getDefaultTranscodeProfile,
+    journal: syncJournal,
+    restoreQueuedUploads: uploadQueue.restoreQueuedUploads,
+    dbBackups,
+    isArtworkSupported,
 });
 
 // === Connect / FS ===
@@ -346,6 +461,73 @@ async function deletePlaylist(playlistIndex) {
     log(`Deleted playlist: ${playlist.name}`, 'success');
 }
 
+/** Why a playlist can't be called `name`, or null if it can. Names are compared case-insensitively. */
+function getPlaylistNameError(name, exceptIndex = -1) {
+    if (!name) return 'Playlist name cannot be empty';
+    const lower = name.toLowerCase();
+    const taken = (appState.playlists || []).some((pl, idx) => idx !== exceptIndex && String(pl.name || '').toLowerCase() === lower);
+    return taken ? `A playlist named "${name}" already exists` : null;
+}
+
+async function renamePlaylist(playlistIndex, newName) {
+    const playlist = appState.playlists[playlistIndex];
+    if (!playlist || playlist.is_master) {
+        log('Invalid playlist index', 'error');
+        return false;
+    }
+    const name = String(newName ?? '').trim();
+    if (name === playlist.name) return true;
+
+    const error = getPlaylistNameError(name, playlistIndex);
+    if (error) {
+        log(error, 'warning');
+        return false;
+    }
+
+    if (wasm.wasmRenamePlaylist(playlistIndex, name) !== 0) return false;
+
+    await loadPlaylists();
+    log(`Renamed playlist "${playlist.name}" to "${name}"`, 'success');
+    return true;
+}
+
+/** Swap a sidebar playlist's name for a text field; Enter or blur saves, Escape cancels. */
+function startPlaylistRename(playlistIndex) {
+    const item = document.querySelector(`#playlistList .playlist-item[data-playlist-index="${playlistIndex}"]`);
+    const label = item?.querySelector('span');
+    const playlist = appState.playlists[playlistIndex];
+    if (!label || !playlist || playlist.is_master || item.querySelector('input')) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'playlist-rename-input';
+    input.value = playlist.name || '';
+    label.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = async (save) => {
+        if (done) return;
+        done = true;
+        if (!save || !(await renamePlaylist(playlistIndex, input.value))) renderSidebarPlaylists();
+    };
+
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('dblclick', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
 // === Track management ===
 const deleteTrack = trackOps.deleteTrack;
 const addTrackToPlaylist = trackOps.addTrackToPlaylist;
@@ -357,7 +539,7 @@ async function uploadTracks() {
             multiple: true,
             types: [{
                 description: 'Audio Files',
-                accept: { 'audio/*': ['.mp3', '.m4a', '.aac', '.wav', '.aiff', '.flac'] }
+                accept: { 'audio/*': AUDIO_FILE_EXTENSIONS.map((ext) => `.${ext}`) }
             }]
         });
 
@@ -368,18 +550,32 @@ async function uploadTracks() {
     }
 }
 
-async function collectAudioFilesFromDirectory(dirHandle, collected = [], onProgress = null) {
+/**
+ * Recursively collect audio files under a directory.
+ * If folderCovers is given, audio files are mapped to a cover.jpg / folder.jpg
+ * handle found in the same directory (used as fallback artwork on upload).
+ */
+async function collectAudioFilesFromDirectory(dirHandle, collected = [], onProgress = null, folderCovers = null) {
+    const filesHere = [];
+    let cover = null;
     for await (const entry of dirHandle.values()) {
         if (entry.kind === 'file') {
             if (isAudioFile(entry.name)) {
                 const file = await entry.getFile();
                 collected.push(file);
+                filesHere.push(file);
                 onProgress?.(collected.length);
+            } else if (folderCovers) {
+                const rank = folderCoverRank(entry.name);
+                if (rank >= 0 && (!cover || rank < cover.rank)) cover = { rank, handle: entry };
             }
         } else if (entry.kind === 'directory') {
-            await collectAudioFilesFromDirectory(entry, collected, onProgress);
+            await collectAudioFilesFromDirectory(entry, collected, onProgress, folderCovers);
         }
     }
+    if (cover) {
+        for (const file of filesHere) folderCovers.set(file, cover.handle);
+    }
     return collected;
 }
 
@@ -395,9 +591,10 @@ async function uploadFolder() {
         if (saveBtn) saveBtn.disabled = true;
         if (dropZoneText) dropZoneText.textContent = 'Scanning folder... Found 0 files';
 
+        const folderCovers = new Map();
         const fileHandles = await collectAudioFilesFromDirectory(dirHandle, [], (count) => {
             if (dropZoneText) dropZoneText.textContent = `Scanning folder... Found ${count} files`;
-        });
+        }, folderCovers);
 
         if (dropZoneText) dropZoneText.textContent = originalDropText;
         if (saveBtn && appState.isConnected && appState.wasmReady) saveBtn.disabled = false;
@@ -408,7 +605,7 @@ async function uploadFolder() {
         }
 
         log(`Found ${fileHandles.length} audio file(s)`, 'success');
-        uploadQueue.queueFilesForSync(fileHandles);
+        uploadQueue.queueFilesForSync(fileHandles, { folderCovers });
     } catch (e) {
         if (dropZoneText) dropZoneText.textContent = originalDropText;
         if (saveBtn && appState.isConnected && appState.wasmReady) saveBtn.disabled = false;
@@ -427,7 +624,8 @@ function selectPlaylist(index) {
     appState.currentPlaylistIndex = index;
     renderSidebarPlaylists();
     if (index === -1) {
-        renderTracks({ tracks: getAllTracksWithQueued(), escapeHtml, selectedTrackIds: appState.selectedTrackIds });
+        smartPlaylists.renderRulesBanner(-1);
+        renderTracks({ tracks: getAllTracksWithQueued(), escapeHtml, selectedTrackIds: appState.selectedTrackIds, artwork: artworkThumbnails });
         trackSelection.applySelectionToDom();
     } else {
         loadPlaylistTracks(index);
@@ -439,7 +637,7 @@ function filterTracks() {
     const idx = appState.currentPlaylistIndex;
     if (!query) {
         if (idx === -1) {
-            renderTracks({ tracks: getAllTracksWithQueued(), escapeHtml, selectedTrackIds: appState.selectedTrackIds });
+            renderTracks({ tracks: getAllTracksWithQueued(), escapeHtml, selectedTrackIds: appState.selectedTrackIds, artwork: artworkThumbnails });
             trackSelection.applySelectionToDom();
         }
         else loadPlaylistTracks(idx);
@@ -452,7 +650,7 @@ function filterTracks() {
         (track.artist && track.artist.toLowerCase().includes(query)) ||
         (track.album && track.album.toLowerCase().includes(query))
     );
-    renderTracks({ tracks: filtered, escapeHtml, selectedTrackIds: appState.selectedTrackIds });
+    renderTracks({ tracks: filtered, escapeHtml, selectedTrackIds: appState.selectedTrackIds, artwork: artworkThumbnails });
     trackSelection.applySelectionToDom();
 }
 
@@ -501,6 +699,20 @@ const contextMenu = createContextMenu({
     getSelectedTrackIds: () => appState.selectedTrackIds,
     ensureTrackSelected: (trackId) => trackSelection.ensureTrackSelected(trackId),
     onEditTracks: (trackIds) => metadataEditor.showEditModal(trackIds),
+    onRemoveArtwork: (trackIds) => metadataEditor.removeArtwork(trackIds),
+    onReplaceFile: (trackIds) => trackReplace.replaceFiles(trackIds),
+    onAnalyzeLoudness: (trackIds) => loudness.analyzeTracks(trackIds),
+    onEditSmartPlaylist: (playlistIndex) => smartPlaylists.showEdit(playlistIndex),
+    onRenamePlaylist: startPlaylistRename,
+    onExportPlaylist: (playlistIndex) => playlistExport.showModal(playlistIndex),
+    getFolderOptions: () => playlistFolders.getFolderOptions(),
+    getPlaylistFolderId: (playlistIndex) => playlistFolders.getPlaylistFolderId(playlistIndex),
+    onMovePlaylistToFolder: (playlistIndex, folderId) => playlistFolders.movePlaylist(playlistIndex, folderId),
+    onNewFolder: (parentId) => playlistFolders.createFolder(parentId),
+    onRenameFolder: (folderId) => playlistFolders.startFolderRename(folderId),
+    onDeleteFolder: (folderId) => playlistFolders.showDeleteModal(folderId),
+    onMoveTracks: (trackIds, where) => (where === 'top' ? trackOps.moveTracksToTop(trackIds) : trackOps.moveTracksToBottom(trackIds)),
+    isArtworkSupported,
     actions: {
         deletePlaylist,
         deleteTrack: trackOps.deleteTrack,
@@ -518,11 +730,34 @@ Object.assign(window, {
     uploadTracks,
     uploadFolder,
     saveDatabase: syncPipeline.saveDatabase,
+    cancelSync: syncPipeline.cancelSync,
+    resumeInterruptedSync: syncPipeline.resumeInterruptedSync,
+    rollBackInterruptedSync: syncPipeline.rollBackInterruptedSync,
+    hideSyncRecoveryModal: syncPipeline.hideSyncRecoveryModal,
+    showDbBackupsModal: dbBackups.showModal,
+    hideDbBackupsModal: dbBackups.hideModal,
+    restoreDatabaseBackup: dbBackups.restoreBackup,
     refreshTracks,
     showNewPlaylistModal,
     hideNewPlaylistModal,
     createPlaylist,
+    showNewSmartPlaylistModal: smartPlaylists.showNew,
+    showEditSmartPlaylistModal: smartPlaylists.showEdit,
+    hideSmartPlaylistModal: smartPlaylists.hide,
+    saveSmartPlaylist: smartPlaylists.save,
     selectPlaylist,
+    startPlaylistRename,
+    createPlaylistFolder: () => playlistFolders.createFolder(null),
+    togglePlaylistFolder: playlistFolders.toggleFolder,
+    startFolderRename: playlistFolders.startFolderRename,
+    hideDeleteFolderModal: playlistFolders.hideDeleteModal,
+    deletePlaylistFolder: playlistFolders.deleteFolder,
+    importPlaylist: playlistImport.importPlaylist,
+    queueUnmatchedPlaylistEntries: playlistImport.queueUnmatched,
+    hidePlaylistImportModal: playlistImport.hideReport,
+    showExportPlaylistsModal: () => playlistExport.showModal(null),
+    hideExportPlaylistsModal: playlistExport.hideModal,
+    exportPlaylists: playlistExport.exportPlaylists,
     filterTracks,
     deleteTrack: trackOps.deleteTrack,
     addTrackToPlaylist: trackOps.addTrackToPlaylist,
@@ -544,6 +779,32 @@ Object.assign(window, {
     confirmBugReport,
     showConsoleModal,
     hideConsoleModal,
+    applyDuplicateChoices: duplicates.applyReview,
+    hideDuplicateReviewModal: duplicates.hideReview,
+    showFindDuplicatesModal: duplicates.showFindDuplicates,
+    analyzeLoudness: () => loudness.analyzeTracks(null, { onlyMissing: true }),
+    hideFindDuplicatesModal: duplicates.hideFindDuplicates,
+    deleteSelectedDuplicates: duplicates.deleteSelectedDuplicates,
+    matchArtworkFromFolder: artworkMatcher.matchArtworkFromFolder,
+    applyArtworkMatches: artworkMatcher.applyMatches,
+    hideArtworkMatchModal: artworkMatcher.hideModal,
+    showSettingsModal: () => {
+        // The per-model profile applies to the connected iPod's model, when known.
+        const modelProfile = document.getElementById('settingModelTranscodeProfile');
+        const model = getModelName();
+        if (modelProfile) {
+            modelProfile.dataset.settingMapKey = model || '';
+            modelProfile.disabled = !model;
+        }
+        const modelLabel = document.getElementById('settingModelTranscodeProfileLabel');
+        if (modelLabel) modelLabel.textContent = model ? `Transcode profile for ${model}` : 'Transcode profile for this iPod model (connect an iPod first)';
+        settings.showModal();
+    },
+    hideSettingsModal: settings.hideModal,
+    saveSettings: () => {
+        settings.saveFromModal();
+        if (appState.isConnected) refreshCurrentView();
+    },
 });
 
 // === Initialization ===
@@ -578,6 +839,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     contextMenu.attachPlaylistContextMenus();
     contextMenu.attachTrackContextMenus();
     trackSelection.attach();
+    playlistReorder.attach();
 
     // Double-click a track row to open the metadata editor
     const trackTableBody = document.getElementById('trackTableBody');
@@ -592,7 +854,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const ok = await wasm.initWasm();
     appState.wasmReady = ok;
-    enableUIIfReady({ wasmReady: ok, isConnected: appState.isConnected });
+    enableUIIfReady({ wasmReady: ok, isConnected: appState.isConnected, artworkSupported: isArtworkSupported() });
 });
 
 document.addEventListener('keydown', (e) => {
@@ -0,0 +1,155 @@
+/**
+ * Artwork helpers shared by the metadata editor and the upload pipeline.
+ */
+
+export const ARTWORK_MAX_SIZE = 320; // iPod Classic max artwork dimension; used when the device formats are unknown
+
+// Image files picked up next to audio files during "Upload Folder", in order of preference.
+const FOLDER_COVER_NAMES = ['cover.jpg', 'cover.jpeg', 'cover.png', 'folder.jpg', 'folder.jpeg', 'folder.png'];
+
+/** Rank of a folder cover filename (lower is better), or -1 if it isn't one. */
+export function folderCoverRank(filename) {
+    return FOLDER_COVER_NAMES.indexOf(String(filename || '').toLowerCase());
+}
+
+/**
+ * Pick the image size to hand to libgpod for this device.
+ *
+ * libgpod renders every cover format from the one image it's given, so we
+ * produce the largest format's exact dimensions: cropped to fill it when the
+ * device crops artwork, otherwise padded with the format's background colour.
+ *
+ * @param {{ supported: boolean, formats: { width, height, crop, back_color }[] } | null} profile
+ *        From wasmGetArtworkFormats(); null if unknown (falls back to ARTWORK_MAX_SIZE).
+ * @returns {{ width?: number, height?: number, maxSize?: number, fit: 'fit'|'fill'|'pad', background?: string }}
+ */
+export function getArtworkTarget(profile) {
+    const formats = (profile?.formats || []).filter((f) => f.width > 0 && f.height > 0);
+    if (formats.length === 0) return { maxSize: ARTWORK_MAX_SIZE, fit: 'fit' };
+
+    const largest = formats.reduce((a, b) => (b.width * b.height > a.width * a.height ? b : a));
+    return {
+        width: largest.width,
+        height: largest.height,
+        fit: largest.crop ? 'fill' : 'pad',
+        background: largest.back_color || '#000000',
+    };
+}
+
+/** Decode an image file (Blob / File) into an HTMLImageElement. */
+export function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Failed to decode image'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Output box for 'fill' / 'pad': the target size, or a maxSize square when
+ * the device formats are unknown.
+ */
+export function getArtworkBox({ width, height, maxSize = ARTWORK_MAX_SIZE } = {}) {
+    return width > 0 && height > 0 ? { width, height } : { width: maxSize, height: maxSize };
+}
+
+/**
+ * Default 'fill' crop: the largest centred region of the source with the box's aspect ratio.
+ * @returns {{ x: number, y: number, w: number, h: number }} in source pixels
+ */
+export function getCenteredCrop(srcWidth, srcHeight, box) {
+    const aspect = box.width / box.height;
+    const w = Math.min(srcWidth, srcHeight * aspect);
+    const h = w / aspect;
+    return { x: (srcWidth - w) / 2, y: (srcHeight - h) / 2, w, h };
+}
+
+/**
+ * Render a decoded image to RGBA using an off-screen Canvas.
+ *
+ *   fit='fill' — the box is filled from `crop` (default: centred), overflow is cut off
+ *   fit='pad'  — the whole image is scaled into the box and padded with `background`
+ *   fit='fit'  — aspect ratio kept, scaled down to at most maxSize (or the box's
+ *                larger side); libgpod fits it into each format itself
+ *
+ * @returns {{ rgba: Uint8Array, width: number, height: number }}
+ */
+export function renderArtwork(img, {
+    maxSize = ARTWORK_MAX_SIZE,
+    width: targetWidth,
+    height: targetHeight,
+    fit = 'fit',
+    background = '#000000',
+    crop = null,
+} = {}) {
+    const srcWidth = img.naturalWidth || img.width;
+    const srcHeight = img.naturalHeight || img.height;
+
+    let width;
+    let height;
+    let source = [0, 0, srcWidth, srcHeight]; // [sx, sy, sw, sh]
+    let dest;                                  // [dx, dy, dw, dh]
+    if (fit === 'fill' || fit === 'pad') {
+        ({ width, height } = getArtworkBox({ width: targetWidth, height: targetHeight, maxSize }));
+        if (fit === 'fill') {
+            const c = crop || getCenteredCrop(srcWidth, srcHeight, { width, height });
+            source = [c.x, c.y, c.w, c.h];
+            dest = [0, 0, width, height];
+        } else {
+            const scale = Math.min(width / srcWidth, height / srcHeight);
+            const dw = Math.round(srcWidth * scale);
+            const dh = Math.round(srcHeight * scale);
+            dest = [Math.round((width - dw) / 2), Math.round((height - dh) / 2), dw, dh];
+        }
+    } else {
+        const limit = targetWidth > 0 && targetHeight > 0 ? Math.max(targetWidth, targetHeight) : maxSize;
+        const scale = Math.min(1, limit / Math.max(srcWidth, srcHeight));
+        width  = Math.round(srcWidth  * scale);
+        height = Math.round(srcHeight * scale);
+        dest = [0, 0, width, height];
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width  = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (fit === 'pad') {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(img, ...source, ...dest);
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    return {
+        rgba:   new Uint8Array(imageData.data.buffer),
+        width,
+        height,
+    };
+}
+
+/**
+ * Decode an image file (Blob / File) and resize it for the iPod.
+ * Options are those of renderArtwork(), typically from getArtworkTarget().
+ * Returns the raw RGBA Uint8Array plus dimensions.
+ */
+export async function decodeAndResizeImage(file, options = {}) {
+    return renderArtwork(await loadImage(file), options);
+}
+
+/** Encode RGBA pixels (as returned by wasmGetTrackArtworkRGBA) into a PNG data URL. */
+export function rgbaToDataUrl({ rgba, width, height }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const pixels = rgba instanceof Uint8ClampedArray ? rgba : new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.byteLength);
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    return canvas.toDataURL('image/png');
+}
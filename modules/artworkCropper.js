@@ -0,0 +1,227 @@
+/**
+ * In-modal artwork editor: drag a square (device-aspect) crop region over the
+ * picked image, or choose pad / fit, and render the result to RGBA for
+ * wasmSetTrackArtworkRGBA.
+ */
+
+import { getArtworkBox, getCenteredCrop, loadImage, renderArtwork } from './artwork.js';
+
+const MIN_ZOOM = 10; // smallest crop, as % of the largest possible crop
+
+export function createArtworkCropper({ onChange } = {}) {
+    let img = null;
+    let target = {};      // from getArtworkTarget()
+    let crop = null;      // { x, y, w, h } in source pixels
+    let zoom = 100;
+    let drag = null;      // { startX, startY, cropX, cropY } while dragging
+
+    const els = () => ({
+        root: document.getElementById('artworkCropper'),
+        canvas: document.getElementById('artworkCropCanvas'),
+        fit: document.getElementById('artworkFitMode'),
+        zoom: document.getElementById('artworkCropZoom'),
+        background: document.getElementById('artworkBgColor'),
+    });
+
+    function getFit() {
+        return els().fit?.value || 'fill';
+    }
+
+    function getBackground() {
+        return els().background?.value || '#000000';
+    }
+
+    function srcSize() {
+        return { w: img.naturalWidth || img.width, h: img.naturalHeight || img.height };
+    }
+
+    /** Resize the crop around its centre to the current zoom, keeping it inside the image. */
+    function applyZoom() {
+        const { w: sw, h: sh } = srcSize();
+        const full = getCenteredCrop(sw, sh, getArtworkBox(target));
+        const w = full.w * (zoom / 100);
+        const h = full.h * (zoom / 100);
+        const cx = crop ? crop.x + crop.w / 2 : sw / 2;
+        const cy = crop ? crop.y + crop.h / 2 : sh / 2;
+        crop = clampCrop({ x: cx - w / 2, y: cy - h / 2, w, h });
+    }
+
+    function clampCrop(c) {
+        const { w: sw, h: sh } = srcSize();
+        return {
+            ...c,
+            x: Math.max(0, Math.min(sw - c.w, c.x)),
+            y: Math.max(0, Math.min(sh - c.h, c.y)),
+        };
+    }
+
+    /** Source image → canvas transform (image letterboxed inside the editor canvas). */
+    function getView(canvas) {
+        const { w: sw, h: sh } = srcSize();
+        const scale = Math.min(canvas.width / sw, canvas.height / sh);
+        return {
+            scale,
+            ox: (canvas.width - sw * scale) / 2,
+            oy: (canvas.height - sh * scale) / 2,
+        };
+    }
+
+    function draw() {
+        const { canvas } = els();
+        if (!canvas || !img) return;
+        const ctx = canvas.getContext('2d');
+        const fit = getFit();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (fit === 'fill') {
+            const { w: sw, h: sh } = srcSize();
+            const { scale, ox, oy } = getView(canvas);
+            ctx.drawImage(img, ox, oy, sw * scale, sh * scale);
+
+            // Dim everything outside the crop region
+            const rx = ox + crop.x * scale;
+            const ry = oy + crop.y * scale;
+            const rw = crop.w * scale;
+            const rh = crop.h * scale;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.fillRect(0, 0, canvas.width, ry);
+            ctx.fillRect(0, ry + rh, canvas.width, canvas.height - ry - rh);
+            ctx.fillRect(0, ry, rx, rh);
+            ctx.fillRect(rx + rw, ry, canvas.width - rx - rw, rh);
+            ctx.strokeStyle = '#ff8c42';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(rx + 1, ry + 1, rw - 2, rh - 2);
+        } else {
+            // Preview the output shape: the box (padded with the background) or the bare image
+            const { w: sw, h: sh } = srcSize();
+            const box = fit === 'pad' ? getArtworkBox(target) : { width: sw, height: sh };
+            const boxScale = Math.min(canvas.width / box.width, canvas.height / box.height);
+            const bw = box.width * boxScale;
+            const bh = box.height * boxScale;
+            const bx = (canvas.width - bw) / 2;
+            const by = (canvas.height - bh) / 2;
+            if (fit === 'pad') {
+                ctx.fillStyle = getBackground();
+                ctx.fillRect(bx, by, bw, bh);
+            }
+            const imgScale = Math.min(bw / sw, bh / sh);
+            const iw = sw * imgScale;
+            const ih = sh * imgScale;
+            ctx.drawImage(img, bx + (bw - iw) / 2, by + (bh - ih) / 2, iw, ih);
+        }
+
+        const { zoom: zoomEl, background } = els();
+        if (zoomEl) zoomEl.disabled = fit !== 'fill';
+        if (background) background.disabled = fit !== 'pad';
+    }
+
+    function changed() {
+        draw();
+        onChange?.();
+    }
+
+    // ── pointer handling ────────────────────────────────────────────────────
+
+    function onPointerDown(e) {
+        if (!img || getFit() !== 'fill') return;
+        const { canvas } = els();
+        drag = { startX: e.offsetX, startY: e.offsetY, cropX: crop.x, cropY: crop.y };
+        canvas.setPointerCapture?.(e.pointerId);
+        e.preventDefault();
+    }
+
+    function onPointerMove(e) {
+        if (!drag) return;
+        const { scale } = getView(els().canvas);
+        crop = clampCrop({
+            ...crop,
+            x: drag.cropX + (e.offsetX - drag.startX) / scale,
+            y: drag.cropY + (e.offsetY - drag.startY) / scale,
+        });
+        draw();
+    }
+
+    function onPointerUp() {
+        if (!drag) return;
+        drag = null;
+        onChange?.();
+    }
+
+    function onWheel(e) {
+        if (!img || getFit() !== 'fill') return;
+        e.preventDefault();
+        zoom = Math.max(MIN_ZOOM, Math.min(100, zoom + (e.deltaY > 0 ? 5 : -5)));
+        const { zoom: zoomEl } = els();
+        if (zoomEl) zoomEl.value = String(zoom);
+        applyZoom();
+        changed();
+    }
+
+    /** One-time DOM wiring. */
+    function init() {
+        const { canvas, fit, zoom: zoomEl, background } = els();
+        if (!canvas) return;
+        canvas.addEventListener('pointerdown', onPointerDown);
+        canvas.addEventListener('pointermove', onPointerMove);
+        canvas.addEventListener('pointerup', onPointerUp);
+        canvas.addEventListener('pointercancel', onPointerUp);
+        canvas.addEventListener('wheel', onWheel, { passive: false });
+        fit?.addEventListener('change', changed);
+        background?.addEventListener('input', changed);
+        zoomEl?.addEventListener('input', () => {
+            zoom = Math.max(MIN_ZOOM, Math.min(100, Number(zoomEl.value) || 100));
+            if (img) {
+                applyZoom();
+                changed();
+            }
+        });
+    }
+
+    // ── public API ──────────────────────────────────────────────────────────
+
+    /**
+     * Load a picked image into the editor.
+     * @param {File|Blob} file
+     * @param {object} artworkTarget  From getArtworkTarget(); sets the crop aspect and default mode.
+     */
+    async function open(file, artworkTarget = {}) {
+        img = await loadImage(file);
+        target = artworkTarget || {};
+        crop = null;
+        zoom = 100;
+
+        const { root, fit, zoom: zoomEl, background } = els();
+        if (fit) fit.value = target.fit === 'pad' ? 'pad' : 'fill';
+        if (zoomEl) zoomEl.value = '100';
+        if (background) background.value = /^#[0-9a-f]{6}$/i.test(target.background || '') ? target.background : '#000000';
+        applyZoom();
+        if (root) root.style.display = 'flex';
+        draw();
+    }
+
+    function close() {
+        img = null;
+        crop = null;
+        drag = null;
+        const { root } = els();
+        if (root) root.style.display = 'none';
+    }
+
+    function isOpen() {
+        return img !== null;
+    }
+
+    /** Render the current editor state at the device's artwork size. */
+    function render() {
+        if (!img) return null;
+        const fit = getFit();
+        return renderArtwork(img, {
+            ...target,
+            fit,
+            background: getBackground(),
+            crop: fit === 'fill' ? crop : null,
+        });
+    }
+
+    return { init, open, close, isOpen, render };
+}
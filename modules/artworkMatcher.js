@@ -0,0 +1,209 @@
+/**
+ * "Match artwork from folder": pair cover images named "Artist - Album.jpg"
+ * with the album groups on the iPod, let the user review, then apply in bulk.
+ * Everything runs locally against a directory handle.
+ */
+
+import { decodeAndResizeImage, getArtworkTarget } from './artwork.js';
+import { similarity } from './textMatch.js';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp'];
+const MIN_CONFIDENCE = 0.5;       // below this, no match is proposed
+const AUTO_SELECT_CONFIDENCE = 0.8; // at or above this, the match is pre-checked
+const ALBUM_ONLY_PENALTY = 0.85;  // "Album.jpg" (no artist) is a weaker signal
+
+function isImageFile(filename) {
+    const lower = String(filename || '').toLowerCase();
+    return IMAGE_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+/**
+ * Group tracks into albums (album artist, else artist; compilations under "Various Artists").
+ * @returns {{ key, artist, album, trackIds: number[], hasArtwork: boolean }[]}
+ */
+export function groupTracksByAlbum(tracks) {
+    const groups = new Map();
+    for (const t of tracks || []) {
+        const album = String(t?.album || '').trim();
+        if (!album || !Number.isFinite(Number(t.id))) continue;
+        const artist = t.compilation ? 'Various Artists' : String(t.albumartist || t.artist || '').trim();
+        const key = `${artist.toLowerCase()}\u0000${album.toLowerCase()}`;
+        if (!groups.has(key)) groups.set(key, { key, artist, album, trackIds: [], hasArtwork: false });
+        const group = groups.get(key);
+        group.trackIds.push(Number(t.id));
+        if (t.has_artwork) group.hasArtwork = true;
+    }
+    return [...groups.values()];
+}
+
+/** Score an image filename (without extension) against an album group. */
+function scoreImageName(baseName, group) {
+    const parts = baseName.split(/\s+-\s+/);
+    let best = similarity(baseName, group.album) * ALBUM_ONLY_PENALTY;
+    // Try every split point: artists and albums may both contain " - ".
+    for (let i = 1; i < parts.length; i++) {
+        const artist = parts.slice(0, i).join(' - ');
+        const album = parts.slice(i).join(' - ');
+        const score = 0.4 * similarity(artist, group.artist) + 0.6 * similarity(album, group.album);
+        if (score > best) best = score;
+    }
+    return best;
+}
+
+/**
+ * Propose the best image for each album group.
+ * @param {ReturnType<typeof groupTracksByAlbum>} groups
+ * @param {string[]} imageNames  Filenames found in the artwork folder.
+ * @returns {{ group, imageName: string, confidence: number }[]} Sorted by confidence, best first.
+ */
+export function proposeArtworkMatches(groups, imageNames) {
+    const images = (imageNames || []).map((name) => ({ name, base: name.replace(/\.[^/.]+$/, '') }));
+    const proposals = [];
+    for (const group of groups) {
+        let best = null;
+        for (const image of images) {
+            const confidence = scoreImageName(image.base, group);
+            if (!best || confidence > best.confidence) best = { imageName: image.name, confidence };
+        }
+        if (best && best.confidence >= MIN_CONFIDENCE) proposals.push({ group, ...best });
+    }
+    return proposals.sort((a, b) => b.confidence - a.confidence);
+}
+
+export function createArtworkMatcher({ appState, wasm, log, escapeHtml, refreshCurrentView, isArtworkSupported } = {}) {
+    let proposals = [];
+    let imageHandles = new Map(); // filename → FileSystemFileHandle
+
+    function setStatus(text) {
+        const el = document.getElementById('artworkMatchStatus');
+        if (el) el.textContent = text;
+    }
+
+    function renderProposals() {
+        const tbody = document.getElementById('artworkMatchTableBody');
+        if (!tbody) return;
+        tbody.innerHTML = proposals.map((p, i) => {
+            const checked = p.confidence >= AUTO_SELECT_CONFIDENCE && !p.group.hasArtwork;
+            const pct = Math.round(p.confidence * 100);
+            const confidenceClass = p.confidence >= AUTO_SELECT_CONFIDENCE ? 'high' : 'low';
+            return `
+                <tr>
+                    <td><input type="checkbox" data-match-index="${i}" ${checked ? 'checked' : ''}></td>
+                    <td>${escapeHtml(p.group.album)}${p.group.hasArtwork ? ' <span class="match-note">(replaces artwork)</span>' : ''}</td>
+                    <td>${escapeHtml(p.group.artist || 'Unknown')}</td>
+                    <td>${p.group.trackIds.length}</td>
+                    <td>${escapeHtml(p.imageName)}</td>
+                    <td class="match-confidence ${confidenceClass}">${pct}%</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async function matchArtworkFromFolder() {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+        if (isArtworkSupported?.() === false) {
+            log?.("This iPod model doesn't display album artwork", 'warning');
+            return;
+        }
+
+        let dirHandle;
+        try {
+            dirHandle = await window.showDirectoryPicker({ mode: 'read' });
+        } catch (e) {
+            if (e.name !== 'AbortError') log?.(`Folder selection failed: ${e.message}`, 'error');
+            return;
+        }
+
+        imageHandles = new Map();
+        for await (const entry of dirHandle.values()) {
+            if (entry.kind === 'file' && isImageFile(entry.name)) imageHandles.set(entry.name, entry);
+        }
+        if (imageHandles.size === 0) {
+            log?.('No images found in the selected folder', 'warning');
+            return;
+        }
+
+        const groups = groupTracksByAlbum(appState.tracks);
+        proposals = proposeArtworkMatches(groups, [...imageHandles.keys()]);
+        if (proposals.length === 0) {
+            log?.(`No album matches found among ${imageHandles.size} image(s)`, 'warning');
+            return;
+        }
+
+        renderProposals();
+        setStatus(`${proposals.length} of ${groups.length} albums matched from ${imageHandles.size} image(s). Review and apply.`);
+        document.getElementById('artworkMatchModal')?.classList.add('show');
+    }
+
+    function hideModal() {
+        document.getElementById('artworkMatchModal')?.classList.remove('show');
+        proposals = [];
+        imageHandles = new Map();
+    }
+
+    function getCheckedProposals() {
+        const boxes = document.querySelectorAll('#artworkMatchTableBody input[data-match-index]:checked');
+        return Array.from(boxes).map((el) => proposals[Number(el.dataset.matchIndex)]).filter(Boolean);
+    }
+
+    async function applyMatches() {
+        const selected = getCheckedProposals();
+        if (selected.length === 0) {
+            log?.('No matches selected', 'warning');
+            return;
+        }
+
+        const applyBtn = document.getElementById('artworkMatchApplyBtn');
+        if (applyBtn) applyBtn.disabled = true;
+
+        const target = getArtworkTarget(appState.artworkProfile);
+        let albumsDone = 0;
+        let tracksDone = 0;
+        try {
+            for (const { group, imageName } of selected) {
+                setStatus(`Applying ${albumsDone + 1} of ${selected.length}: ${group.album}`);
+
+                let decoded;
+                try {
+                    decoded = await decodeAndResizeImage(await imageHandles.get(imageName).getFile(), target);
+                } catch (e) {
+                    log?.(`Could not read ${imageName}: ${e?.message || e}`, 'warning');
+                    continue;
+                }
+
+                // Set the image on one track (the next one if that fails); the rest of the album shares it.
+                let source = null;
+                let result = -1;
+                for (const trackId of group.trackIds) {
+                    result = wasm.wasmSetTrackArtworkRGBA(trackId, decoded.rgba, decoded.width, decoded.height);
+                    if (result === 0) source = trackId;
+                    if (result === 0 || result === -2) break;
+                }
+                if (result === -2) break; // no GdkPixbuf in this build (already logged)
+                if (source === null) {
+                    log?.(`Could not set artwork for "${group.album}"`, 'warning');
+                    continue;
+                }
+                tracksDone += 1;
+                for (const trackId of group.trackIds) {
+                    if (trackId === source) continue;
+                    if (wasm.wasmCallWithError('ipod_track_share_artwork', trackId, source) === 0) tracksDone += 1;
+                }
+                albumsDone += 1;
+            }
+        } finally {
+            if (applyBtn) applyBtn.disabled = false;
+        }
+
+        if (albumsDone > 0) {
+            log?.(`Set artwork for ${albumsDone} album(s) (${tracksDone} tracks). Click "Sync iPod" to save to device.`, 'success');
+            refreshCurrentView?.();
+        }
+        hideModal();
+    }
+
+    return { matchArtworkFromFolder, applyMatches, hideModal };
+}
@@ -0,0 +1,71 @@
+import { rgbaToDataUrl } from './artwork.js';
+
+const THUMB_SIZE = 64; // decoded size; displayed at 32px for HiDPI screens
+
+/**
+ * Lazily loads artwork thumbnails for the optional artwork column in the track table.
+ * Thumbnails are decoded from the device's ArtworkDB only when a row scrolls into view.
+ */
+export function createArtworkThumbnails({ wasm, settings, isArtworkSupported, loadArtwork } = {}) {
+    // track index → data URL ('' when the track turned out to have no artwork)
+    let cache = new Map();
+    let observer = null;
+    let observeCount = 0; // a newer observe() call supersedes one still waiting for the artwork
+
+    function isEnabled() {
+        return Boolean(settings?.get?.('showArtworkColumn')) && isArtworkSupported?.() !== false;
+    }
+
+    function getThumbnailUrl(trackId) {
+        if (!cache.has(trackId)) {
+            const art = wasm.wasmGetTrackArtworkRGBA?.(trackId, THUMB_SIZE);
+            cache.set(trackId, art ? rgbaToDataUrl(art) : '');
+        }
+        return cache.get(trackId);
+    }
+
+    function fillCell(cell) {
+        const trackId = Number(cell.dataset.artworkTrackId);
+        if (!Number.isFinite(trackId)) return;
+        const url = getThumbnailUrl(trackId);
+        if (url) cell.innerHTML = `<img src="${url}" alt="">`;
+    }
+
+    /** Start loading thumbnails for the artwork cells inside container. */
+    async function observe(container) {
+        observer?.disconnect();
+        observer = null;
+        const call = ++observeCount;
+        const cells = container?.querySelectorAll?.('td[data-artwork-track-id]') || [];
+        if (cells.length === 0) return;
+
+        // The first thumbnails shown copy the device's artwork files into memory.
+        try {
+            await loadArtwork?.();
+        } catch (_) {
+            return;
+        }
+        if (call !== observeCount) return;
+
+        if (typeof IntersectionObserver === 'undefined') {
+            cells.forEach(fillCell);
+            return;
+        }
+
+        observer = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                if (!entry.isIntersecting) continue;
+                observer.unobserve(entry.target);
+                fillCell(entry.target);
+            }
+        }, { rootMargin: '200px' });
+        cells.forEach((cell) => observer.observe(cell));
+    }
+
+    /** Forget cached thumbnails (track indices change whenever the track list does). */
+    function clear() {
+        cache = new Map();
+    }
+
+    return { isEnabled, observe, clear };
+}
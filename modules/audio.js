@@ -14,9 +14,12 @@ export function getFiletypeFromName(filename) {
     return 'MPEG audio file';
 }
 
+// Extensions accepted for upload; formats the iPod can't play are converted on sync (see transcode.js).
+export const AUDIO_FILE_EXTENSIONS = ['mp3', 'm4a', 'aac', 'wav', 'aiff', 'flac', 'ogg', 'oga', 'opus', 'wma', 'ape', 'wv', 'caf'];
+
 export function isAudioFile(filename) {
     const ext = String(filename || '').toLowerCase().split('.').pop();
-    return ['mp3', 'm4a', 'aac', 'wav', 'aiff', 'flac'].includes(ext);
+    return AUDIO_FILE_EXTENSIONS.includes(ext);
 }
 
 function fallbackTagsFromFilename(file) {
@@ -60,6 +63,82 @@ async function getDurationViaHtmlAudioMetadata(file) {
     });
 }
 
+/**
+ * Sound Check value from a ReplayGain gain in dB (as iTunes/libgpod expect it):
+ * 1000 * 10^(-gain/10). 1000 means "no adjustment"; 0 means unset.
+ */
+export function soundCheckFromReplayGain(gainDb) {
+    if (!Number.isFinite(gainDb)) return 0;
+    const value = Math.round(1000 * Math.pow(10, -gainDb / 10));
+    return Math.max(1, Math.min(0xFFFFFFFF, value));
+}
+
+/**
+ * Sound Check value from an iTunNORM comment (" 00000A2C 00000A2C ...").
+ * The first two hex words are the left/right adjustments at 1/1000 W; use the larger.
+ */
+export function soundCheckFromITunNorm(iTunNorm) {
+    const words = String(iTunNorm || '').trim().split(/\s+/).map((w) => parseInt(w, 16));
+    const [left, right] = words;
+    if (!Number.isFinite(left)) return 0;
+    return Math.max(left, Number.isFinite(right) ? right : 0) >>> 0;
+}
+
+/**
+ * ReplayGain-equivalent gain in dB from an Opus R128_TRACK_GAIN tag: a Q7.8
+ * integer relative to -23 LUFS, whereas ReplayGain 2.0 targets -18 LUFS.
+ */
+export function replayGainFromR128(r128Gain) {
+    const value = Number.parseInt(r128Gain, 10);
+    return Number.isFinite(value) ? value / 256 + 5 : null;
+}
+
+/** Sound Check value from a measured integrated loudness (EBU R128, LUFS). */
+export function soundCheckFromLoudness(lufs) {
+    return Number.isFinite(lufs) ? soundCheckFromReplayGain(-18 - lufs) : 0;
+}
+
+/** Prefer the file's ReplayGain track gain, then its R128 gain, then iTunNORM. */
+export function computeSoundCheck(tags) {
+    if (Number.isFinite(tags?.replayGainTrackDb)) return soundCheckFromReplayGain(tags.replayGainTrackDb);
+    if (Number.isFinite(tags?.r128TrackGainDb)) return soundCheckFromReplayGain(tags.r128TrackGainDb);
+    if (tags?.iTunNorm) return soundCheckFromITunNorm(tags.iTunNorm);
+    return 0;
+}
+
+// iTunes stores bookkeeping (iTunNORM, iTunSMPB, iTunPGAP) as comments; skip those.
+function isITunesInternalComment(comment) {
+    return /^iTun/i.test(String(comment?.descriptor || ''));
+}
+
+function findNativeTagText(metadata, matches) {
+    for (const tags of Object.values(metadata?.native || {})) {
+        for (const tag of tags || []) {
+            if (!matches(tag)) continue;
+            const v = tag.value;
+            const text = typeof v === 'string' ? v : (v?.text ?? '');
+            if (text) return String(text);
+        }
+    }
+    return '';
+}
+
+function findR128TrackGain(metadata) {
+    return replayGainFromR128(findNativeTagText(metadata, ({ id }) => /^R128_TRACK_GAIN$/i.test(String(id || ''))));
+}
+
+function findITunSmpb(metadata) {
+    return findNativeTagText(metadata, ({ id, value }) =>
+        /iTunSMPB$/i.test(String(id || '')) ||
+        (id === 'COMM' && value?.descriptor === 'iTunSMPB'));
+}
+
+function findITunNorm(metadata) {
+    return findNativeTagText(metadata, ({ id, value }) =>
+        /iTunNORM$/i.test(String(id || '')) ||
+        (id === 'COMM' && value?.descriptor === 'iTunNORM'));
+}
+
 export async function readAudioMetadata(file) {
     // IMPORTANT: Never return NaN/Infinity here.
     // Emscripten coerces NaN/Infinity to 0 for int args, producing 0:00 durations on-device.
@@ -74,6 +153,7 @@ export async function readAudioMetadata(file) {
 
         const trackNo = Number.isFinite(c.track?.no) ? c.track.no : (Number.isFinite(c.track) ? c.track : 0);
         const year = Number.isFinite(c.year) ? c.year : 0;
+        const comment = (c.comment || []).find((cm) => cm?.text && !isITunesInternalComment(cm));
 
         const tags = {
             title: c.title || file.name.replace(/\.[^/.]+$/, ''),
@@ -82,6 +162,25 @@ export async function readAudioMetadata(file) {
             genre: (Array.isArray(c.genre) ? c.genre[0] : c.genre) || '',
             track: Number.isFinite(trackNo) ? trackNo : 0,
             year,
+            sortTitle: c.titlesort || '',
+            sortArtist: c.artistsort || '',
+            sortAlbum: c.albumsort || '',
+            sortAlbumArtist: c.albumartistsort || '',
+            sortComposer: c.composersort || '',
+            albumArtist: c.albumartist || '',
+            composer: (Array.isArray(c.composer) ? c.composer.join(', ') : c.composer) || '',
+            comment: comment?.text || '',
+            trackTotal: Number.isFinite(c.track?.of) ? c.track.of : 0,
+            disc: Number.isFinite(c.disk?.no) ? c.disk.no : 0,
+            discTotal: Number.isFinite(c.disk?.of) ? c.disk.of : 0,
+            bpm: Number.isFinite(c.bpm) && c.bpm > 0 ? Math.round(c.bpm) : 0,
+            compilation: Boolean(c.compilation),
+            hasLyrics: (c.lyrics || []).some((l) => l?.text || l?.syncText?.length),
+            replayGainTrackDb: Number.isFinite(c.replaygain_track_gain?.dB) ? c.replaygain_track_gain.dB : null,
+            r128TrackGainDb: findR128TrackGain(metadata),
+            iTunNorm: findITunNorm(metadata),
+            iTunSmpb: findITunSmpb(metadata),
+            gaplessAlbum: Boolean(c.gapless),
         };
 
         // Prefer music-metadata duration when available
@@ -109,7 +208,12 @@ export async function readAudioMetadata(file) {
 
         const samplerate = Number.isFinite(fmt.sampleRate) && fmt.sampleRate > 0 ? fmt.sampleRate : DEFAULT_PROPS.samplerate;
 
-        return { tags, props: { duration, bitrate, samplerate } };
+        // Bit depth of lossless / PCM sources (0 when the format has none, e.g. MP3).
+        const bitsPerSample = Number.isFinite(fmt.bitsPerSample) && fmt.bitsPerSample > 0 ? fmt.bitsPerSample : 0;
+
+        const sampleCount = Number.isFinite(fmt.numberOfSamples) && fmt.numberOfSamples > 0 ? fmt.numberOfSamples : 0;
+
+        return { tags, props: { duration, bitrate, samplerate, bitsPerSample, sampleCount, lossless: Boolean(fmt.lossless) } };
     } catch (_) {
         // Fallback: filename tags + (optional) HTML duration + average bitrate
         const tags = fallbackTagsFromFilename(file);
@@ -125,6 +229,200 @@ export async function readAudioMetadata(file) {
     }
 }
 
+// ── gapless playback ────────────────────────────────────────────────────────
+
+/**
+ * Parse an iTunSMPB comment (" 00000000 00000840 000001CA 00000000003F31F6 ...").
+ * Words 2-4 are the encoder delay, padding and real sample count.
+ * @returns {{ pregap: number, postgap: number, sampleCount: number } | null}
+ */
+export function parseITunSmpb(text) {
+    const words = String(text || '').trim().split(/\s+/);
+    if (words.length < 4) return null;
+    const [pregap, postgap, sampleCount] = words.slice(1, 4).map((w) => parseInt(w, 16));
+    if (![pregap, postgap, sampleCount].every(Number.isFinite) || sampleCount <= 0) return null;
+    return { pregap, postgap, sampleCount };
+}
+
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// mpg123 / LAME decoder delay; iTunes counts it in the MP3 pregap.
+const MP3_DECODER_DELAY = 529;
+
+/** Decode an MPEG audio Layer III frame header at `pos`, or null if there isn't one. */
+function readMp3FrameHeader(bytes, pos) {
+    if (pos + 4 > bytes.length || bytes[pos] !== 0xFF || (bytes[pos + 1] & 0xE0) !== 0xE0) return null;
+    const version = (bytes[pos + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+    const layer = (bytes[pos + 1] >> 1) & 0x03;   // 1 = Layer III
+    const bitrateIndex = bytes[pos + 2] >> 4;
+    const rateIndex = (bytes[pos + 2] >> 2) & 0x03;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+    const mpeg1 = version === 3;
+    const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[version][rateIndex];
+    const padding = (bytes[pos + 2] >> 1) & 0x01;
+    const mono = (bytes[pos + 3] >> 6) === 3;
+    return {
+        size: Math.floor(((mpeg1 ? 144 : 72) * bitrate) / sampleRate) + padding,
+        samplesPerFrame: mpeg1 ? 1152 : 576,
+        sideInfoSize: mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17),
+    };
+}
+
+function id3v2Size(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) return 0;
+    const size = ((bytes[6] & 0x7F) << 21) | ((bytes[7] & 0x7F) << 14) | ((bytes[8] & 0x7F) << 7) | (bytes[9] & 0x7F);
+    return 10 + size + ((bytes[5] & 0x10) ? 10 : 0);
+}
+
+// Only the start (first frame, Xing/LAME tag) and the end (last frames) of an MP3
+// are read, so large files such as DJ mixes are never loaded whole.
+const MP3_HEAD_WINDOW = 64 * 1024;
+const MP3_TAIL_WINDOW = 64 * 1024;
+
+async function readBytes(file, start, end) {
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+/** Offset where the audio frames end: before an ID3v1 and/or APEv2 tag. */
+async function findMp3AudioEnd(file) {
+    let end = file.size;
+    const id3v1 = end >= 128 ? await readBytes(file, end - 128, end - 125) : null;
+    if (id3v1 && String.fromCharCode(...id3v1) === 'TAG') end -= 128;
+    if (end >= 32) {
+        const footer = await readBytes(file, end - 32, end);
+        if (String.fromCharCode(...footer.subarray(0, 8)) === 'APETAGEX') {
+            const view = new DataView(footer.buffer);
+            const size = view.getUint32(12, true);
+            const hasHeader = (view.getUint32(20, true) & 0x80000000) !== 0;
+            end = Math.max(0, end - size - (hasHeader ? 32 : 0));
+        }
+    }
+    return end;
+}
+
+/**
+ * Offset of the 8th-from-last frame, found in the last MP3_TAIL_WINDOW bytes: the
+ * first sync position from which frames follow one another up to the end of the audio.
+ */
+async function findMp3EighthFromLastFrame(file, firstFrame) {
+    const audioEnd = await findMp3AudioEnd(file);
+    const tailStart = Math.max(firstFrame, audioEnd - MP3_TAIL_WINDOW);
+    const bytes = await readBytes(file, tailStart, audioEnd);
+    for (let pos = 0; pos < bytes.length - 4; pos++) {
+        const offsets = [];
+        let at = pos;
+        for (let frame = readMp3FrameHeader(bytes, at); frame && at < bytes.length; frame = readMp3FrameHeader(bytes, at)) {
+            offsets.push(at);
+            at += frame.size;
+        }
+        if (at >= bytes.length && offsets.length > 0) {
+            return offsets.length > 8 ? tailStart + offsets[offsets.length - 8] : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Gapless info of an MP3 from its Xing/Info frame's LAME tag (or iTunSMPB), plus the
+ * iTunes "gapless data": bytes from the first frame to the 8th-from-last frame.
+ */
+async function readMp3Gapless(file, iTunSmpb) {
+    const headStart = id3v2Size(await readBytes(file, 0, 10));
+    const bytes = await readBytes(file, headStart, headStart + MP3_HEAD_WINDOW);
+
+    let pos = 0;
+    let header = null;
+    for (; pos < bytes.length - 4; pos++) {
+        header = readMp3FrameHeader(bytes, pos);
+        if (header && readMp3FrameHeader(bytes, pos + header.size)) break; // two frames in a row: real sync
+        header = null;
+    }
+    if (!header) return null;
+
+    let gapless = null;
+    const xing = pos + 4 + header.sideInfoSize;
+    const tagId = String.fromCharCode(...bytes.subarray(xing, xing + 4));
+    if (tagId === 'Xing' || tagId === 'Info') {
+        const flags = (bytes[xing + 4] << 24) | (bytes[xing + 5] << 16) | (bytes[xing + 6] << 8) | bytes[xing + 7];
+        let at = xing + 8;
+        const frames = (flags & 0x01) ? ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0 : 0;
+        if (flags & 0x01) at += 4;
+        if (flags & 0x02) at += 4;
+        if (flags & 0x04) at += 100;
+        if (flags & 0x08) at += 4;
+        // LAME extension: 9-byte encoder name, 12 bytes of settings, then 12-bit delay + 12-bit padding.
+        if (frames > 0 && String.fromCharCode(...bytes.subarray(at, at + 4)) === 'LAME') {
+            const d = at + 21;
+            const delay = (bytes[d] << 4) | (bytes[d + 1] >> 4);
+            const padding = ((bytes[d + 1] & 0x0F) << 8) | bytes[d + 2];
+            const sampleCount = frames * header.samplesPerFrame - delay - padding;
+            if (sampleCount > 0) {
+                gapless = {
+                    pregap: delay + MP3_DECODER_DELAY,
+                    postgap: Math.max(0, padding - MP3_DECODER_DELAY),
+                    sampleCount,
+                };
+            }
+        }
+    }
+    gapless = gapless || parseITunSmpb(iTunSmpb);
+    if (!gapless) return null;
+
+    const firstFrame = headStart + pos;
+    const eighthFromLast = await findMp3EighthFromLastFrame(file, firstFrame);
+    return { ...gapless, gaplessData: eighthFromLast != null ? eighthFromLast - firstFrame : 0 };
+}
+
+/**
+ * Gapless playback info (libgpod pregap / postgap / samplecount / gapless_data)
+ * for the file that gets uploaded.
+ *   MP3: LAME tag or iTunSMPB; AAC: iTunSMPB; lossless (ALAC, WAV, AIFF): no delay or padding.
+ * @param {File} file
+ * @param {{ iTunSmpb?: string, sampleCount?: number, lossless?: boolean, durationMs?: number, samplerateHz?: number }} meta
+ * @returns {Promise<{ pregap: number, postgap: number, sampleCount: number, gaplessData: number } | null>}
+ */
+export async function readGaplessInfo(file, meta = {}) {
+    try {
+        if (/\.mp3$/i.test(file?.name || '')) return await readMp3Gapless(file, meta.iTunSmpb);
+
+        const smpb = parseITunSmpb(meta.iTunSmpb);
+        if (smpb) return { ...smpb, gaplessData: 0 };
+
+        if (meta.lossless) {
+            const sampleCount = meta.sampleCount > 0
+                ? meta.sampleCount
+                : Math.round(((meta.durationMs || 0) / 1000) * (meta.samplerateHz || 0));
+            if (sampleCount > 0) return { pregap: 0, postgap: 0, sampleCount, gaplessData: 0 };
+        }
+    } catch (_) {
+        // unreadable file: upload without gapless info
+    }
+    return null;
+}
+
+/**
+ * Read the embedded cover picture (ID3 APIC, MP4 covr, FLAC PICTURE / Vorbis METADATA_BLOCK_PICTURE).
+ * Kept separate from readAudioMetadata so queued tracks don't hold image bytes in memory.
+ * @returns {Promise<Blob|null>} The front cover (or first picture), or null if there is none.
+ */
+export async function readEmbeddedPicture(file) {
+    try {
+        const metadata = await parseBlob(file, { skipCovers: false, skipPostHeaders: true, duration: false });
+        const pictures = (metadata?.common?.picture || []).filter((p) => p?.data?.length);
+        const picture = pictures.find((p) => /front/i.test(String(p.type || ''))) || pictures[0];
+        if (!picture) return null;
+        return new Blob([picture.data], { type: picture.format || 'image/jpeg' });
+    } catch (_) {
+        return null;
+    }
+}
+
 export async function readAudioTags(file) {
     const m = await readAudioMetadata(file);
     return m.tags;
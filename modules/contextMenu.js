@@ -6,8 +6,30 @@ export function createContextMenu({
     ensureTrackSelected,
     actions,
     onEditTracks,
+    onRemoveArtwork,
+    onReplaceFile,
+    onAnalyzeLoudness,
+    onEditSmartPlaylist,
+    onRenamePlaylist,
+    onExportPlaylist,
+    onMoveTracks,
+    getFolderOptions,
+    getPlaylistFolderId,
+    onMovePlaylistToFolder,
+    onNewFolder,
+    onRenameFolder,
+    onDeleteFolder,
+    isArtworkSupported,
 }) {
-    const state = { type: null, playlistIndex: null, trackIds: [] };
+    const state = { type: null, playlistIndex: null, folderId: null, trackIds: [] };
+    const FOLDER_ITEM_IDS = ['contextNewSubfolder', 'contextRenameFolder', 'contextDeleteFolder'];
+
+    function setDisplay(ids, visible) {
+        for (const id of ids) {
+            const el = document.getElementById(id);
+            if (el) el.style.display = visible ? 'block' : 'none';
+        }
+    }
 
     function showContextMenu(x, y) {
         const menu = document.getElementById('contextMenu');
@@ -22,9 +44,12 @@ export function createContextMenu({
         if (menu) menu.classList.remove('show');
         state.type = null;
         state.playlistIndex = null;
+        state.folderId = null;
         state.trackIds = [];
         const submenu = document.getElementById('playlistSubmenu');
         if (submenu) submenu.innerHTML = '';
+        const folderSubmenu = document.getElementById('folderSubmenu');
+        if (folderSubmenu) folderSubmenu.innerHTML = '';
     }
 
     function buildPlaylistSubmenu(trackIds) {
@@ -37,7 +62,7 @@ export function createContextMenu({
 
         const available = playlists
             .map((pl, idx) => ({ pl, idx }))
-            .filter(({ pl, idx }) => !pl.is_master && !(currentIdx >= 0 && idx === currentIdx));
+            .filter(({ pl, idx }) => !pl.is_master && !pl.is_smart && !(currentIdx >= 0 && idx === currentIdx));
 
         if (available.length === 0) {
             const div = document.createElement('div');
@@ -66,6 +91,30 @@ export function createContextMenu({
         }
     }
 
+    function buildFolderSubmenu(playlistIndex) {
+        const submenu = document.getElementById('folderSubmenu');
+        if (!submenu) return;
+        submenu.innerHTML = '';
+
+        const currentFolderId = getPlaylistFolderId?.(playlistIndex) ?? null;
+        const options = [{ id: null, name: 'No Folder', depth: 0 }, ...(getFolderOptions?.() || [])];
+        for (const option of options) {
+            const item = document.createElement('div');
+            item.className = 'context-submenu-item';
+            item.style.paddingLeft = `${16 + option.depth * 12}px`;
+            item.textContent = option.name;
+            if (option.id === currentFolderId) {
+                item.style.opacity = '0.5';
+            } else {
+                item.onclick = () => {
+                    hideContextMenu();
+                    onMovePlaylistToFolder?.(playlistIndex, option.id);
+                };
+            }
+            submenu.appendChild(item);
+        }
+    }
+
     function initContextMenu() {
         const menu = document.getElementById('contextMenu');
         if (!menu) {
@@ -91,6 +140,54 @@ export function createContextMenu({
             }
         });
 
+        document.getElementById('contextRenamePlaylist')?.addEventListener('click', () => {
+            if (state.type === 'playlist' && state.playlistIndex != null) {
+                const playlistIndex = state.playlistIndex;
+                hideContextMenu();
+                onRenamePlaylist?.(playlistIndex);
+            }
+        });
+
+        document.getElementById('contextExportPlaylist')?.addEventListener('click', () => {
+            if (state.type === 'playlist' && state.playlistIndex != null) {
+                const playlistIndex = state.playlistIndex;
+                hideContextMenu();
+                onExportPlaylist?.(playlistIndex);
+            }
+        });
+
+        document.getElementById('contextEditSmartPlaylist')?.addEventListener('click', () => {
+            if (state.type === 'playlist' && state.playlistIndex != null) {
+                const playlistIndex = state.playlistIndex;
+                hideContextMenu();
+                onEditSmartPlaylist?.(playlistIndex);
+            }
+        });
+
+        document.getElementById('contextNewSubfolder')?.addEventListener('click', () => {
+            if (state.type === 'folder' && state.folderId) {
+                const folderId = state.folderId;
+                hideContextMenu();
+                onNewFolder?.(folderId);
+            }
+        });
+
+        document.getElementById('contextRenameFolder')?.addEventListener('click', () => {
+            if (state.type === 'folder' && state.folderId) {
+                const folderId = state.folderId;
+                hideContextMenu();
+                onRenameFolder?.(folderId);
+            }
+        });
+
+        document.getElementById('contextDeleteFolder')?.addEventListener('click', () => {
+            if (state.type === 'folder' && state.folderId) {
+                const folderId = state.folderId;
+                hideContextMenu();
+                onDeleteFolder?.(folderId);
+            }
+        });
+
         deleteTrackBtn.addEventListener('click', async () => {
             if (state.type === 'track' && state.trackIds?.length) {
                 if (typeof actions?.deleteTracks === 'function') {
@@ -112,6 +209,40 @@ export function createContextMenu({
             }
         });
 
+        document.getElementById('contextRemoveArtwork')?.addEventListener('click', () => {
+            if (state.type === 'track' && state.trackIds?.length) {
+                const trackIds = state.trackIds;
+                hideContextMenu();
+                onRemoveArtwork?.(trackIds);
+            }
+        });
+
+        document.getElementById('contextReplaceFile')?.addEventListener('click', () => {
+            if (state.type === 'track' && state.trackIds?.length) {
+                const trackIds = state.trackIds;
+                hideContextMenu();
+                onReplaceFile?.(trackIds);
+            }
+        });
+
+        document.getElementById('contextAnalyzeLoudness')?.addEventListener('click', () => {
+            if (state.type === 'track' && state.trackIds?.length) {
+                const trackIds = state.trackIds;
+                hideContextMenu();
+                onAnalyzeLoudness?.(trackIds);
+            }
+        });
+
+        for (const [id, where] of [['contextMoveToTop', 'top'], ['contextMoveToBottom', 'bottom']]) {
+            document.getElementById(id)?.addEventListener('click', () => {
+                if (state.type === 'track' && state.trackIds?.length) {
+                    const trackIds = state.trackIds;
+                    hideContextMenu();
+                    onMoveTracks?.(trackIds, where);
+                }
+            });
+        }
+
         removeFromPlaylistBtn.addEventListener('click', async () => {
             if (state.type === 'track' && state.trackIds?.length) {
                 if (typeof actions?.removeTracksFromPlaylist === 'function') {
@@ -148,6 +279,24 @@ export function createContextMenu({
         if (playlistList.dataset.contextMenuHandler) return;
 
         playlistList.addEventListener('contextmenu', (e) => {
+            const folderItem = e.target.closest('.playlist-folder[data-folder-id]');
+            if (folderItem) {
+                e.preventDefault();
+                e.stopPropagation();
+                state.type = 'folder';
+                state.folderId = folderItem.getAttribute('data-folder-id');
+                state.playlistIndex = null;
+                state.trackIds = [];
+                setDisplay(FOLDER_ITEM_IDS, true);
+                setDisplay([
+                    'contextRenamePlaylist', 'contextExportPlaylist', 'contextEditSmartPlaylist', 'contextMoveToFolder',
+                    'contextDeletePlaylist', 'contextDeleteTrack', 'contextEditTrack', 'contextRemoveArtwork', 'contextReplaceFile', 'contextAnalyzeLoudness',
+                    'contextAddToPlaylist', 'contextMoveToTop', 'contextMoveToBottom', 'contextRemoveFromPlaylist',
+                ], false);
+                showContextMenu(e.pageX, e.pageY);
+                return;
+            }
+
             const item = e.target.closest('.playlist-item[data-playlist-index]');
             if (!item) return;
 
@@ -171,10 +320,25 @@ export function createContextMenu({
             state.trackIds = [];
 
             deletePlaylistBtn.style.display = 'block';
+            const renameBtn = document.getElementById('contextRenamePlaylist');
+            if (renameBtn) renameBtn.style.display = 'block';
+            const exportBtn = document.getElementById('contextExportPlaylist');
+            if (exportBtn) exportBtn.style.display = 'block';
+            const editSmartBtn = document.getElementById('contextEditSmartPlaylist');
+            if (editSmartBtn) editSmartBtn.style.display = playlist?.is_smart ? 'block' : 'none';
+            setDisplay(['contextMoveToFolder'], true);
+            buildFolderSubmenu(playlistIndex);
+            setDisplay([...FOLDER_ITEM_IDS, 'contextReplaceFile', 'contextAnalyzeLoudness'], false);
             deleteTrackBtn.style.display = 'none';
             if (editTrackBtn) editTrackBtn.style.display = 'none';
+            const removeArtworkBtn = document.getElementById('contextRemoveArtwork');
+            if (removeArtworkBtn) removeArtworkBtn.style.display = 'none';
             addToPlaylistBtn.style.display = 'none';
             removeFromPlaylistBtn.style.display = 'none';
+            for (const id of ['contextMoveToTop', 'contextMoveToBottom']) {
+                const btn = document.getElementById(id);
+                if (btn) btn.style.display = 'none';
+            }
 
             showContextMenu(e.pageX, e.pageY);
         });
@@ -216,8 +380,30 @@ export function createContextMenu({
             state.playlistIndex = getCurrentPlaylistIndex?.() ?? -1;
 
             deletePlaylistBtn.style.display = 'none';
+            const renameBtn = document.getElementById('contextRenamePlaylist');
+            if (renameBtn) renameBtn.style.display = 'none';
+            const exportBtn = document.getElementById('contextExportPlaylist');
+            if (exportBtn) exportBtn.style.display = 'none';
+            const editSmartBtn = document.getElementById('contextEditSmartPlaylist');
+            if (editSmartBtn) editSmartBtn.style.display = 'none';
+            setDisplay(['contextMoveToFolder', ...FOLDER_ITEM_IDS], false);
             deleteTrackBtn.style.display = 'block';
             if (editTrackBtn) editTrackBtn.style.display = 'block';
+            const removeArtworkBtn = document.getElementById('contextRemoveArtwork');
+            if (removeArtworkBtn) {
+                removeArtworkBtn.style.display = isArtworkSupported?.() === false ? 'none' : 'block';
+                removeArtworkBtn.textContent = trackIds.length > 1 ? `Remove Artwork (${trackIds.length} Tracks)` : 'Remove Artwork';
+            }
+            const replaceFileBtn = document.getElementById('contextReplaceFile');
+            if (replaceFileBtn) {
+                replaceFileBtn.style.display = 'block';
+                replaceFileBtn.textContent = trackIds.length > 1 ? `Replace Files (${trackIds.length} Tracks)…` : 'Replace File…';
+            }
+            const analyzeLoudnessBtn = document.getElementById('contextAnalyzeLoudness');
+            if (analyzeLoudnessBtn) {
+                analyzeLoudnessBtn.style.display = 'block';
+                analyzeLoudnessBtn.textContent = trackIds.length > 1 ? `Analyze Loudness (${trackIds.length} Tracks)` : 'Analyze Loudness';
+            }
             addToPlaylistBtn.style.display = 'block';
 
             // Update labels for multi-select
@@ -228,8 +414,14 @@ export function createContextMenu({
 
             const playlists = getAllPlaylists?.() || [];
             const currentIdx = getCurrentPlaylistIndex?.() ?? -1;
-            const showRemove = currentIdx >= 0 && currentIdx < playlists.length && !playlists[currentIdx].is_master;
+            // Smart playlist members come from their rules, so they can't be removed by hand
+            const showRemove = currentIdx >= 0 && currentIdx < playlists.length
+                && !playlists[currentIdx].is_master && !playlists[currentIdx].is_smart;
             removeFromPlaylistBtn.style.display = showRemove ? 'block' : 'none';
+            for (const id of ['contextMoveToTop', 'contextMoveToBottom']) {
+                const btn = document.getElementById(id);
+                if (btn) btn.style.display = showRemove ? 'block' : 'none';
+            }
 
             showContextMenu(e.pageX, e.pageY);
         });
@@ -0,0 +1,288 @@
+/**
+ * Database backups: before every sync the database files on the iPod are
+ * copied to iPod_Control/iTunes/Backups/<timestamp>/, so a bad write can be
+ * undone with "Restore Database".  Only the newest `databaseBackupCount`
+ * backups are kept (0 turns backups off).
+ *
+ * Each backup folder holds copies of the files laid out as in iTunes/ plus a
+ * manifest:
+ *   Backup.json  { version: 1, createdAt, trackCount, sizeBytes, files: ['iTunesDB', 'iTunes Library.itlp/Library.itdb', ...] }
+ * Artwork (ArtworkDB, F*.ithmb) is not included; it is too large to copy on
+ * every sync.
+ */
+
+import { ITLP_DIR, SIDECAR_FILES } from './fsSync.js';
+
+export const BACKUPS_DIR = 'Backups';
+const MANIFEST_FILE = 'Backup.json';
+const DB_FILES = ['iTunesDB', 'iTunesCDB', 'iTunesSD', ...SIDECAR_FILES];
+
+function backupFolderName(date) {
+    // 2026-10-19T08-30-05Z: sorts by date and is a valid FAT32 name.
+    return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+async function getFileOrNull(dirHandle, name) {
+    try {
+        return await (await dirHandle.getFileHandle(name, { create: false })).getFile();
+    } catch (_) {
+        return null;
+    }
+}
+
+async function copyFileTo(file, dirHandle, name) {
+    const writable = await (await dirHandle.getFileHandle(name, { create: true })).createWritable();
+    try {
+        await writable.write(file);
+        await writable.close();
+    } catch (e) {
+        try { await writable.abort(e); } catch (_) {}
+        throw e;
+    }
+}
+
+export function createDbBackups({ appState, fsSync, settings, log, escapeHtml, reloadDatabase } = {}) {
+    // Tracks in the database currently on the iPod (not the edited one in memory).
+    let deviceTrackCount = null;
+    let restoring = false;
+
+    /** Record the track count of the database on the iPod, for the next backup's manifest. */
+    function rememberTrackCount(count) {
+        deviceTrackCount = Number.isFinite(count) ? count : null;
+    }
+
+    async function getITunesDir() {
+        const iPodControl = await appState.ipodHandle.getDirectoryHandle('iPod_Control', { create: false });
+        return await iPodControl.getDirectoryHandle('iTunes', { create: false });
+    }
+
+    async function getBackupsDir(create) {
+        return await (await getITunesDir()).getDirectoryHandle(BACKUPS_DIR, { create });
+    }
+
+    /** The database files currently on the iPod, as { path, file } relative to iTunes/. */
+    async function collectDatabaseFiles(iTunesDir) {
+        const out = [];
+        for (const name of DB_FILES) {
+            const file = await getFileOrNull(iTunesDir, name);
+            if (file) out.push({ path: name, file });
+        }
+        try {
+            const itlpDir = await iTunesDir.getDirectoryHandle(ITLP_DIR, { create: false });
+            for await (const [name, entry] of itlpDir.entries()) {
+                if (entry.kind === 'file') out.push({ path: `${ITLP_DIR}/${name}`, file: await entry.getFile() });
+            }
+        } catch (_) {
+            // classic layout: no sqlite databases
+        }
+        return out;
+    }
+
+    /** Backups on the iPod, newest first: [{ name, createdAt, trackCount, sizeBytes, files }]. */
+    async function listBackups() {
+        let backupsDir;
+        try {
+            backupsDir = await getBackupsDir(false);
+        } catch (_) {
+            return [];
+        }
+        const backups = [];
+        for await (const [name, entry] of backupsDir.entries()) {
+            if (entry.kind !== 'directory') continue;
+            try {
+                const manifest = JSON.parse(await (await (await entry.getFileHandle(MANIFEST_FILE)).getFile()).text());
+                if (!Array.isArray(manifest?.files) || manifest.files.length === 0) continue;
+                backups.push({ ...manifest, name });
+            } catch (_) {
+                // incomplete backup (interrupted while copying); pruned below
+            }
+        }
+        return backups.sort((a, b) => (a.name < b.name ? 1 : a.name > b.name ? -1 : 0));
+    }
+
+    /** Delete all but the newest `keep` backups (and `protect`), and any without a manifest. */
+    async function pruneBackups(keep, protect) {
+        let backupsDir;
+        try {
+            backupsDir = await getBackupsDir(false);
+        } catch (_) {
+            return;
+        }
+        const valid = new Set((await listBackups()).slice(0, keep).map((b) => b.name));
+        if (protect) valid.add(protect);
+        const doomed = [];
+        for await (const [name, entry] of backupsDir.entries()) {
+            if (entry.kind === 'directory' && !valid.has(name)) doomed.push(name);
+        }
+        for (const name of doomed) {
+            try {
+                await backupsDir.removeEntry(name, { recursive: true });
+            } catch (e) {
+                log?.(`Could not remove old database backup ${name}: ${e?.message || e}`, 'warning');
+            }
+        }
+    }
+
+    /**
+     * Copy the database files on the iPod into a new backup folder, then prune old ones.
+     * Call before overwriting them.  Throws if the copy fails.
+     * @param {{ protect?: string }} [options]  protect: a backup that must survive the pruning (one about to be restored)
+     * @returns {Promise<string|null>} The backup's folder name (null when backups are off or there is no database yet).
+     */
+    async function snapshot({ protect } = {}) {
+        const keep = Math.max(0, Math.floor(Number(settings?.get?.('databaseBackupCount')) || 0));
+        if (keep === 0 || !appState.ipodHandle) return null;
+
+        const iTunesDir = await getITunesDir();
+        const files = await collectDatabaseFiles(iTunesDir);
+        if (!files.some((f) => /^iTunesC?DB$/.test(f.path) && f.file.size > 0)) {
+            return null; // nothing to back up on a freshly restored iPod
+        }
+
+        const backupsDir = await iTunesDir.getDirectoryHandle(BACKUPS_DIR, { create: true });
+        let name = backupFolderName(new Date());
+        for (let n = 2; await backupsDir.getDirectoryHandle(name, { create: false }).then(() => true, () => false); n++) {
+            name = `${backupFolderName(new Date())}-${n}`;
+        }
+        const backupDir = await backupsDir.getDirectoryHandle(name, { create: true });
+
+        let sizeBytes = 0;
+        for (const { path, file } of files) {
+            const [dirName, fileName] = path.includes('/') ? path.split('/') : [null, path];
+            const destDir = dirName ? await backupDir.getDirectoryHandle(dirName, { create: true }) : backupDir;
+            await copyFileTo(file, destDir, fileName);
+            sizeBytes += file.size;
+        }
+
+        // The manifest goes last: a backup without one is incomplete and never offered.
+        const manifest = {
+            version: 1,
+            createdAt: new Date().toISOString(),
+            trackCount: deviceTrackCount,
+            sizeBytes,
+            files: files.map((f) => f.path),
+        };
+        await copyFileTo(new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }), backupDir, MANIFEST_FILE);
+        log?.(`Backed up the iPod database (${formatSize(sizeBytes)})`, 'info');
+
+        await pruneBackups(keep, protect);
+        return name;
+    }
+
+    // ── restore modal ────────────────────────────────────────────────────────
+
+    let shownBackups = [];
+
+    function setStatus(text) {
+        const status = document.getElementById('dbBackupsStatus');
+        if (status) status.textContent = text;
+    }
+
+    function renderBackups() {
+        const tbody = document.getElementById('dbBackupsTableBody');
+        if (!tbody) return;
+        tbody.innerHTML = shownBackups.map((b, i) => `
+            <tr>
+                <td>${escapeHtml(new Date(b.createdAt).toLocaleString())}</td>
+                <td>${Number.isFinite(b.trackCount) ? b.trackCount : '—'}</td>
+                <td>${escapeHtml(formatSize(b.sizeBytes || 0))}</td>
+                <td><button class="btn btn-secondary" onclick="restoreDatabaseBackup(${i})"${restoring ? ' disabled' : ''}>Restore</button></td>
+            </tr>
+        `).join('');
+    }
+
+    async function showModal() {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+        shownBackups = [];
+        renderBackups();
+        setStatus('Reading backups...');
+        document.getElementById('dbBackupsModal')?.classList.add('show');
+
+        shownBackups = await listBackups();
+        setStatus(shownBackups.length
+            ? `${shownBackups.length} backup(s) on the iPod, newest first. Restoring replaces the current database (not artwork); unsynced changes are lost.`
+            : 'No backups yet. One is made before every "Sync iPod".');
+        renderBackups();
+    }
+
+    function hideModal() {
+        document.getElementById('dbBackupsModal')?.classList.remove('show');
+    }
+
+    /** Confirmation text: what restoring this backup does to tracks and artwork changed since. */
+    function describeRestore(backup, when) {
+        const lines = [`Restore the database from ${when}?`, ''];
+        const current = (appState.tracks || []).length;
+        const days = Math.floor((Date.now() - new Date(backup.createdAt).getTime()) / 86400000);
+        if (Number.isFinite(backup.trackCount)) {
+            lines.push(`The backup lists ${backup.trackCount} tracks; the iPod now has ${current}.`);
+            if (current > backup.trackCount) {
+                lines.push(`Tracks added since then stay on the iPod as files it no longer shows.`);
+            } else if (current < backup.trackCount) {
+                lines.push(`Tracks deleted since then come back, but their audio files are gone.`);
+            }
+        } else {
+            lines.push('Tracks added or deleted since then will not match the files on the iPod.');
+        }
+        if (days > 0) lines.push(`The backup is ${days} day(s) old.`);
+        lines.push(
+            'Artwork is not part of backups, so album art may be missing or wrong until it is set again.',
+            '',
+            'The current database is backed up first. Changes not yet synced are lost.',
+        );
+        return lines.join('\n');
+    }
+
+    /** Write a backup's files back over the database on the iPod and reload it. */
+    async function restoreBackup(index) {
+        const backup = shownBackups[index];
+        if (!backup || restoring) return;
+        const when = new Date(backup.createdAt).toLocaleString();
+        if (!confirm(describeRestore(backup, when))) return;
+
+        restoring = true;
+        renderBackups();
+        try {
+            setStatus('Backing up the current database...');
+            // Keep the chosen backup even if it is the oldest and this snapshot rotates it out.
+            await snapshot({ protect: backup.name });
+
+            setStatus(`Restoring the database from ${when}...`);
+            const backupDir = await (await getBackupsDir(false)).getDirectoryHandle(backup.name, { create: false });
+            const files = [];
+            for (const path of backup.files) {
+                const [dirName, fileName] = path.includes('/') ? path.split('/') : [null, path];
+                const srcDir = dirName ? await backupDir.getDirectoryHandle(dirName, { create: false }) : backupDir;
+                const file = await (await srcDir.getFileHandle(fileName)).getFile();
+                files.push({ dirPath: dirName ? `iTunes/${dirName}` : 'iTunes', fileName, data: new Uint8Array(await file.arrayBuffer()) });
+            }
+            // All files or none, like a sync's database write.
+            const iPodControl = await appState.ipodHandle.getDirectoryHandle('iPod_Control', { create: false });
+            const result = await fsSync.writeFilesAtomically(iPodControl, files);
+            if (!result.ok) throw new Error(result.error);
+        } catch (e) {
+            log?.(`Could not restore the database backup: ${e?.message || e}`, 'error');
+            setStatus('Restore failed; see the log.');
+            return;
+        } finally {
+            restoring = false;
+            renderBackups();
+        }
+
+        // Deferred deletions belonged to the database that was just replaced.
+        appState.pendingFileDeletes = [];
+        hideModal();
+        await reloadDatabase?.();
+        log?.(`Restored the database from ${when}`, 'success');
+    }
+
+    return { rememberTrackCount, snapshot, listBackups, showModal, hideModal, restoreBackup };
+}
@@ -0,0 +1,368 @@
+/**
+ * Duplicate detection.
+ *
+ * Two tracks are the same recording when their normalized title and artist
+ * match, their albums match (or one is blank), and their durations are within
+ * DURATION_TOLERANCE_MS. With the "compare audio content" setting on, files are
+ * also compared by a hash of their audio frames, which catches copies whose
+ * tags differ. Tags are skipped when hashing, so retagged copies still match.
+ *
+ * - Queue review: newly queued files are checked against the iPod library and
+ *   the rest of the queue; a dialog offers Skip / Replace / Keep Both for each.
+ * - "Find Duplicates": groups duplicates already on the iPod for bulk delete.
+ */
+
+import { normalizeForMatch } from './textMatch.js';
+
+const DURATION_TOLERANCE_MS = 2000;
+const SIZE_TOLERANCE_BYTES = 512 * 1024; // tag / artwork differences between copies of the same audio
+const HASH_SAMPLE_BYTES = 512 * 1024;    // hashed from each end of the audio data
+
+/** The comparable fields of an iPod track or a queued item's metadata. */
+function toRecording(source) {
+    return {
+        title: normalizeForMatch(source?.title),
+        artist: normalizeForMatch(source?.artist || source?.albumartist || source?.albumArtist),
+        album: normalizeForMatch(source?.album),
+        durationMs: Number(source?.tracklen ?? source?.durationMs) || 0,
+    };
+}
+
+function isSameRecording(a, b) {
+    if (!a.title || a.title !== b.title || a.artist !== b.artist) return false;
+    if (a.album && b.album && a.album !== b.album) return false;
+    if (a.durationMs > 0 && b.durationMs > 0 && Math.abs(a.durationMs - b.durationMs) > DURATION_TOLERANCE_MS) return false;
+    return true;
+}
+
+/**
+ * Group library tracks that are the same recording.
+ * @returns {object[][]} Groups of two or more tracks, in library order.
+ */
+export function findDuplicateGroups(tracks) {
+    const buckets = new Map();
+    for (const track of tracks || []) {
+        const rec = toRecording(track);
+        if (!rec.title) continue;
+        const key = `${rec.artist}\u0000${rec.title}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push({ track, rec });
+    }
+
+    const groups = [];
+    for (const bucket of buckets.values()) {
+        if (bucket.length < 2) continue;
+        const used = new Set();
+        for (let i = 0; i < bucket.length; i++) {
+            if (used.has(i)) continue;
+            const group = [bucket[i].track];
+            for (let j = i + 1; j < bucket.length; j++) {
+                if (!used.has(j) && isSameRecording(bucket[i].rec, bucket[j].rec)) {
+                    group.push(bucket[j].track);
+                    used.add(j);
+                }
+            }
+            if (group.length > 1) groups.push(group);
+        }
+    }
+    return groups;
+}
+
+async function readBytes(file, start, end) {
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+/** Byte range of the audio data: MP4 'mdat', FLAC frames, or MP3 without ID3 tags. */
+async function findAudioRange(file) {
+    const size = file.size;
+    const head = await readBytes(file, 0, Math.min(size, 12));
+    const ascii = (bytes, from, to) => String.fromCharCode(...bytes.slice(from, to));
+
+    // MP4 / M4A: walk the top-level atoms to 'mdat'.
+    if (ascii(head, 4, 8) === 'ftyp') {
+        let offset = 0;
+        while (offset + 8 <= size) {
+            const atom = await readBytes(file, offset, Math.min(size, offset + 16));
+            let atomSize = readUint32(atom, 0);
+            let headerSize = 8;
+            if (atomSize === 1 && atom.length >= 16) {
+                atomSize = readUint32(atom, 8) * 2 ** 32 + readUint32(atom, 12);
+                headerSize = 16;
+            } else if (atomSize === 0) {
+                atomSize = size - offset;
+            }
+            if (atomSize < headerSize) break;
+            if (ascii(atom, 4, 8) === 'mdat') return [offset + headerSize, Math.min(size, offset + atomSize)];
+            offset += atomSize;
+        }
+        return [0, size];
+    }
+
+    // FLAC: skip the metadata blocks (the last one has the high bit of its type set).
+    if (ascii(head, 0, 4) === 'fLaC') {
+        let offset = 4;
+        while (offset + 4 <= size) {
+            const block = await readBytes(file, offset, offset + 4);
+            offset += 4 + ((block[1] << 16) | (block[2] << 8) | block[3]);
+            if (block[0] & 0x80) break;
+        }
+        return [Math.min(offset, size), size];
+    }
+
+    // MP3 and others: drop a leading ID3v2 tag and a trailing ID3v1 tag.
+    let start = 0;
+    let end = size;
+    if (ascii(head, 0, 3) === 'ID3' && head.length >= 10) {
+        const tagSize = ((head[6] & 0x7f) << 21) | ((head[7] & 0x7f) << 14) | ((head[8] & 0x7f) << 7) | (head[9] & 0x7f);
+        start = Math.min(size, 10 + tagSize + (head[5] & 0x10 ? 10 : 0));
+    }
+    if (end - start > 128 && ascii(await readBytes(file, end - 128, end - 125), 0, 3) === 'TAG') end -= 128;
+    return [start, end];
+}
+
+/**
+ * Fingerprint of a file's audio frames: SHA-256 over the audio length and the
+ * first and last HASH_SAMPLE_BYTES of audio data.
+ */
+export async function hashAudioFrames(file) {
+    const [start, end] = await findAudioRange(file);
+    const length = end - start;
+    const parts = [new TextEncoder().encode(`${length}:`)];
+    if (length <= 2 * HASH_SAMPLE_BYTES) {
+        parts.push(await readBytes(file, start, end));
+    } else {
+        parts.push(await readBytes(file, start, start + HASH_SAMPLE_BYTES));
+        parts.push(await readBytes(file, end - HASH_SAMPLE_BYTES, end));
+    }
+    const digest = await crypto.subtle.digest('SHA-256', await new Blob(parts).arrayBuffer());
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function describeTrack(track) {
+    return [track?.artist, track?.title].filter(Boolean).join(' - ') || 'Untitled';
+}
+
+export function createDuplicates({
+    appState,
+    log,
+    escapeHtml,
+    settings,
+    paths,
+    fsSync,
+    deleteTracks,
+    rerenderAllTracksIfVisible,
+} = {}) {
+    let reviewRows = [];     // [{ item, match: { kind: 'track', track } | { kind: 'queued', item }, reason }]
+    let duplicateGroups = [];
+    const hashCache = new WeakMap(); // File → Promise<hash>
+
+    function getItemFile(item) {
+        return item.kind === 'handle' ? item.handle.getFile() : Promise.resolve(item.file);
+    }
+
+    function hashFile(file) {
+        if (!hashCache.has(file)) hashCache.set(file, hashAudioFrames(file).catch(() => null));
+        return hashCache.get(file);
+    }
+
+    async function getIpodTrackFile(track) {
+        const rel = track?.ipod_path ? paths.toRelFsPathFromIpodDbPath(track.ipod_path) : '';
+        if (!appState.ipodHandle || !rel) return null;
+        try {
+            return await fsSync.readFileFromIpodRelativePath(appState.ipodHandle, rel);
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /** First library track or earlier queued item that duplicates `item`, with the reason. */
+    async function findMatch(item, earlierItems, { fingerprint }) {
+        const rec = toRecording(item.meta);
+        if (rec.title) {
+            const track = (appState.tracks || []).find((t) => isSameRecording(rec, toRecording(t)));
+            if (track) return { match: { kind: 'track', track }, reason: 'Same title, artist and album' };
+            const queued = earlierItems.find((other) => other.meta && isSameRecording(rec, toRecording(other.meta)));
+            if (queued) return { match: { kind: 'queued', item: queued }, reason: 'Same title, artist and album' };
+        }
+        if (!fingerprint) return null;
+
+        // Content check against candidates of about the same size (and duration, when known).
+        const file = await getItemFile(item);
+        const hash = await hashFile(file);
+        if (!hash) return null;
+        const closeTo = (a, b, tolerance) => !(a > 0 && b > 0) || Math.abs(a - b) <= tolerance;
+
+        for (const other of earlierItems) {
+            const otherFile = await getItemFile(other);
+            if (!closeTo(file.size, otherFile.size, SIZE_TOLERANCE_BYTES)) continue;
+            if (await hashFile(otherFile) === hash) return { match: { kind: 'queued', item: other }, reason: 'Identical audio' };
+        }
+        for (const track of appState.tracks || []) {
+            if (!closeTo(file.size, track.size, SIZE_TOLERANCE_BYTES) || !closeTo(rec.durationMs, track.tracklen, DURATION_TOLERANCE_MS)) continue;
+            const ipodFile = await getIpodTrackFile(track);
+            if (ipodFile && await hashFile(ipodFile) === hash) return { match: { kind: 'track', track }, reason: 'Identical audio' };
+        }
+        return null;
+    }
+
+    /**
+     * Check newly queued items (metadata already read) against the library and
+     * the rest of the queue, and open the review dialog if any are duplicates.
+     */
+    async function reviewQueued(items) {
+        if (settings?.get?.('checkDuplicatesOnQueue') === false || !appState.isConnected) return;
+        const fingerprint = Boolean(settings?.get?.('duplicateFingerprint'));
+        const queue = appState.pendingUploads || [];
+
+        const found = [];
+        for (const item of items || []) {
+            if (!queue.includes(item)) continue; // removed while metadata was being read
+            const earlier = queue.slice(0, queue.indexOf(item));
+            try {
+                const result = await findMatch(item, earlier, { fingerprint });
+                if (result) found.push({ item, ...result });
+            } catch (e) {
+                log?.(`Duplicate check failed for ${item.name}: ${e?.message || e}`, 'warning');
+            }
+        }
+        if (found.length === 0) return;
+
+        reviewRows = [...reviewRows, ...found];
+        renderReview();
+        document.getElementById('duplicateReviewModal')?.classList.add('show');
+        log?.(`${found.length} queued file(s) look like duplicates`, 'warning');
+    }
+
+    function renderReview() {
+        const status = document.getElementById('duplicateReviewStatus');
+        if (status) status.textContent = `${reviewRows.length} queued file(s) are already on the iPod or in the queue.`;
+        const tbody = document.getElementById('duplicateReviewTableBody');
+        if (!tbody) return;
+        tbody.innerHTML = reviewRows.map(({ item, match, reason }, i) => {
+            const existing = match.kind === 'track'
+                ? `On iPod: ${describeTrack(match.track)}${match.track.album ? ` (${match.track.album})` : ''}`
+                : `Queued: ${match.item.name}`;
+            return `
+                <tr>
+                    <td>${escapeHtml(item.name)}</td>
+                    <td>${escapeHtml(existing)}</td>
+                    <td class="match-note">${escapeHtml(reason)}</td>
+                    <td>
+                        <select data-duplicate-index="${i}">
+                            <option value="skip">Skip</option>
+                            <option value="replace">Replace</option>
+                            <option value="keep">Keep Both</option>
+                        </select>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    function hideReview() {
+        document.getElementById('duplicateReviewModal')?.classList.remove('show');
+        reviewRows = [];
+    }
+
+    /** Apply the dialog's choices: drop skipped files, remove replaced tracks / queue entries. */
+    async function applyReview() {
+        const choices = new Map();
+        document.querySelectorAll('#duplicateReviewTableBody select[data-duplicate-index]').forEach((el) => {
+            choices.set(Number(el.getAttribute('data-duplicate-index')), el.value);
+        });
+
+        const dropItems = new Set();
+        const replaceTrackIds = new Set();
+        reviewRows.forEach(({ item, match }, i) => {
+            const choice = choices.get(i) || 'skip';
+            if (choice === 'skip') dropItems.add(item);
+            if (choice !== 'replace') return;
+            if (match.kind === 'track') replaceTrackIds.add(Number(match.track.id));
+            else dropItems.add(match.item);
+        });
+        hideReview();
+
+        if (dropItems.size > 0) {
+            appState.pendingUploads = (appState.pendingUploads || []).filter((item) => !dropItems.has(item) || item.status !== 'queued');
+            rerenderAllTracksIfVisible?.();
+            log?.(`Removed ${dropItems.size} duplicate(s) from the queue`, 'info');
+        }
+        if (replaceTrackIds.size > 0) await deleteTracks?.([...replaceTrackIds]);
+    }
+
+    // ── Find Duplicates ─────────────────────────────────────────────────────
+
+    /** The copy to keep by default: highest bitrate, then most played, then oldest. */
+    function pickKeeper(group) {
+        return [...group].sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0) || (b.playcount || 0) - (a.playcount || 0) || a.id - b.id)[0];
+    }
+
+    function showFindDuplicates() {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+        duplicateGroups = findDuplicateGroups(appState.tracks);
+        const status = document.getElementById('findDuplicatesStatus');
+        const tbody = document.getElementById('findDuplicatesTableBody');
+        const extra = duplicateGroups.reduce((sum, g) => sum + g.length - 1, 0);
+        if (status) {
+            status.textContent = duplicateGroups.length
+                ? `${duplicateGroups.length} song(s) have duplicates (${extra} extra cop${extra === 1 ? 'y' : 'ies'}). Checked tracks will be deleted; by default the copy with the highest bitrate is kept.`
+                : 'No duplicates found.';
+        }
+        if (tbody) {
+            tbody.innerHTML = duplicateGroups.map((group, g) => {
+                const keeper = pickKeeper(group);
+                return group.map((track, i) => `
+                    <tr class="${i === 0 ? 'duplicate-group-start' : ''}">
+                        <td><input type="checkbox" data-duplicate-track-id="${track.id}" ${track === keeper ? '' : 'checked'}></td>
+                        <td>${i === 0 ? escapeHtml(describeTrack(track)) : ''}</td>
+                        <td>${escapeHtml(track.album || '')}</td>
+                        <td>${track.bitrate ? `${track.bitrate} kbps` : ''}</td>
+                        <td>${track.playcount || 0}</td>
+                        <td class="match-note">${escapeHtml(track.ipod_path || '')}</td>
+                    </tr>
+                `).join('');
+            }).join('');
+        }
+        const deleteBtn = document.getElementById('findDuplicatesDeleteBtn');
+        if (deleteBtn) deleteBtn.disabled = duplicateGroups.length === 0;
+        document.getElementById('findDuplicatesModal')?.classList.add('show');
+    }
+
+    function hideFindDuplicates() {
+        document.getElementById('findDuplicatesModal')?.classList.remove('show');
+        duplicateGroups = [];
+    }
+
+    async function deleteSelectedDuplicates() {
+        const ids = Array.from(document.querySelectorAll('#findDuplicatesTableBody input[data-duplicate-track-id]:checked'))
+            .map((el) => Number(el.getAttribute('data-duplicate-track-id')))
+            .filter(Number.isFinite);
+        if (ids.length === 0) {
+            log?.('No tracks selected', 'warning');
+            return;
+        }
+        // Never delete every copy of a song by accident.
+        const selected = new Set(ids);
+        const wipedOut = duplicateGroups.filter((group) => group.every((t) => selected.has(Number(t.id))));
+        if (wipedOut.length > 0 && !confirm(`Every copy of ${wipedOut.length} song(s) is selected. Delete them all?`)) return;
+
+        hideFindDuplicates();
+        await deleteTracks?.(ids);
+    }
+
+    return {
+        reviewQueued,
+        applyReview,
+        hideReview,
+        showFindDuplicates,
+        hideFindDuplicates,
+        deleteSelectedDuplicates,
+    };
+}
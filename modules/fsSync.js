@@ -21,12 +21,56 @@ function patchSysInfoExtended(plistString) {
     return { content: s, createIsHomeVideoInjected };
 }
 
+// JSON files TunesReloaded keeps in iPod_Control/iTunes alongside the database.
+export const PLAYLIST_FOLDERS_FILE = 'TunesReloadedPlaylistFolders.json';
+export const SIDECAR_FILES = [PLAYLIST_FOLDERS_FILE];
+
+export const ITLP_DIR = 'iTunes Library.itlp';
+// Atomic database write (see writeFilesAtomically): temporary-file suffix and commit marker.
+const DB_TEMP_SUFFIX = '.trtmp';
+const DB_COMMIT_FILE = 'TunesReloadedDbCommit.json';
+// Read-back verification compares this much at a time, so large ithmb files aren't held twice.
+const VERIFY_CHUNK_BYTES = 4 * 1024 * 1024;
+
+/** Whether a write failed because the iPod (or browser storage) is full. */
+export function isOutOfSpaceError(e) {
+    return e?.name === 'QuotaExceededError' || /no space|disk full|quota/i.test(String(e?.message || ''));
+}
+
 export function createFsSync({ log, wasm, mountpoint = '/iPod' }) {
     function getFS() {
         const Module = wasm.getModule();
         return Module?.FS;
     }
 
+    const artworkVfsPath = `${mountpoint}/iPod_Control/Artwork`;
+    // Artwork file name → { mtime, size } when last mirrored from / synced to the iPod.
+    // Only files libgpod rewrote since then are copied back (ithmb files can be large).
+    let artworkSyncedFiles = new Map();
+    // ithmb file name → handle on the iPod, for files not yet copied into MEMFS
+    // (see ensureArtworkLoaded).
+    let pendingArtworkFiles = new Map();
+    let artworkLoading = null;
+
+    function snapshotArtworkFiles() {
+        const FS = getFS();
+        const files = new Map();
+        if (!FS) return files;
+        let names = [];
+        try {
+            names = FS.readdir(artworkVfsPath).filter(n => n !== '.' && n !== '..');
+        } catch (_) {
+            return files;
+        }
+        for (const name of names) {
+            try {
+                const stat = FS.stat(`${artworkVfsPath}/${name}`);
+                if (!FS.isDir(stat.mode)) files.set(name, { mtime: new Date(stat.mtime).getTime(), size: stat.size });
+            } catch (_) {}
+        }
+        return files;
+    }
+
     async function listDirNames(dirHandle, limit = 50) {
         const names = [];
         try {
@@ -121,7 +165,8 @@ export function createFsSync({ log, wasm, mountpoint = '/iPod' }) {
             `${mountpoint}/iPod_Control`,
             `${mountpoint}/iPod_Control/iTunes`,
             `${mountpoint}/iPod_Control/Device`,
-            `${mountpoint}/iPod_Control/Music`
+            `${mountpoint}/iPod_Control/Music`,
+            artworkVfsPath
         ];
         dirs.forEach(dir => { try { FS.mkdir(dir); } catch (_) {} });
 
@@ -163,6 +208,7 @@ export function createFsSync({ log, wasm, mountpoint = '/iPod' }) {
         if (!FS) throw new Error('WASM FS not ready');
 
         const iPodControlHandle = await handle.getDirectoryHandle('iPod_Control', { create: false });
+        await recoverDatabaseWrite(iPodControlHandle);
         const iTunesHandle = await iPodControlHandle.getDirectoryHandle('iTunes', { create: false });
 
         // Copy classic iTunesDB if present
@@ -239,6 +285,40 @@ export function createFsSync({ log, wasm, mountpoint = '/iPod' }) {
             }
         }
 
+        // Copy ArtworkDB now; the F*.ithmb files holding the pixels can run to
+        // hundreds of MB and are only copied once artwork is shown or the
+        // database is written (ensureArtworkLoaded).
+        await artworkLoading?.catch(() => {});
+        clearVirtualArtwork();
+        pendingArtworkFiles = new Map();
+        try {
+            const artworkDir = await iPodControlHandle.getDirectoryHandle('Artwork', { create: false });
+            for await (const [name, entry] of artworkDir.entries()) {
+                if (entry.kind !== 'file' || name.endsWith(DB_TEMP_SUFFIX)) continue;
+                if (/\.ithmb$/i.test(name)) {
+                    pendingArtworkFiles.set(name, entry);
+                    continue;
+                }
+                FS.writeFile(`${artworkVfsPath}/${name}`, new Uint8Array(await (await entry.getFile()).arrayBuffer()));
+            }
+            log('Synced: Artwork', 'info');
+        } catch (_) {
+            // no artwork on this iPod (or a model without artwork support)
+        }
+        artworkSyncedFiles = snapshotArtworkFiles();
+
+        // Copy our own sidecar files (e.g. playlist folders) kept next to the database.
+        for (const name of SIDECAR_FILES) {
+            try {
+                const fileHandle = await iTunesHandle.getFileHandle(name, { create: false });
+                const data = new Uint8Array(await (await fileHandle.getFile()).arrayBuffer());
+                FS.writeFile(`${mountpoint}/iPod_Control/iTunes/${name}`, data);
+                log(`Synced: ${name}`, 'info');
+            } catch (_) {
+                // not created yet
+            }
+        }
+
         // Copy SysInfo and SysInfoExtended (optional). Patch SysInfoExtended
         // to remove CreateRentalExpiredColumn when the column already exists (avoids duplicate-column error).
         try {
@@ -252,6 +332,55 @@ export function createFsSync({ log, wasm, mountpoint = '/iPod' }) {
         log('File sync complete', 'success');
     }
 
+    /** Remove artwork files left in MEMFS by a previously connected iPod. */
+    function clearVirtualArtwork() {
+        const FS = getFS();
+        try {
+            for (const name of FS.readdir(artworkVfsPath)) {
+                if (name === '.' || name === '..') continue;
+                try { FS.unlink(`${artworkVfsPath}/${name}`); } catch (_) {}
+            }
+        } catch (_) {}
+    }
+
+    /**
+     * Copy the iPod's F*.ithmb files into MEMFS if that hasn't happened yet.
+     * libgpod reads them to decode thumbnails and to carry existing artwork
+     * over when it rewrites the database, so call this before either.
+     * Throws if a file can't be read; writing the database then would lose its artwork.
+     */
+    function ensureArtworkLoaded() {
+        if (!artworkLoading) {
+            artworkLoading = loadPendingArtwork().finally(() => { artworkLoading = null; });
+        }
+        return artworkLoading;
+    }
+
+    async function loadPendingArtwork() {
+        if (pendingArtworkFiles.size === 0) return;
+        const FS = getFS();
+        if (!FS) throw new Error('WASM FS not ready');
+
+        let bytes = 0;
+        let loaded = 0;
+        const failed = [];
+        for (const [name, handle] of pendingArtworkFiles) {
+            try {
+                const data = new Uint8Array(await (await handle.getFile()).arrayBuffer());
+                FS.writeFile(`${artworkVfsPath}/${name}`, data);
+                pendingArtworkFiles.delete(name);
+                bytes += data.length;
+                loaded += 1;
+            } catch (e) {
+                failed.push(`${name}: ${e?.message || e}`);
+            }
+        }
+        // Nothing was rewritten yet, so these are the files as on the iPod.
+        artworkSyncedFiles = snapshotArtworkFiles();
+        if (loaded > 0) log(`Loaded ${loaded} artwork file(s) (${(bytes / (1024 * 1024)).toFixed(1)} MB)`, 'info');
+        if (failed.length > 0) throw new Error(`Could not read artwork from the iPod (${failed.join('; ')})`);
+    }
+
     async function copyDeviceFile(deviceHandle, filename) {
         const FS = getFS();
         if (!FS) throw new Error('WASM FS not ready');
@@ -364,6 +493,190 @@ export function createFsSync({ log, wasm, mountpoint = '/iPod' }) {
         }
     }
 
+    // ── atomic database write ──────────────────────────────────────────────
+    //
+    // Database files are first written next to the originals under a temporary
+    // name and read back to verify them.  Only when every file of the set
+    // verified is a commit marker written and the temporary files renamed over
+    // the originals; the marker is removed once all are in place.  After an
+    // interruption, recoverDatabaseWrite() finishes the renames if the marker
+    // exists and otherwise drops the temporary files, so the iPod always ends up
+    // with either the old or the new set (iTunesCDB, the itlp sqlite files and
+    // Locations.itdb.cbk are signed together and must match).
+
+    // Directories (relative to iPod_Control) that hold database files.
+    const DB_DIRS = ['iTunes', `iTunes/${ITLP_DIR}`, 'Artwork'];
+
+    function tempName(fileName) {
+        return `${fileName}${DB_TEMP_SUFFIX}`;
+    }
+
+    async function getDirByPath(iPodControlHandle, dirPath, create) {
+        let dir = iPodControlHandle;
+        for (const part of dirPath.split('/').filter(Boolean)) {
+            dir = await dir.getDirectoryHandle(part, { create });
+        }
+        return dir;
+    }
+
+    /** Write data to the temporary sibling of fileName and check it reads back identical. */
+    async function writeVerifiedTemp(dirHandle, fileName, data) {
+        const tempHandle = await dirHandle.getFileHandle(tempName(fileName), { create: true });
+        const writable = await tempHandle.createWritable();
+        try {
+            await writable.write(data);
+            await writable.close();
+        } catch (e) {
+            try { await writable.abort(e); } catch (_) {}
+            throw e;
+        }
+
+        const written = await tempHandle.getFile();
+        if (written.size !== data.byteLength) {
+            throw new Error(`size mismatch after write (${written.size} of ${data.byteLength} bytes)`);
+        }
+        for (let start = 0; start < data.byteLength; start += VERIFY_CHUNK_BYTES) {
+            const end = Math.min(start + VERIFY_CHUNK_BYTES, data.byteLength);
+            const actual = new Uint8Array(await written.slice(start, end).arrayBuffer());
+            const expected = data.subarray(start, end);
+            for (let i = 0; i < actual.length; i++) {
+                if (actual[i] !== expected[i]) throw new Error(`content mismatch after write at byte ${start + i}`);
+            }
+        }
+    }
+
+    /** Rename the verified temporary file over fileName. */
+    async function moveTempIntoPlace(dirHandle, fileName) {
+        const tempHandle = await dirHandle.getFileHandle(tempName(fileName), { create: false });
+        if (typeof tempHandle.move === 'function') {
+            try {
+                await tempHandle.move(fileName);
+                return;
+            } catch (_) {
+                // Some implementations won't rename onto an existing file.
+            }
+            try { await dirHandle.removeEntry(fileName); } catch (_) {}
+            await tempHandle.move(fileName);
+            return;
+        }
+        // No rename support: copy the verified data over the original, then drop the temporary file.
+        const writable = await (await dirHandle.getFileHandle(fileName, { create: true })).createWritable();
+        await writable.write(await tempHandle.getFile());
+        await writable.close();
+        await dirHandle.removeEntry(tempName(fileName));
+    }
+
+    async function removeTempFiles(staged) {
+        for (const { dirHandle, fileName } of staged) {
+            try { await dirHandle.removeEntry(tempName(fileName)); } catch (_) {}
+        }
+    }
+
+    /**
+     * Write a set of files into iPod_Control all-or-nothing.
+     * @param {FileSystemDirectoryHandle} iPodControlHandle
+     * @param {{ dirPath: string, fileName: string, data: Uint8Array }[]} files  dirPath relative to iPod_Control
+     * @returns {Promise<{ ok: boolean, outOfSpace?: boolean, error?: string }>} ok false: nothing was replaced
+     */
+    async function writeFilesAtomically(iPodControlHandle, files) {
+        const staged = [];
+        for (const { dirPath, fileName, data } of files) {
+            try {
+                const dirHandle = await getDirByPath(iPodControlHandle, dirPath, true);
+                staged.push({ dirHandle, dirPath, fileName });
+                await writeVerifiedTemp(dirHandle, fileName, data);
+            } catch (e) {
+                await removeTempFiles(staged);
+                if (isOutOfSpaceError(e)) {
+                    // The old files stay until the new ones verified, so both copies need room at once.
+                    const neededMb = files.reduce((sum, f) => sum + f.data.byteLength, 0) / (1024 * 1024);
+                    return {
+                        ok: false,
+                        outOfSpace: true,
+                        error: `Not enough free space on the iPod: writing the database needs about ${neededMb.toFixed(1)} MB free ` +
+                            'next to the current copy. Remove some tracks and sync again',
+                    };
+                }
+                return { ok: false, error: `${fileName}: ${e?.message || e}` };
+            }
+        }
+
+        // Every file verified: from here on the new set wins, even after an interruption.
+        const iTunesHandle = await getDirByPath(iPodControlHandle, 'iTunes', true);
+        const marker = { version: 1, files: staged.map(({ dirPath, fileName }) => ({ dirPath, fileName })) };
+        try {
+            const writable = await (await iTunesHandle.getFileHandle(DB_COMMIT_FILE, { create: true })).createWritable();
+            await writable.write(JSON.stringify(marker));
+            await writable.close();
+        } catch (e) {
+            await removeTempFiles(staged);
+            return { ok: false, error: `${DB_COMMIT_FILE}: ${e?.message || e}` };
+        }
+
+        for (const { dirHandle, fileName } of staged) {
+            await moveTempIntoPlace(dirHandle, fileName);
+        }
+        await iTunesHandle.removeEntry(DB_COMMIT_FILE);
+        return { ok: true };
+    }
+
+    /**
+     * Finish or undo a database write that was cut short; call before reading the database.
+     * With a commit marker every temporary file verified, so the renames are completed;
+     * without one the originals were never touched and the temporary files are dropped.
+     */
+    async function recoverDatabaseWrite(iPodControlHandle) {
+        let marker = null;
+        try {
+            const iTunesHandle = await getDirByPath(iPodControlHandle, 'iTunes', false);
+            const file = await (await iTunesHandle.getFileHandle(DB_COMMIT_FILE, { create: false })).getFile();
+            try { marker = JSON.parse(await file.text()); } catch (_) {}
+            if (Array.isArray(marker?.files)) {
+                for (const { dirPath, fileName } of marker.files) {
+                    try {
+                        const dirHandle = await getDirByPath(iPodControlHandle, dirPath, false);
+                        await dirHandle.getFileHandle(tempName(fileName), { create: false });
+                        await moveTempIntoPlace(dirHandle, fileName);
+                    } catch (_) {
+                        // already moved before the interruption
+                    }
+                }
+                log('Finished a database write that was interrupted', 'warning');
+            }
+            await iTunesHandle.removeEntry(DB_COMMIT_FILE);
+        } catch (_) {
+            // no marker: nothing was committed
+        }
+
+        for (const dirPath of DB_DIRS) {
+            let dirHandle;
+            try {
+                dirHandle = await getDirByPath(iPodControlHandle, dirPath, false);
+            } catch (_) {
+                continue;
+            }
+            const leftovers = [];
+            for await (const [name, entry] of dirHandle.entries()) {
+                if (entry.kind === 'file' && name.endsWith(DB_TEMP_SUFFIX)) leftovers.push(name);
+            }
+            for (const name of leftovers) {
+                try { await dirHandle.removeEntry(name); } catch (_) {}
+            }
+            if (leftovers.length > 0 && !marker) {
+                log(`Discarded ${leftovers.length} file(s) of an interrupted database write; the previous database is intact`, 'warning');
+            }
+        }
+    }
+
+    function readVirtualFile(virtualPath) {
+        const FS = getFS();
+        try {
+            return FS.readFile(virtualPath);
+        } catch (_) {
+            return null;
+        }
+    }
+
     async function syncDbToIpod(ipodHandle, { onProgress } = {}) {
         if (!ipodHandle) return { ok: false, errorCount: 1, syncedCount: 0, skippedCount: 0 };
 
@@ -380,105 +693,162 @@ export function createFsSync({ log, wasm, mountpoint = '/iPod' }) {
         // exists. Modern iPods (Nano 5G+) do not have an iTunesDB file at all
         // after an iTunes restore. Creating a 0-byte iTunesDB where none existed
         // may confuse the firmware into trying to parse it instead of iTunesCDB.
-        let hasCDB = false;
-        try {
-            const cdbData = FS.readFile(`${mountpoint}/iPod_Control/iTunes/iTunesCDB`);
-            hasCDB = cdbData.length > 0;
-        } catch (_) {}
+        const cdbData = readVirtualFile(`${mountpoint}/iPod_Control/iTunes/iTunesCDB`);
+        const hasCDB = Boolean(cdbData?.length);
 
         const tasks = [];
         if (!hasCDB) {
             // Classic layout — iTunesDB is the primary database
-            tasks.push({ virtualPath: `${mountpoint}/iPod_Control/iTunes/iTunesDB`, fileName: 'iTunesDB', optional: false });
+            tasks.push({ dirPath: 'iTunes', fileName: 'iTunesDB', optional: false });
+        }
+        tasks.push({ dirPath: 'iTunes', fileName: 'iTunesSD', optional: true });
+        for (const name of SIDECAR_FILES) {
+            tasks.push({ dirPath: 'iTunes', fileName: name, optional: true });
         }
-        tasks.push({ virtualPath: `${mountpoint}/iPod_Control/iTunes/iTunesSD`, fileName: 'iTunesSD', optional: true });
         if (hasCDB) {
-            tasks.push({ virtualPath: `${mountpoint}/iPod_Control/iTunes/iTunesCDB`, fileName: 'iTunesCDB', optional: false });
+            tasks.push({ dirPath: 'iTunes', fileName: 'iTunesCDB', optional: false });
         }
 
-        let done = 0;
-        let errorCount = 0;
-        let syncedCount = 0;
+        // Sqlite databases in "iTunes Library.itlp" (used by Nano 5G+, 7G, etc.)
+        // These are the databases the iPod firmware actually reads for its music UI.
+        const itlpVfsPath = `${mountpoint}/iPod_Control/iTunes/${ITLP_DIR}`;
+        let itlpFiles = [];
+        try {
+            itlpFiles = FS.readdir(itlpVfsPath).filter((n) => n !== '.' && n !== '..');
+        } catch (_) {
+            // No itlp directory in VFS — classic-layout iPod, nothing to do.
+        }
+        // Skip subdirectories (only copy files)
+        itlpFiles = itlpFiles.filter((n) => {
+            try { return !FS.isDir(FS.stat(`${itlpVfsPath}/${n}`).mode); } catch (_) { return false; }
+        });
+        if (itlpFiles.length > 0) log(`Syncing ${itlpFiles.length} sqlite database file(s) from ${ITLP_DIR}`, 'info');
+        for (const fileName of itlpFiles) {
+            tasks.push({ dirPath: `iTunes/${ITLP_DIR}`, fileName, optional: false });
+        }
 
-        const iPodControlHandle = await ipodHandle.getDirectoryHandle('iPod_Control', { create: true });
-        const iTunesHandle = await iPodControlHandle.getDirectoryHandle('iTunes', { create: true });
+        // Artwork files libgpod rewrote (ArtworkDB, F*.ithmb).
+        const artwork = getArtworkChanges();
+        for (const fileName of artwork.changed) {
+            tasks.push({ dirPath: 'Artwork', fileName, optional: false });
+        }
 
-        // Sync individual database files (iTunesDB, iTunesSD, iTunesCDB)
+        const files = [];
+        let errorCount = 0;
         for (const t of tasks) {
-            const ok = await syncVirtualFileToRealInternal(iTunesHandle, t.virtualPath, t.fileName, t.optional);
-            if (!ok && !t.optional) errorCount += 1;
-            if (ok) syncedCount += 1;
-            done += 1;
+            const data = readVirtualFile(`${mountpoint}/iPod_Control/${t.dirPath}/${t.fileName}`);
+            if (data) files.push({ dirPath: t.dirPath, fileName: t.fileName, data });
+            else if (!t.optional) {
+                log(`File not found in virtual FS: ${t.dirPath}/${t.fileName}`, 'warning');
+                errorCount += 1;
+            }
+        }
+        if (errorCount > 0) {
+            log('Database not written; the database on the iPod is unchanged', 'error');
+            return { ok: false, errorCount, syncedCount: 0, skippedCount: 0 };
         }
 
-        // Sync sqlite databases in "iTunes Library.itlp" (used by Nano 5G+, 7G, etc.)
-        // These are the databases the iPod firmware actually reads for its music UI.
-        const itlpVfsPath = `${mountpoint}/iPod_Control/iTunes/iTunes Library.itlp`;
-        let itlpFiles = [];
+        try { onProgress?.({ phase: 'ipod', current: 0, total: files.length, percent: 0, detail: 'Writing database files...' }); } catch (_) {}
+
+        const iPodControlHandle = await ipodHandle.getDirectoryHandle('iPod_Control', { create: true });
+        let result;
         try {
-            itlpFiles = FS.readdir(itlpVfsPath).filter(n => n !== '.' && n !== '..');
-        } catch (_) {
-            // No itlp directory in VFS — classic-layout iPod, nothing to do.
+            result = await writeFilesAtomically(iPodControlHandle, files);
+        } catch (e) {
+            // Failed while renaming: the commit marker lets the next connect finish the swap.
+            result = { ok: false, error: e?.message || e };
         }
+        if (!result.ok) {
+            log(`Failed to write the database: ${result.error}`, 'error');
+            return { ok: false, errorCount: 1, syncedCount: 0, skippedCount: 0, outOfSpace: Boolean(result.outOfSpace), error: result.error };
+        }
+        for (const { dirPath, fileName } of files) log(`Synced ${dirPath === 'iTunes' ? '' : `${dirPath}/`}${fileName} to iPod`, 'info');
+
+        for (const fileName of artwork.changed) artworkSyncedFiles.set(fileName, artwork.current.get(fileName));
+        await removeOrphanedArtwork(iPodControlHandle, artwork);
+
+        const total = files.length;
+        try { onProgress?.({ phase: 'ipod', current: total, total, percent: 100, detail: 'done' }); } catch (_) {}
+
+        return { ok: true, errorCount: 0, syncedCount: total, skippedCount: 0 };
+    }
 
-        if (itlpFiles.length > 0) {
-            log(`Syncing ${itlpFiles.length} sqlite database file(s) from iTunes Library.itlp`, 'info');
+    /**
+     * Artwork files to copy to the iPod and to drop from it.
+     *
+     * When libgpod writes the database it packs the thumbnails that are still
+     * referenced into the F*.ithmb files, so removed artwork leaves the files
+     * smaller (or removes them entirely).  Rewritten files replace the device
+     * copies outright, and ithmb files that no longer exist (or are empty) in
+     * the virtual FS are deleted from the iPod once the new database is in place.
+     */
+    function getArtworkChanges() {
+        const current = snapshotArtworkFiles();
+        const changed = [...current.entries()]
+            .filter(([name, info]) => info.size > 0 && artworkSyncedFiles.get(name)?.mtime !== info.mtime)
+            .map(([name]) => name);
+        const orphaned = [...artworkSyncedFiles.keys()]
+            .filter((name) => /\.ithmb$/i.test(name) && !(current.get(name)?.size > 0));
+        return { current, changed, orphaned, bytesBefore: [...artworkSyncedFiles.values()].reduce((sum, f) => sum + f.size, 0) };
+    }
 
-            let itlpDir;
+    async function removeOrphanedArtwork(iPodControlHandle, { orphaned, bytesBefore }) {
+        if (orphaned.length > 0) {
+            let artworkDir;
             try {
-                itlpDir = await iTunesHandle.getDirectoryHandle('iTunes Library.itlp', { create: true });
-            } catch (e) {
-                log(`Failed to open/create iTunes Library.itlp on iPod: ${e.message}`, 'error');
-                errorCount += 1;
+                artworkDir = await iPodControlHandle.getDirectoryHandle('Artwork', { create: false });
+            } catch (_) {
+                return;
             }
-            if (itlpDir) {
-                for (const fileName of itlpFiles) {
-                    const vfsFilePath = `${itlpVfsPath}/${fileName}`;
-                    // Skip subdirectories (only copy files)
-                    try {
-                        const stat = FS.stat(vfsFilePath);
-                        if (FS.isDir(stat.mode)) continue;
-                    } catch (_) {
-                        continue;
-                    }
-                    const ok = await syncVirtualFileToRealInternal(itlpDir, vfsFilePath, fileName, false);
-                    if (!ok) errorCount += 1;
-                    if (ok) syncedCount += 1;
-                    done += 1;
+            for (const fileName of orphaned) {
+                try {
+                    await artworkDir.removeEntry(fileName);
+                    artworkSyncedFiles.delete(fileName);
+                    try { getFS()?.unlink(`${artworkVfsPath}/${fileName}`); } catch (_) {}
+                    log(`Removed unused artwork file ${fileName}`, 'info');
+                } catch (e) {
+                    if (e?.name === 'NotFoundError') artworkSyncedFiles.delete(fileName);
+                    else log(`Could not remove artwork file ${fileName}: ${e.message}`, 'warning');
                 }
             }
         }
 
-        const total = done;
-        const percent = 100;
-        try { onProgress?.({ phase: 'ipod', current: total, total, percent, detail: 'done' }); } catch (_) {}
+        const bytesAfter = [...artworkSyncedFiles.values()].reduce((sum, f) => sum + f.size, 0);
+        if (bytesAfter < bytesBefore) {
+            const savedMb = (bytesBefore - bytesAfter) / (1024 * 1024);
+            log(`Artwork compacted: reclaimed ${savedMb.toFixed(1)} MB`, 'info');
+        }
+    }
 
-        return { ok: errorCount === 0, errorCount, syncedCount, skippedCount: 0 };
+    /** Read a sidecar JSON file from the virtual iTunes folder (null if missing or invalid). */
+    function readSidecarJson(name) {
+        const FS = getFS();
+        if (!FS) return null;
+        try {
+            return JSON.parse(FS.readFile(`${mountpoint}/iPod_Control/iTunes/${name}`, { encoding: 'utf8' }));
+        } catch (_) {
+            return null;
+        }
     }
 
-    async function syncVirtualFileToRealInternal(realDirHandle, virtualPath, fileName, optional = false) {
+    /** Write a sidecar JSON file to the virtual iTunes folder; it reaches the iPod on the next sync. */
+    function writeSidecarJson(name, data) {
         const FS = getFS();
         if (!FS) throw new Error('WASM FS not ready');
+        FS.writeFile(`${mountpoint}/iPod_Control/iTunes/${name}`, JSON.stringify(data, null, 2));
+    }
 
-        try {
-            try {
-                FS.stat(virtualPath);
-            } catch (_) {
-                if (!optional) log(`File not found in virtual FS: ${virtualPath}`, 'warning');
-                return false;
-            }
+    /** Open a file on the real iPod (e.g. a track's audio) as a File. */
+    async function readFileFromIpodRelativePath(ipodHandle, relativePath) {
+        if (!ipodHandle) throw new Error('No iPod handle');
+        const parts = String(relativePath || '').split('/').filter(Boolean);
+        if (parts.length === 0) throw new Error('Invalid file path');
 
-            const data = FS.readFile(virtualPath);
-            const fileHandle = await realDirHandle.getFileHandle(fileName, { create: true });
-            const writable = await fileHandle.createWritable();
-            await writable.write(data);
-            await writable.close();
-            log(`Synced ${fileName} to iPod`, 'info');
-            return true;
-        } catch (e) {
-            if (!optional) log(`Failed to sync ${fileName}: ${e.message}`, 'warning');
-            return false;
+        let currentDir = ipodHandle;
+        for (const dir of parts.slice(0, -1)) {
+            currentDir = await currentDir.getDirectoryHandle(dir, { create: false });
         }
+        return await (await currentDir.getFileHandle(parts[parts.length - 1])).getFile();
     }
 
     async function deleteFileFromIpodRelativePath(ipodHandle, relativePath) {
@@ -560,10 +930,15 @@ export function createFsSync({ log, wasm, mountpoint = '/iPod' }) {
         verifyIpodStructure,
         setupWasmFilesystem,
         syncDbToIpod,
+        ensureArtworkLoaded,
         writeFileToIpodRelativePath,
         reserveVirtualPath,
+        readFileFromIpodRelativePath,
         deleteFileFromIpodRelativePath,
+        writeFilesAtomically,
         reSignDatabaseFiles,
+        readSidecarJson,
+        writeSidecarJson,
     };
 }
 
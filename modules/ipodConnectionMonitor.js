@@ -38,6 +38,7 @@ export function createIpodConnectionMonitor({
         appState.pendingUploads = [];
         appState.pendingFileDeletes = [];
         appState.selectedTrackIds = [];
+        appState.artworkProfile = null;
 
         updateConnectionStatus?.(false);
         enableUIIfReady?.({ wasmReady: appState.wasmReady, isConnected: false });
@@ -45,6 +46,8 @@ export function createIpodConnectionMonitor({
         // Clear UI
         renderTracks?.({ tracks: [], escapeHtml, selectedTrackIds: [] });
         renderSidebarPlaylists?.();
+        const smartPlaylistBanner = document.getElementById('smartPlaylistBanner');
+        if (smartPlaylistBanner) smartPlaylistBanner.style.display = 'none';
     }
 
     function start() {
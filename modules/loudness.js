@@ -0,0 +1,91 @@
+/**
+ * "Analyze Loudness": measure tracks already on the iPod with ffmpeg's ebur128
+ * filter and store the result as their Sound Check value, so volume levelling
+ * works for tracks that were uploaded without ReplayGain / R128 tags.
+ * The values reach the iPod on the next "Sync iPod".
+ */
+
+import { soundCheckFromLoudness } from './audio.js';
+
+export function createLoudnessAnalysis({ appState, wasm, fsSync, paths, log, measureLoudness, concurrency = 2 } = {}) {
+    let running = false;
+
+    function setButtonState(text, busy) {
+        const btn = document.getElementById('analyzeLoudnessBtn');
+        if (!btn) return;
+        btn.textContent = text;
+        btn.disabled = busy;
+    }
+
+    async function analyzeOne(track) {
+        const relFsPath = track.ipod_path ? paths.toRelFsPathFromIpodDbPath(track.ipod_path) : '';
+        if (!relFsPath) throw new Error('No file on the iPod');
+        const file = await fsSync.readFileFromIpodRelativePath(appState.ipodHandle, relFsPath);
+        const soundcheck = soundCheckFromLoudness(await measureLoudness(file));
+        if (!soundcheck) throw new Error('No loudness reading');
+        if (wasm.wasmCallWithError('ipod_track_set_soundcheck', Number(track.id), soundcheck) !== 0) {
+            throw new Error('Failed to update the track');
+        }
+        track.soundcheck = soundcheck;
+    }
+
+    /**
+     * Measure the given tracks (all tracks when trackIds is null).
+     * @param {number[]|null} trackIds
+     * @param {{ onlyMissing?: boolean }} [options]  onlyMissing: skip tracks that already have Sound Check
+     */
+    async function analyzeTracks(trackIds = null, { onlyMissing = false } = {}) {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+        if (running) {
+            log?.('Loudness analysis is already running', 'warning');
+            return;
+        }
+
+        const all = appState.tracks || [];
+        const ids = trackIds ? new Set(trackIds.map(Number)) : null;
+        const tracks = all.filter((t) => (!ids || ids.has(Number(t.id))) && !(onlyMissing && t.soundcheck > 0));
+        if (tracks.length === 0) {
+            log?.(onlyMissing ? 'Every track already has a Sound Check value' : 'No tracks to analyze', 'info');
+            return;
+        }
+
+        running = true;
+        log?.(`Analyzing loudness of ${tracks.length} track(s)...`, 'info');
+        let next = 0;
+        let done = 0;
+        let failed = 0;
+        setButtonState(`Analyzing… 0/${tracks.length}`, true);
+
+        // A couple of workers so both ffmpeg instances of the transcode pool stay busy.
+        const worker = async () => {
+            while (next < tracks.length) {
+                const track = tracks[next++];
+                try {
+                    await analyzeOne(track);
+                } catch (e) {
+                    failed++;
+                    log?.(`Could not analyze "${track.title || 'Untitled'}": ${e?.message || e}`, 'warning');
+                }
+                done++;
+                setButtonState(`Analyzing… ${done}/${tracks.length}`, true);
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+        } finally {
+            running = false;
+            setButtonState('Analyze Loudness', false);
+        }
+
+        const analyzed = tracks.length - failed;
+        if (analyzed > 0) {
+            log?.(`Set Sound Check for ${analyzed} track(s). Click "Sync iPod" to save them to the iPod.`, failed ? 'warning' : 'success');
+        }
+    }
+
+    return { analyzeTracks };
+}
@@ -1,12 +1,21 @@
-export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
+import { getArtworkTarget, rgbaToDataUrl } from './artwork.js';
+import { createArtworkCropper } from './artworkCropper.js';
+
+export function createMetadataEditor({ wasm, log, refreshCurrentView, getArtworkProfile, loadArtwork }) {
     let editingTrackIds = [];
+    // Select id → value it had when the modal opened, so saving only sends what changed.
+    let loadedSelectValues = {};
 
     // ── artwork state ────────────────────────────────────────────────────────
     // Holds the pre-decoded RGBA artwork the user picked via the file dialog.
     // Cleared every time the modal opens or the user clicks the × button.
+    // Rendered from the crop editor whenever its settings change.
     let pendingArtwork = null;   // { rgba: Uint8Array, width: number, height: number } | null
-
-    const ARTWORK_MAX_SIZE = 320; // iPod Classic max artwork dimension
+    const cropper = createArtworkCropper({ onChange: updatePendingArtwork });
+    // Data URL of the artwork already on the device (single-track edits only).
+    let currentArtworkUrl = null;
+    // Set by the modal's "Remove" button; applied on Save.
+    let pendingArtworkRemoval = false;
 
     // ── helpers ──────────────────────────────────────────────────────────────
 
@@ -31,66 +40,54 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
         return document.getElementById(id)?.value.trim() ?? '';
     }
 
-    // ── artwork helpers ──────────────────────────────────────────────────────
+    /** Number inputs: 0 means "not set" so the input appears empty. */
+    function setNumberField(inputId, value) {
+        setInputField(inputId, value !== '0' ? value : '');
+    }
 
-    /**
-     * Resize an image file (Blob / File) to at most ARTWORK_MAX_SIZE × ARTWORK_MAX_SIZE
-     * using an off-screen Canvas.  Returns the raw RGBA Uint8Array plus dimensions.
-     */
-    function decodeAndResizeImage(file) {
-        return new Promise((resolve, reject) => {
-            const url = URL.createObjectURL(file);
-            const img = new Image();
-            img.onload = () => {
-                URL.revokeObjectURL(url);
-                let { width, height } = img;
-
-                // Scale down keeping aspect ratio — artwork is always square on iPod
-                // but we preserve the original ratio so libgpod can crop/pad as needed.
-                const scale = Math.min(1, ARTWORK_MAX_SIZE / Math.max(width, height));
-                width  = Math.round(width  * scale);
-                height = Math.round(height * scale);
-
-                const canvas = document.createElement('canvas');
-                canvas.width  = width;
-                canvas.height = height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
-
-                const imageData = ctx.getImageData(0, 0, width, height);
-                resolve({
-                    rgba:   new Uint8Array(imageData.data.buffer),
-                    width,
-                    height,
-                });
-            };
-            img.onerror = () => {
-                URL.revokeObjectURL(url);
-                reject(new Error('Failed to decode image'));
-            };
-            img.src = url;
-        });
+    /** Returns the parsed integer, or -1 (= leave unchanged) when the input is empty. */
+    function getIntInputVal(id) {
+        const str = getInputVal(id);
+        return str !== '' ? parseInt(str, 10) : -1;
+    }
+
+    /** Returns a select's integer value, or -1 (= leave unchanged) when empty or still as loaded. */
+    function getChangedSelectVal(id) {
+        const str = getInputVal(id);
+        return str !== '' && str !== loadedSelectValues[id] ? parseInt(str, 10) : -1;
     }
 
+    // ── artwork helpers ──────────────────────────────────────────────────────
+
     /** Show a thumbnail preview inside the artwork-preview container. */
-    function showArtworkPreview(file) {
+    function showArtworkPreview(url) {
         const preview = document.getElementById('artworkPreview');
         if (!preview) return;
-        const url = URL.createObjectURL(file);
         preview.innerHTML = `<img src="${url}" alt="Artwork preview">`;
         // Show the clear button
         const clearBtn = document.getElementById('artworkClearBtn');
         if (clearBtn) clearBtn.style.display = 'inline-block';
     }
 
-    /** Reset artwork preview to the placeholder state. */
+    /** Reset artwork preview to the track's current artwork, or the placeholder state. */
     function clearArtworkPreview() {
         const preview = document.getElementById('artworkPreview');
         if (preview) {
-            preview.innerHTML = '<span class="artwork-placeholder">Click to<br>set artwork</span>';
+            if (pendingArtworkRemoval) {
+                preview.innerHTML = '<span class="artwork-placeholder">Artwork will<br>be removed</span>';
+            } else {
+                preview.innerHTML = currentArtworkUrl
+                    ? `<img src="${currentArtworkUrl}" alt="Current artwork" title="Click to replace artwork">`
+                    : '<span class="artwork-placeholder">Click to<br>set artwork</span>';
+            }
         }
         const clearBtn = document.getElementById('artworkClearBtn');
-        if (clearBtn) clearBtn.style.display = 'none';
+        if (clearBtn) clearBtn.style.display = pendingArtworkRemoval ? 'inline-block' : 'none';
+    }
+
+    function setRemoveButtonVisible(visible) {
+        const removeBtn = document.getElementById('artworkRemoveBtn');
+        if (removeBtn) removeBtn.style.display = visible ? 'inline-block' : 'none';
     }
 
     /** Wire up the hidden file input + artwork preview click. */
@@ -105,11 +102,13 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
             const file = fileInput.files?.[0];
             if (!file) return;
             try {
-                pendingArtwork = await decodeAndResizeImage(file);
-                showArtworkPreview(file);
+                await cropper.open(file, getArtworkTarget(getArtworkProfile?.()));
+                pendingArtworkRemoval = false;
+                updatePendingArtwork();
                 log?.(`Artwork loaded: ${pendingArtwork.width}×${pendingArtwork.height}`, 'info');
             } catch (e) {
                 log?.(`Failed to process artwork: ${e.message}`, 'error');
+                cropper.close();
                 pendingArtwork = null;
                 clearArtworkPreview();
             }
@@ -124,13 +123,55 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
                 clearArtworkSelection();
             });
         }
+
+        const removeBtn = document.getElementById('artworkRemoveBtn');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                cropper.close();
+                pendingArtwork = null;
+                pendingArtworkRemoval = true;
+                clearArtworkPreview();
+            });
+        }
+    }
+
+    /** Re-render the picked image from the crop editor and preview the result. */
+    function updatePendingArtwork() {
+        pendingArtwork = cropper.render();
+        if (pendingArtwork) showArtworkPreview(rgbaToDataUrl(pendingArtwork));
     }
 
+    /** Drop the picked image / pending removal and show the current artwork again. */
     function clearArtworkSelection() {
+        cropper.close();
         pendingArtwork = null;
+        pendingArtworkRemoval = false;
         clearArtworkPreview();
     }
 
+    /** Show the artwork controls, or an explanation on models without artwork (Mini, Shuffle). */
+    function setArtworkControlsEnabled(enabled) {
+        const controls = document.getElementById('editArtworkControls');
+        const message = document.getElementById('editArtworkUnsupported');
+        if (controls) controls.style.display = enabled ? 'flex' : 'none';
+        if (message) message.style.display = enabled ? 'none' : 'block';
+    }
+
+    async function loadCurrentArtwork(trackId) {
+        try {
+            await loadArtwork?.();
+        } catch (e) {
+            log?.(e?.message || String(e), 'warning');
+            return;
+        }
+        // The modal may have moved on to other tracks while the artwork loaded.
+        if (editingTrackIds.length !== 1 || editingTrackIds[0] !== trackId) return;
+        const art = wasm.wasmGetTrackArtworkRGBA?.(trackId, 0);
+        currentArtworkUrl = art ? rgbaToDataUrl(art) : null;
+        if (!pendingArtwork) clearArtworkPreview();
+    }
+
     // ── public API ────────────────────────────────────────────────────────────
 
     function showEditModal(trackIds) {
@@ -146,17 +187,42 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
         const isBatch = editingTrackIds.length > 1;
 
         // String fields
-        setInputField('editTitle',  isBatch ? null : getSharedField(trackData, 'title'));
-        setInputField('editArtist', getSharedField(trackData, 'artist'));
-        setInputField('editAlbum',  getSharedField(trackData, 'album'));
-        setInputField('editGenre',  getSharedField(trackData, 'genre'));
+        setInputField('editTitle',       isBatch ? null : getSharedField(trackData, 'title'));
+        setInputField('editArtist',      getSharedField(trackData, 'artist'));
+        setInputField('editAlbumArtist', getSharedField(trackData, 'albumartist'));
+        setInputField('editAlbum',       getSharedField(trackData, 'album'));
+        setInputField('editComposer',    getSharedField(trackData, 'composer'));
+        setInputField('editGenre',       getSharedField(trackData, 'genre'));
+        setInputField('editComment',     getSharedField(trackData, 'comment'));
+
+        // Sort fields (title sort is per-track, like title)
+        setInputField('editSortTitle',       isBatch ? null : getSharedField(trackData, 'sort_title'));
+        setInputField('editSortArtist',      getSharedField(trackData, 'sort_artist'));
+        setInputField('editSortAlbumArtist', getSharedField(trackData, 'sort_albumartist'));
+        setInputField('editSortAlbum',       getSharedField(trackData, 'sort_album'));
+        setInputField('editSortComposer',    getSharedField(trackData, 'sort_composer'));
 
         // Number fields — treat 0 as "not set" so the input appears empty.
-        const trackNrVal = getSharedField(trackData, 'track_nr');
-        setInputField('editTrackNr', trackNrVal !== '0' ? trackNrVal : '');
+        setNumberField('editTrackNr',    getSharedField(trackData, 'track_nr'));
+        setNumberField('editTrackTotal', getSharedField(trackData, 'tracks'));
+        setNumberField('editDiscNr',     getSharedField(trackData, 'cd_nr'));
+        setNumberField('editDiscTotal',  getSharedField(trackData, 'cds'));
+        setNumberField('editYear',       getSharedField(trackData, 'year'));
+        setNumberField('editBpm',        getSharedField(trackData, 'bpm'));
+
+        // Compilation select — '' (no change) when tracks disagree
+        const compilationEl = document.getElementById('editCompilation');
+        if (compilationEl) {
+            const compilationVal = getSharedField(trackData, 'compilation');
+            compilationEl.value = compilationVal === null ? '' : (compilationVal === 'true' ? '1' : '0');
+        }
 
-        const yearVal = getSharedField(trackData, 'year');
-        setInputField('editYear', yearVal !== '0' ? yearVal : '');
+        // Gapless album select — same "no change" convention as compilation
+        const gaplessAlbumEl = document.getElementById('editGaplessAlbum');
+        if (gaplessAlbumEl) {
+            const gaplessVal = getSharedField(trackData, 'gapless_album');
+            gaplessAlbumEl.value = gaplessVal === null ? '' : (gaplessVal === 'true' ? '1' : '0');
+        }
 
         // Rating select
         const ratingEl = document.getElementById('editRating');
@@ -165,12 +231,20 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
             ratingEl.value = ratingVal !== null ? ratingVal : '';
         }
 
+        loadedSelectValues = Object.fromEntries(
+            ['editCompilation', 'editRating', 'editGaplessAlbum'].map((id) => [id, getInputVal(id)]));
+
         // Modal title
         const titleEl = document.getElementById('editModalTitle');
         if (titleEl) titleEl.textContent = isBatch ? `Edit ${editingTrackIds.length} Tracks` : 'Edit Track';
 
-        // Reset artwork state for every open
+        // Reset artwork state for every open; single tracks preview what's on the device.
+        currentArtworkUrl = null;
+        const artworkSupported = getArtworkProfile?.()?.supported !== false;
+        setArtworkControlsEnabled(artworkSupported);
+        if (artworkSupported && !isBatch && trackData[0]?.has_artwork) loadCurrentArtwork(editingTrackIds[0]);
         clearArtworkSelection();
+        setRemoveButtonVisible(trackData.some(t => t.has_artwork));
 
         document.getElementById('editMetadataModal')?.classList.add('show');
         setTimeout(() => document.getElementById('editTitle')?.focus(), 50);
@@ -179,41 +253,94 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
     function hideEditModal() {
         document.getElementById('editMetadataModal')?.classList.remove('show');
         editingTrackIds = [];
+        cropper.close();
         pendingArtwork = null;
+        pendingArtworkRemoval = false;
+        currentArtworkUrl = null;
     }
 
-    function saveTrackEdits() {
-        if (editingTrackIds.length === 0) return;
+    /**
+     * Remove artwork from one or more tracks (context menu "Remove Artwork").
+     * The ithmb space is reclaimed on the next "Sync iPod".
+     */
+    function removeArtwork(trackIds) {
+        const ids = (Array.isArray(trackIds) ? trackIds : [trackIds]).filter(id => Number.isFinite(id));
+        if (ids.length === 0) return;
 
-        const title  = getInputVal('editTitle')  || null;
-        const artist = getInputVal('editArtist') || null;
-        const album  = getInputVal('editAlbum')  || null;
-        const genre  = getInputVal('editGenre')  || null;
+        const label = ids.length === 1 ? 'this track' : `${ids.length} tracks`;
+        if (!confirm(`Remove artwork from ${label}?`)) return;
 
-        const trackNrStr = getInputVal('editTrackNr');
-        const yearStr    = getInputVal('editYear');
-        const ratingStr  = getInputVal('editRating');
+        let removed = 0;
+        for (const trackId of ids) {
+            if (wasm.wasmCallWithError('ipod_track_remove_artwork', trackId) === 0) removed++;
+        }
 
-        const trackNr = trackNrStr !== '' ? parseInt(trackNrStr, 10) : -1;
-        const year    = yearStr    !== '' ? parseInt(yearStr,    10) : -1;
-        const rating  = ratingStr  !== '' ? parseInt(ratingStr,  10) : -1;
+        if (removed > 0) {
+            log?.(`Removed artwork from ${removed} ${removed === 1 ? 'track' : 'tracks'}. Click "Sync iPod" to save to device.`, 'success');
+            refreshCurrentView();
+        }
+    }
 
-        const hasMetadataChanges = title || artist || album || genre || trackNr >= 0 || year > 0 || rating >= 0;
+    function saveTrackEdits() {
+        if (editingTrackIds.length === 0) return;
+
+        const title       = getInputVal('editTitle')       || null;
+        const artist      = getInputVal('editArtist')      || null;
+        const albumArtist = getInputVal('editAlbumArtist') || null;
+        const album       = getInputVal('editAlbum')       || null;
+        const composer    = getInputVal('editComposer')    || null;
+        const genre       = getInputVal('editGenre')       || null;
+        const comment     = getInputVal('editComment')     || null;
+
+        const trackNr     = getIntInputVal('editTrackNr');
+        const trackTotal  = getIntInputVal('editTrackTotal');
+        const discNr      = getIntInputVal('editDiscNr');
+        const discTotal   = getIntInputVal('editDiscTotal');
+        const year        = getIntInputVal('editYear');
+        const bpm         = getIntInputVal('editBpm');
+        const compilation = getChangedSelectVal('editCompilation');
+        const rating      = getChangedSelectVal('editRating');
+        const gaplessAlbum = getChangedSelectVal('editGaplessAlbum');
+
+        const fields = {
+            title, artist, albumArtist, album, composer, genre, comment,
+            trackNr, trackTotal, discNr, discTotal, year, bpm, compilation, rating,
+        };
+
+        const hasMetadataChanges =
+            title || artist || albumArtist || album || composer || genre || comment ||
+            trackNr >= 0 || trackTotal >= 0 || discNr >= 0 || discTotal >= 0 ||
+            year > 0 || bpm >= 0 || compilation >= 0 || rating >= 0;
+
+        const sortFields = {
+            sortTitle:       getInputVal('editSortTitle')       || null,
+            sortArtist:      getInputVal('editSortArtist')      || null,
+            sortAlbumArtist: getInputVal('editSortAlbumArtist') || null,
+            sortAlbum:       getInputVal('editSortAlbum')       || null,
+            sortComposer:    getInputVal('editSortComposer')    || null,
+        };
+        const hasSortChanges = Object.values(sortFields).some(Boolean);
         const hasArtwork = pendingArtwork !== null;
+        const removeArtworkOnSave = pendingArtworkRemoval;
 
-        if (!hasMetadataChanges && !hasArtwork) {
+        const hasGaplessChange = gaplessAlbum >= 0;
+
+        if (!hasMetadataChanges && !hasSortChanges && !hasGaplessChange && !hasArtwork && !removeArtworkOnSave) {
             log?.('No changes to save', 'warning');
             return;
         }
 
         let metaSuccess = 0;
         let artSuccess  = 0;
+        let artRemoved  = 0;
 
         for (const trackId of editingTrackIds) {
             // ─ metadata ─
-            if (hasMetadataChanges) {
-                const result = wasm.wasmUpdateTrack(trackId, { title, artist, album, genre, trackNr, year, rating });
-                if (result === 0) {
+            if (hasMetadataChanges || hasSortChanges || hasGaplessChange) {
+                const result = hasMetadataChanges ? wasm.wasmUpdateTrack(trackId, fields) : 0;
+                const sortResult = hasSortChanges ? wasm.wasmUpdateTrackSortFields(trackId, sortFields) : 0;
+                const gaplessResult = hasGaplessChange ? wasm.wasmCallWithError('ipod_track_set_gapless_album', trackId, gaplessAlbum) : 0;
+                if (result === 0 && sortResult === 0 && gaplessResult === 0) {
                     metaSuccess++;
                 } else {
                     log?.(`Failed to update metadata for track ${trackId}`, 'error');
@@ -233,6 +360,8 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
                 } else {
                     log?.(`Failed to set artwork for track ${trackId}`, 'error');
                 }
+            } else if (removeArtworkOnSave) {
+                if (wasm.wasmCallWithError('ipod_track_remove_artwork', trackId) === 0) artRemoved++;
             }
         }
 
@@ -242,13 +371,15 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
             parts.push(`metadata for ${metaSuccess} ${metaSuccess === 1 ? 'track' : 'tracks'}`);
         if (artSuccess > 0)
             parts.push(`artwork for ${artSuccess} ${artSuccess === 1 ? 'track' : 'tracks'}`);
+        if (artRemoved > 0)
+            parts.push(`removed artwork from ${artRemoved} ${artRemoved === 1 ? 'track' : 'tracks'}`);
 
         if (parts.length > 0) {
             log?.(`Updated ${parts.join(' and ')}. Click "Sync iPod" to save to device.`, 'success');
             refreshCurrentView();
         }
 
-        if (metaSuccess === 0 && artSuccess === 0) {
+        if (metaSuccess === 0 && artSuccess === 0 && artRemoved === 0) {
             log?.('All updates failed. Check the console log for details.', 'error');
             return;
         }
@@ -259,7 +390,8 @@ export function createMetadataEditor({ wasm, log, refreshCurrentView }) {
     // One-time DOM wiring (called after DOM is ready)
     function init() {
         initArtworkInput();
+        cropper.init();
     }
 
-    return { showEditModal, hideEditModal, saveTrackEdits, clearArtworkSelection, init };
+    return { showEditModal, hideEditModal, saveTrackEdits, clearArtworkSelection, removeArtwork, init };
 }
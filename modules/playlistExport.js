@@ -0,0 +1,167 @@
+/**
+ * Export iPod playlists as M3U8 / XSPF files that point at the track files on
+ * the iPod, so playlists curated on the device work in other players.
+ *
+ * Paths are written relative to the iPod's root ("iPod_Control/Music/F01/ABCD.mp3",
+ * for files saved at the top of the iPod) or absolute under a chosen drive
+ * letter / mount point ("E:\iPod_Control\..." or "/Volumes/IPOD/iPod_Control/...").
+ */
+
+import { serializeM3U8, serializeXSPF } from './playlistFiles.js';
+
+const FORMATS = {
+    m3u8: { extension: '.m3u8', serialize: serializeM3U8 },
+    xspf: { extension: '.xspf', serialize: serializeXSPF },
+};
+
+/** Playlist name → safe filename (no path separators or reserved characters). */
+function toFilename(name) {
+    const cleaned = String(name || '').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').replace(/^[.\s]+|[.\s]+$/g, '');
+    return cleaned.slice(0, 120) || 'Playlist';
+}
+
+/**
+ * Join the iPod-relative path onto the chosen root, using backslashes for
+ * Windows drive roots ("E:", "E:\") and forward slashes otherwise.
+ */
+export function toAbsolutePath(root, relFsPath) {
+    const rootStr = String(root || '').trim();
+    const windows = /^[A-Za-z]:/.test(rootStr) || rootStr.includes('\\');
+    const sep = windows ? '\\' : '/';
+    const base = rootStr.replace(/[\\/]+$/, '');
+    const rel = String(relFsPath || '').replace(/^\/+/, '').split('/').join(sep);
+    return `${base}${sep}${rel}`;
+}
+
+export function createPlaylistExport({ appState, wasm, paths, log, settings } = {}) {
+    let pendingIndices = []; // playlists to export once the modal is confirmed
+
+    function els() {
+        return {
+            modal: document.getElementById('playlistExportModal'),
+            title: document.getElementById('playlistExportTitle'),
+            format: document.getElementById('playlistExportFormat'),
+            pathMode: document.getElementById('playlistExportPathMode'),
+            root: document.getElementById('playlistExportRoot'),
+            rootGroup: document.getElementById('playlistExportRootGroup'),
+        };
+    }
+
+    function updateRootVisibility() {
+        const { pathMode, rootGroup } = els();
+        if (rootGroup) rootGroup.style.display = pathMode?.value === 'absolute' ? '' : 'none';
+    }
+
+    /**
+     * @param {number|null} playlistIndex  One playlist, or null for every playlist except the library.
+     */
+    function showModal(playlistIndex = null) {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+        const playlists = appState.playlists || [];
+        pendingIndices = playlistIndex == null
+            ? playlists.map((pl, idx) => (pl.is_master ? -1 : idx)).filter((idx) => idx >= 0)
+            : [playlistIndex];
+        if (pendingIndices.length === 0) {
+            log?.('No playlists to export', 'warning');
+            return;
+        }
+
+        const { modal, title, format, pathMode, root } = els();
+        if (title) {
+            title.textContent = playlistIndex == null
+                ? `Export ${pendingIndices.length} Playlist${pendingIndices.length === 1 ? '' : 's'}`
+                : `Export "${playlists[playlistIndex]?.name || 'Playlist'}"`;
+        }
+        if (format) format.value = settings?.get?.('playlistExportFormat') || 'm3u8';
+        if (pathMode) {
+            pathMode.value = settings?.get?.('playlistExportPaths') || 'relative';
+            pathMode.onchange = updateRootVisibility;
+        }
+        if (root) root.value = settings?.get?.('playlistExportRoot') || '';
+        updateRootVisibility();
+        modal?.classList.add('show');
+    }
+
+    function hideModal() {
+        els().modal?.classList.remove('show');
+        pendingIndices = [];
+    }
+
+    function buildEntries(playlistIndex, { absoluteRoot }) {
+        const tracks = wasm.wasmGetJson('ipod_get_playlist_tracks_json', playlistIndex) || [];
+        const entries = [];
+        let skipped = 0;
+        for (const track of tracks) {
+            const relFsPath = track.ipod_path ? paths.toRelFsPathFromIpodDbPath(track.ipod_path) : '';
+            if (!relFsPath) {
+                skipped++;
+                continue;
+            }
+            entries.push({
+                location: absoluteRoot ? toAbsolutePath(absoluteRoot, relFsPath) : relFsPath,
+                title: track.title || '',
+                artist: track.artist || '',
+                album: track.album || '',
+                durationMs: track.tracklen || null,
+            });
+        }
+        return { entries, skipped };
+    }
+
+    async function exportPlaylists() {
+        const { format: formatEl, pathMode, root } = els();
+        const formatKey = FORMATS[formatEl?.value] ? formatEl.value : 'm3u8';
+        const absolute = pathMode?.value === 'absolute';
+        const absoluteRoot = absolute ? String(root?.value || '').trim() : '';
+        if (absolute && !absoluteRoot) {
+            log?.('Enter the drive letter or mount point to write absolute paths under', 'warning');
+            return;
+        }
+
+        settings?.set?.('playlistExportFormat', formatKey);
+        settings?.set?.('playlistExportPaths', absolute ? 'absolute' : 'relative');
+        if (absolute) settings?.set?.('playlistExportRoot', absoluteRoot);
+
+        let dirHandle;
+        try {
+            dirHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (e) {
+            if (e.name !== 'AbortError') log?.(`Folder selection failed: ${e.message}`, 'error');
+            return;
+        }
+
+        const { extension, serialize } = FORMATS[formatKey];
+        const indices = pendingIndices;
+        hideModal();
+
+        const usedNames = new Set();
+        let written = 0;
+        for (const playlistIndex of indices) {
+            const playlist = appState.playlists[playlistIndex];
+            if (!playlist) continue;
+
+            const { entries, skipped } = buildEntries(playlistIndex, { absoluteRoot });
+            let filename = toFilename(playlist.name);
+            for (let n = 2; usedNames.has(filename.toLowerCase()); n++) filename = `${toFilename(playlist.name)} ${n}`;
+            usedNames.add(filename.toLowerCase());
+
+            try {
+                const fileHandle = await dirHandle.getFileHandle(`${filename}${extension}`, { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(serialize(playlist.name, entries));
+                await writable.close();
+                written++;
+                if (skipped > 0) log?.(`"${playlist.name}": skipped ${skipped} track(s) without a file on the iPod`, 'warning');
+            } catch (e) {
+                log?.(`Failed to export "${playlist.name}": ${e?.message || e}`, 'error');
+            }
+        }
+
+        log?.(`Exported ${written} of ${indices.length} playlist(s) as ${formatKey.toUpperCase()}`, written === indices.length ? 'success' : 'warning');
+    }
+
+    return { showModal, hideModal, exportPlaylists };
+}
@@ -0,0 +1,183 @@
+/**
+ * Playlist file formats: M3U / M3U8, PLS and XSPF are read for import;
+ * M3U8 and XSPF are written for export.
+ *
+ * Parsers return entries of the shape
+ *   { location, title, artist, album, durationMs }
+ * where location is a file path (file:// URLs are decoded) and the other
+ * fields are whatever hints the format carried (empty / null when absent).
+ */
+
+export const PLAYLIST_FILE_EXTENSIONS = ['.m3u', '.m3u8', '.pls', '.xspf'];
+
+function makeEntry(location, { title = '', artist = '', album = '', durationMs = null } = {}) {
+    return {
+        location: decodeLocation(location),
+        title: String(title || '').trim(),
+        artist: String(artist || '').trim(),
+        album: String(album || '').trim(),
+        durationMs: Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null,
+    };
+}
+
+/** Turn a file:// URL into a plain path; other locations are returned trimmed. */
+function decodeLocation(location) {
+    const value = String(location || '').trim();
+    if (!/^file:/i.test(value)) return value;
+    try {
+        const path = decodeURIComponent(new URL(value).pathname);
+        // file:///C:/Music/x.mp3 → C:/Music/x.mp3
+        return /^\/[A-Za-z]:\//.test(path) ? path.slice(1) : path;
+    } catch (_) {
+        return value.replace(/^file:\/*/i, '/');
+    }
+}
+
+/** "Artist - Title" display strings used by #EXTINF and PLS TitleN. */
+function splitDisplayTitle(display) {
+    const text = String(display || '').trim();
+    const sep = text.indexOf(' - ');
+    if (sep <= 0) return { artist: '', title: text };
+    return { artist: text.slice(0, sep).trim(), title: text.slice(sep + 3).trim() };
+}
+
+function secondsToMs(value) {
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : null;
+}
+
+export function parseM3U(text) {
+    const entries = [];
+    let pending = null; // hints from the last #EXTINF line
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line.startsWith('#')) {
+            const extinf = /^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i.exec(line);
+            if (extinf) pending = { durationMs: secondsToMs(extinf[1]), ...splitDisplayTitle(extinf[2]) };
+            continue;
+        }
+        entries.push(makeEntry(line, pending || {}));
+        pending = null;
+    }
+    return entries;
+}
+
+export function parsePLS(text) {
+    const byNumber = new Map();
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const match = /^\s*(File|Title|Length)(\d+)\s*=(.*)$/i.exec(rawLine);
+        if (!match) continue;
+        const n = Number(match[2]);
+        if (!byNumber.has(n)) byNumber.set(n, {});
+        byNumber.get(n)[match[1].toLowerCase()] = match[3].trim();
+    }
+
+    return [...byNumber.entries()]
+        .sort(([a], [b]) => a - b)
+        .filter(([, e]) => e.file)
+        .map(([, e]) => makeEntry(e.file, { durationMs: secondsToMs(e.length), ...splitDisplayTitle(e.title) }));
+}
+
+export function parseXSPF(text) {
+    const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Invalid XSPF (XML parse error)');
+
+    const child = (el, name) => el.getElementsByTagName(name)[0]?.textContent || '';
+    return Array.from(doc.getElementsByTagName('track'))
+        .map((track) => makeEntry(child(track, 'location'), {
+            title: child(track, 'title'),
+            artist: child(track, 'creator'),
+            album: child(track, 'album'),
+            durationMs: Number(child(track, 'duration')) || null,
+        }))
+        .filter((entry) => entry.location || entry.title);
+}
+
+/** The playlist's own title, if the format stores one (XSPF). */
+function getXSPFTitle(text) {
+    const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+    const playlist = doc.getElementsByTagName('playlist')[0];
+    const title = Array.from(playlist?.children || []).find((el) => el.tagName === 'title');
+    return title?.textContent?.trim() || '';
+}
+
+/**
+ * Decode playlist bytes: UTF-8 when valid (always for .m3u8), otherwise
+ * Windows-1252, which is what most players write plain .m3u files in.
+ */
+export function decodePlaylistText(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (_) {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+/**
+ * Parse a playlist file by extension.
+ * @returns {{ name: string, entries: ReturnType<typeof makeEntry>[] }}
+ */
+export function parsePlaylistFile(filename, text) {
+    const lower = String(filename || '').toLowerCase();
+    const baseName = String(filename || 'Imported Playlist').replace(/\.[^/.]+$/, '');
+    if (lower.endsWith('.pls')) return { name: baseName, entries: parsePLS(text) };
+    if (lower.endsWith('.xspf')) return { name: getXSPFTitle(text) || baseName, entries: parseXSPF(text) };
+    if (lower.endsWith('.m3u') || lower.endsWith('.m3u8')) return { name: baseName, entries: parseM3U(text) };
+    throw new Error(`Unsupported playlist format: ${filename}`);
+}
+
+// ── writing ─────────────────────────────────────────────────────────────────
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/** XSPF locations are URIs: absolute paths become file:/// URLs, relative ones stay relative. */
+function toLocationUri(location) {
+    const path = String(location || '').replace(/\\/g, '/');
+    const encoded = path.split('/').map((segment) => (/^[A-Za-z]:$/.test(segment) ? segment : encodeURIComponent(segment))).join('/');
+    if (/^[A-Za-z]:\//.test(path)) return `file:///${encoded}`;
+    if (path.startsWith('/')) return `file://${encoded}`;
+    return encoded;
+}
+
+/** Serialize entries as an extended M3U8 playlist (UTF-8, #EXTINF per entry). */
+export function serializeM3U8(name, entries) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${String(name || '').replace(/[\r\n]+/g, ' ')}`];
+    for (const entry of entries || []) {
+        const seconds = entry.durationMs > 0 ? Math.round(entry.durationMs / 1000) : -1;
+        const display = [entry.artist, entry.title].filter(Boolean).join(' - ').replace(/[\r\n]+/g, ' ');
+        lines.push(`#EXTINF:${seconds},${display}`);
+        lines.push(entry.location);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/** Serialize entries as an XSPF (XML Shareable Playlist Format) document. */
+export function serializeXSPF(name, entries) {
+    const tracks = (entries || []).map((entry) => {
+        const fields = [
+            `<location>${escapeXml(toLocationUri(entry.location))}</location>`,
+            entry.title ? `<title>${escapeXml(entry.title)}</title>` : '',
+            entry.artist ? `<creator>${escapeXml(entry.artist)}</creator>` : '',
+            entry.album ? `<album>${escapeXml(entry.album)}</album>` : '',
+            entry.durationMs > 0 ? `<duration>${Math.round(entry.durationMs)}</duration>` : '',
+        ].filter(Boolean);
+        return `    <track>\n      ${fields.join('\n      ')}\n    </track>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(name)}</title>`,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>',
+        '',
+    ].join('\n');
+}
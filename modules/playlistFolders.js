@@ -0,0 +1,343 @@
+/**
+ * Playlist folders: a nested hierarchy for the sidebar.
+ *
+ * libgpod can't write iTunesDB folder playlists, so the hierarchy exists only
+ * in TunesReloaded (the iPod and iTunes list the playlists unfiled).  It is kept in
+ * a small JSON file next to the database (see PLAYLIST_FOLDERS_FILE in
+ * fsSync.js), keyed by playlist persistent id so it survives index changes:
+ *   { version: 1,
+ *     folders: [{ id, name, parentId, collapsed }],
+ *     playlists: { [persistent_id]: folderId } }
+ * Changes are written to the virtual FS immediately and reach the iPod on "Sync iPod".
+ */
+
+import { PLAYLIST_FOLDERS_FILE } from './fsSync.js';
+
+function emptyData() {
+    return { version: 1, folders: [], playlists: {} };
+}
+
+function normalizeData(raw) {
+    const data = emptyData();
+    if (!raw || typeof raw !== 'object') return data;
+    for (const f of Array.isArray(raw.folders) ? raw.folders : []) {
+        if (!f?.id) continue;
+        data.folders.push({ id: String(f.id), name: String(f.name || 'Folder'), parentId: f.parentId ? String(f.parentId) : null, collapsed: !!f.collapsed });
+    }
+    const ids = new Set(data.folders.map((f) => f.id));
+    for (const f of data.folders) {
+        if (f.parentId && !ids.has(f.parentId)) f.parentId = null;
+    }
+    // A folder nested inside itself (A → B → A) would hide the whole loop; move it to the top level.
+    const byId = new Map(data.folders.map((f) => [f.id, f]));
+    for (const f of data.folders) {
+        const seen = new Set();
+        for (let p = f.parentId; p && !seen.has(p); p = byId.get(p)?.parentId) {
+            if (p === f.id) {
+                f.parentId = null;
+                break;
+            }
+            seen.add(p);
+        }
+    }
+    for (const [pid, folderId] of Object.entries(raw.playlists || {})) {
+        if (ids.has(folderId)) data.playlists[pid] = folderId;
+    }
+    return data;
+}
+
+function newFolderId() {
+    return `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function createPlaylistFolders({ appState, wasm, fsSync, log, refreshCurrentView, renderSidebarPlaylists } = {}) {
+    let data = emptyData();
+    let pendingDeleteId = null;
+    let unsyncedNoticeShown = false;
+
+    /** Read the folder file mirrored from the iPod; call after the database is parsed. */
+    function load() {
+        data = normalizeData(fsSync.readSidecarJson(PLAYLIST_FOLDERS_FILE));
+        unsyncedNoticeShown = false;
+    }
+
+    function save() {
+        // Drop assignments for playlists that no longer exist.
+        const live = new Set((appState.playlists || []).map((pl) => pl.persistent_id).filter(Boolean));
+        for (const pid of Object.keys(data.playlists)) {
+            if (!live.has(pid)) delete data.playlists[pid];
+        }
+        try {
+            fsSync.writeSidecarJson(PLAYLIST_FOLDERS_FILE, data);
+        } catch (e) {
+            log?.(`Failed to save playlist folders: ${e.message}`, 'error');
+            return;
+        }
+        if (!unsyncedNoticeShown) {
+            log?.('Playlist folders are saved to the iPod on the next "Sync iPod"; only TunesReloaded shows them, the iPod lists their playlists unfiled', 'info');
+            unsyncedNoticeShown = true;
+        }
+    }
+
+    function getFolder(folderId) {
+        return data.folders.find((f) => f.id === folderId) || null;
+    }
+
+    /** The folder and every folder nested inside it. */
+    function getSubtreeIds(folderId) {
+        const ids = new Set([folderId]);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const f of data.folders) {
+                if (f.parentId && ids.has(f.parentId) && !ids.has(f.id)) {
+                    ids.add(f.id);
+                    grew = true;
+                }
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Sidebar tree: folders (by name) before playlists (in database order) at each level.
+     * @returns {({ type: 'folder', id, name, collapsed, children } | { type: 'playlist', index, playlist })[]}
+     */
+    function getTree(playlists) {
+        const byParent = new Map();
+        const push = (parentId, node) => {
+            if (!byParent.has(parentId)) byParent.set(parentId, []);
+            byParent.get(parentId).push(node);
+        };
+
+        const folders = [...data.folders].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+        for (const f of folders) push(f.parentId, { type: 'folder', id: f.id, name: f.name, collapsed: f.collapsed, children: [] });
+        (playlists || []).forEach((playlist, index) => {
+            if (playlist.is_master) return;
+            push(data.playlists[playlist.persistent_id] || null, { type: 'playlist', index, playlist });
+        });
+
+        const build = (parentId) => (byParent.get(parentId) || []).map((node) => {
+            if (node.type === 'folder') node.children = build(node.id);
+            return node;
+        });
+        return build(null);
+    }
+
+    /** Folders flattened in tree order with their depth, for "Move to Folder" menus. */
+    function getFolderOptions() {
+        const out = [];
+        const walk = (nodes, depth) => {
+            for (const node of nodes) {
+                if (node.type !== 'folder') continue;
+                out.push({ id: node.id, name: node.name, depth });
+                walk(node.children, depth + 1);
+            }
+        };
+        walk(getTree([]), 0);
+        return out;
+    }
+
+    function getPlaylistFolderId(playlistIndex) {
+        const pid = appState.playlists?.[playlistIndex]?.persistent_id;
+        return (pid && data.playlists[pid]) || null;
+    }
+
+    function uniqueFolderName(name, parentId) {
+        const taken = new Set(data.folders.filter((f) => f.parentId === parentId).map((f) => f.name.toLowerCase()));
+        let candidate = name;
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${name} ${n}`;
+        return candidate;
+    }
+
+    function createFolder(parentId = null) {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+        const parent = parentId ? getFolder(parentId) : null;
+        if (parent) parent.collapsed = false;
+        const folder = { id: newFolderId(), name: uniqueFolderName('New Folder', parent?.id || null), parentId: parent?.id || null, collapsed: false };
+        data.folders.push(folder);
+        save();
+        renderSidebarPlaylists?.();
+        startFolderRename(folder.id);
+    }
+
+    function renameFolder(folderId, newName) {
+        const folder = getFolder(folderId);
+        if (!folder) return false;
+        const name = String(newName ?? '').trim();
+        if (name === folder.name) return true;
+        if (!name) {
+            log?.('Folder name cannot be empty', 'warning');
+            return false;
+        }
+        const clash = data.folders.some((f) => f.id !== folderId && f.parentId === folder.parentId && f.name.toLowerCase() === name.toLowerCase());
+        if (clash) {
+            log?.(`A folder named "${name}" already exists here`, 'warning');
+            return false;
+        }
+        const oldName = folder.name;
+        folder.name = name;
+        save();
+        log?.(`Renamed folder "${oldName}" to "${name}"`, 'success');
+        return true;
+    }
+
+    /** Swap a sidebar folder's name for a text field; Enter or blur saves, Escape cancels. */
+    function startFolderRename(folderId) {
+        const item = document.querySelector(`#playlistList .playlist-folder[data-folder-id="${folderId}"]`);
+        const label = item?.querySelector('span');
+        const folder = getFolder(folderId);
+        if (!label || !folder || item.querySelector('input')) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'playlist-rename-input';
+        input.value = folder.name;
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) renameFolder(folderId, input.value);
+            renderSidebarPlaylists?.();
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('dblclick', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    function toggleFolder(folderId) {
+        const folder = getFolder(folderId);
+        if (!folder) return;
+        folder.collapsed = !folder.collapsed;
+        try {
+            fsSync.writeSidecarJson(PLAYLIST_FOLDERS_FILE, data);
+        } catch (_) {
+            // collapsed state is cosmetic; keep it in memory only
+        }
+        renderSidebarPlaylists?.();
+    }
+
+    /** Put a playlist in a folder, or back at the top level with folderId = null. */
+    function movePlaylist(playlistIndex, folderId) {
+        const playlist = appState.playlists?.[playlistIndex];
+        if (!playlist || playlist.is_master || !playlist.persistent_id) return;
+        const folder = folderId ? getFolder(folderId) : null;
+        if (folderId && !folder) return;
+
+        if (folder) {
+            data.playlists[playlist.persistent_id] = folder.id;
+            folder.collapsed = false;
+        } else {
+            delete data.playlists[playlist.persistent_id];
+        }
+        save();
+        renderSidebarPlaylists?.();
+        log?.(folder ? `Moved "${playlist.name}" to folder "${folder.name}"` : `Moved "${playlist.name}" out of its folder`, 'info');
+    }
+
+    function showDeleteModal(folderId) {
+        const folder = getFolder(folderId);
+        if (!folder) return;
+        const subtree = getSubtreeIds(folderId);
+        const playlistCount = (appState.playlists || []).filter((pl) => subtree.has(data.playlists[pl.persistent_id])).length;
+        const subfolderCount = subtree.size - 1;
+
+        // Nothing inside: no choice to make.
+        if (playlistCount === 0 && subfolderCount === 0) {
+            pendingDeleteId = folderId;
+            deleteFolder(false);
+            return;
+        }
+
+        pendingDeleteId = folderId;
+        const message = document.getElementById('deleteFolderMessage');
+        if (message) {
+            const parts = [];
+            if (playlistCount) parts.push(`${playlistCount} playlist${playlistCount === 1 ? '' : 's'}`);
+            if (subfolderCount) parts.push(`${subfolderCount} subfolder${subfolderCount === 1 ? '' : 's'}`);
+            message.textContent = `"${folder.name}" contains ${parts.join(' and ')}. Keep its playlists (they move up one level) or delete them too?`;
+        }
+        document.getElementById('deleteFolderModal')?.classList.add('show');
+    }
+
+    function hideDeleteModal() {
+        document.getElementById('deleteFolderModal')?.classList.remove('show');
+        pendingDeleteId = null;
+    }
+
+    /**
+     * Delete the pending folder. Its children either move up to the folder's
+     * parent, or (removeChildren) are deleted together with any nested playlists.
+     */
+    async function deleteFolder(removeChildren) {
+        const folder = getFolder(pendingDeleteId);
+        hideDeleteModal();
+        if (!folder) return;
+
+        const subtree = getSubtreeIds(folder.id);
+        if (removeChildren) {
+            // Delete from the highest index down so the remaining indices stay valid.
+            const doomed = (appState.playlists || [])
+                .map((pl, idx) => (subtree.has(data.playlists[pl.persistent_id]) ? idx : -1))
+                .filter((idx) => idx >= 0)
+                .sort((a, b) => b - a);
+            let failed = 0;
+            for (const idx of doomed) {
+                if (wasm.wasmCallWithError('ipod_delete_playlist', idx) !== 0) failed++;
+            }
+            if (doomed.includes(appState.currentPlaylistIndex)) appState.currentPlaylistIndex = -1;
+            else if (appState.currentPlaylistIndex > 0) appState.currentPlaylistIndex -= doomed.filter((idx) => idx < appState.currentPlaylistIndex).length;
+
+            data.folders = data.folders.filter((f) => !subtree.has(f.id));
+            await refreshCurrentView?.();
+            save();
+            log?.(`Deleted folder "${folder.name}" and ${doomed.length - failed} playlist(s)`, failed ? 'warning' : 'success');
+            return;
+        }
+
+        for (const f of data.folders) {
+            if (f.parentId === folder.id) f.parentId = folder.parentId;
+        }
+        for (const [pid, folderId] of Object.entries(data.playlists)) {
+            if (folderId !== folder.id) continue;
+            if (folder.parentId) data.playlists[pid] = folder.parentId;
+            else delete data.playlists[pid];
+        }
+        data.folders = data.folders.filter((f) => f.id !== folder.id);
+        save();
+        renderSidebarPlaylists?.();
+        log?.(`Deleted folder "${folder.name}"`, 'success');
+    }
+
+    return {
+        load,
+        getTree,
+        getFolderOptions,
+        getPlaylistFolderId,
+        createFolder,
+        startFolderRename,
+        toggleFolder,
+        movePlaylist,
+        showDeleteModal,
+        hideDeleteModal,
+        deleteFolder,
+    };
+}
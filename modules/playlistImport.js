@@ -0,0 +1,276 @@
+/**
+ * "Import playlist": read an M3U / M3U8 / PLS / XSPF file, match its entries
+ * to tracks already on the iPod, and create a playlist from them. Entries
+ * that aren't on the iPod yet can be queued from the files next to the
+ * playlist; they join the playlist at their original position on sync.
+ */
+
+import { decodePlaylistText, parsePlaylistFile, PLAYLIST_FILE_EXTENSIONS } from './playlistFiles.js';
+import { normalizeForMatch, similarity } from './textMatch.js';
+import { isAudioFile } from './audio.js';
+
+const MATCH_THRESHOLD = 0.7;
+const DURATION_CLOSE_MS = 2000;  // within this, the duration confirms the match
+const DURATION_FAR_MS = 10000;   // beyond this, the duration argues against it
+
+function splitPath(location) {
+    return String(location || '').split(/[\\/]+/).filter(Boolean);
+}
+
+/** Title / artist / album hints from "…/Artist/Album/01 - Title.mp3". */
+function getPathHints(location) {
+    const segments = splitPath(location);
+    const base = (segments[segments.length - 1] || '').replace(/\.[^/.]+$/, '').replace(/^\d{1,3}[\s.\-_]+/, '');
+    const sep = base.indexOf(' - ');
+    return {
+        title: sep > 0 ? base.slice(sep + 3) : base,
+        artist: sep > 0 ? base.slice(0, sep) : (segments[segments.length - 3] || ''),
+        album: segments[segments.length - 2] || '',
+    };
+}
+
+function words(value) {
+    return normalizeForMatch(value).split(' ').filter((w) => w.length >= 2);
+}
+
+/**
+ * File name → track, for playlists whose entries point at files on the iPod
+ * (such as ones exported from here).  Names shared by several tracks map to null.
+ */
+function buildBasenameIndex(tracks) {
+    const index = new Map();
+    for (const track of tracks) {
+        const base = String(track.ipod_path || '').split(/[:\\/]+/).pop()?.toLowerCase();
+        if (base) index.set(base, index.has(base) ? null : track);
+    }
+    return index;
+}
+
+/** Word → tracks index so each entry is only scored against plausible tracks. */
+function buildTitleIndex(tracks) {
+    const index = new Map();
+    for (const track of tracks) {
+        for (const word of new Set(words(track.title))) {
+            if (!index.has(word)) index.set(word, []);
+            index.get(word).push(track);
+        }
+    }
+    return index;
+}
+
+function scoreTrack(entry, hints, track) {
+    const titleScore = Math.max(similarity(entry.title, track.title), similarity(hints.title, track.title));
+
+    // Tag hints always count; hints guessed from folder names only count when they agree.
+    let total = 0.6 * titleScore;
+    let weight = 0.6;
+    const addHint = (tagValue, pathValue, trackValues, w) => {
+        const value = tagValue || pathValue;
+        if (!value) return;
+        const score = Math.max(...trackValues.map((v) => similarity(value, v)));
+        if (!tagValue && score < 0.5) return;
+        total += w * score;
+        weight += w;
+    };
+    addHint(entry.artist, hints.artist, [track.artist, track.albumartist], 0.25);
+    addHint(entry.album, hints.album, [track.album], 0.15);
+
+    let score = total / weight;
+    if (entry.durationMs && track.tracklen > 0) {
+        const diff = Math.abs(entry.durationMs - track.tracklen);
+        if (diff <= DURATION_CLOSE_MS) score = Math.min(1, score + 0.1);
+        else if (diff > DURATION_FAR_MS) score *= 0.6;
+    }
+    return score;
+}
+
+/**
+ * Match playlist entries to iPod tracks.
+ * @returns {{ entry, position: number, track: object | null, score: number }[]} In entry order.
+ */
+export function matchPlaylistEntries(entries, tracks) {
+    const index = buildTitleIndex(tracks || []);
+    const basenames = buildBasenameIndex(tracks || []);
+    return (entries || []).map((entry, position) => {
+        const exact = basenames.get(splitPath(entry.location).pop()?.toLowerCase());
+        if (exact) return { entry, position, track: exact, score: 1 };
+
+        const hints = getPathHints(entry.location);
+        const candidates = new Set();
+        for (const word of [...words(entry.title), ...words(hints.title)]) {
+            for (const track of index.get(word) || []) candidates.add(track);
+        }
+
+        let best = { track: null, score: 0 };
+        for (const track of candidates) {
+            const score = scoreTrack(entry, hints, track);
+            if (score > best.score) best = { track, score };
+        }
+        return { entry, position, ...(best.score >= MATCH_THRESHOLD ? best : { track: null, score: best.score }) };
+    });
+}
+
+/** Find a playlist entry's file under dirHandle (the folder the playlist was saved in). */
+async function resolveEntryFile(dirHandle, location) {
+    const segments = splitPath(location);
+    if (segments.length === 0) return null;
+    const isAbsolute = /^([\\/]|[A-Za-z]:)/.test(location);
+
+    const walk = async (parts) => {
+        let dir = dirHandle;
+        for (const part of parts.slice(0, -1)) {
+            if (part === '.') continue;
+            if (part === '..') return null;
+            dir = await dir.getDirectoryHandle(part);
+        }
+        return (await dir.getFileHandle(parts[parts.length - 1])).getFile();
+    };
+
+    // Relative paths resolve directly; for absolute ones try ever shorter tails
+    // ("/home/me/Music/A/B/x.mp3" → "Music/A/B/x.mp3" → … → "x.mp3").
+    const attempts = isAbsolute ? segments.map((_, i) => segments.slice(i)) : [segments];
+    for (const parts of attempts) {
+        try {
+            return await walk(parts);
+        } catch (_) {
+            // not here; try the next candidate
+        }
+    }
+    return null;
+}
+
+function describeEntry(entry) {
+    const tags = [entry.artist, entry.title].filter(Boolean).join(' - ');
+    return tags || splitPath(entry.location).pop() || entry.location;
+}
+
+export function createPlaylistImport({ appState, wasm, log, escapeHtml, uploadQueue, refreshCurrentView, getPlaylistNameError } = {}) {
+    let lastImport = null; // { name, placed: [position], unmatched: [{ entry, position }] }
+
+    function uniquePlaylistName(name) {
+        let candidate = name;
+        for (let n = 2; getPlaylistNameError?.(candidate); n++) candidate = `${name} ${n}`;
+        return candidate;
+    }
+
+    function renderReport(status) {
+        const statusEl = document.getElementById('playlistImportStatus');
+        if (statusEl) statusEl.textContent = status;
+
+        const unmatched = lastImport?.unmatched || [];
+        const container = document.getElementById('playlistImportUnmatched');
+        if (container) container.style.display = unmatched.length ? '' : 'none';
+        const tbody = document.getElementById('playlistImportTableBody');
+        if (tbody) {
+            tbody.innerHTML = unmatched.map(({ entry, position }) => `
+                <tr>
+                    <td>${position + 1}</td>
+                    <td>${escapeHtml(describeEntry(entry))}</td>
+                    <td class="match-note">${escapeHtml(entry.location)}</td>
+                </tr>
+            `).join('');
+        }
+        const findBtn = document.getElementById('playlistImportFindBtn');
+        if (findBtn) findBtn.style.display = unmatched.length && 'showDirectoryPicker' in window ? '' : 'none';
+    }
+
+    async function importPlaylist() {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+
+        let file;
+        try {
+            const [handle] = await window.showOpenFilePicker({
+                types: [{
+                    description: 'Playlists',
+                    accept: { 'audio/x-mpegurl': ['.m3u', '.m3u8'], 'audio/x-scpls': ['.pls'], 'application/xspf+xml': ['.xspf'] },
+                }],
+            });
+            file = await handle.getFile();
+        } catch (e) {
+            if (e.name !== 'AbortError') log?.(`Playlist selection failed: ${e.message}`, 'error');
+            return;
+        }
+
+        let parsed;
+        try {
+            if (!PLAYLIST_FILE_EXTENSIONS.some((ext) => file.name.toLowerCase().endsWith(ext))) {
+                throw new Error(`Unsupported playlist format: ${file.name}`);
+            }
+            parsed = parsePlaylistFile(file.name, decodePlaylistText(await file.arrayBuffer()));
+        } catch (e) {
+            log?.(`Could not read ${file.name}: ${e.message}`, 'error');
+            return;
+        }
+        if (parsed.entries.length === 0) {
+            log?.(`${file.name} has no entries`, 'warning');
+            return;
+        }
+
+        const name = uniquePlaylistName(parsed.name.trim() || 'Imported Playlist');
+        const playlistIndex = wasm.wasmCallWithStrings('ipod_create_playlist', [name]);
+        if (playlistIndex == null || playlistIndex < 0) {
+            log?.('Failed to create playlist', 'error');
+            return;
+        }
+
+        const matches = matchPlaylistEntries(parsed.entries, appState.tracks);
+        const placed = [];
+        for (const match of matches) {
+            if (match.track && wasm.wasmCall('ipod_playlist_add_track', playlistIndex, Number(match.track.id)) === 0) placed.push(match.position);
+        }
+        const added = placed.length;
+
+        lastImport = { name, placed, unmatched: matches.filter((m) => !m.track).map(({ entry, position }) => ({ entry, position })) };
+        await refreshCurrentView?.();
+
+        const total = parsed.entries.length;
+        log?.(`Imported playlist "${name}": ${added} of ${total} entries matched`, added === total ? 'success' : 'warning');
+        renderReport(lastImport.unmatched.length
+            ? `Created "${name}" with ${added} of ${total} entries. These entries aren't on the iPod:`
+            : `Created "${name}" with all ${total} entries.`);
+        document.getElementById('playlistImportModal')?.classList.add('show');
+    }
+
+    /** Queue unmatched entries from a folder; they are added to the playlist when synced. */
+    async function queueUnmatched() {
+        const unmatched = lastImport?.unmatched || [];
+        if (unmatched.length === 0) return;
+
+        let dirHandle;
+        try {
+            dirHandle = await window.showDirectoryPicker({ mode: 'read' });
+        } catch (e) {
+            if (e.name !== 'AbortError') log?.(`Folder selection failed: ${e.message}`, 'error');
+            return;
+        }
+
+        const files = [];
+        const playlistTargets = new Map();
+        const stillMissing = [];
+        for (const item of unmatched) {
+            const file = await resolveEntryFile(dirHandle, item.entry.location);
+            if (file && isAudioFile(file.name)) {
+                files.push(file);
+                playlistTargets.set(file, [{ name: lastImport.name, position: item.position, placed: lastImport.placed }]);
+            } else {
+                stillMissing.push(item);
+            }
+        }
+
+        if (files.length > 0) uploadQueue.queueFilesForSync(files, { playlistTargets });
+        lastImport.unmatched = stillMissing;
+        renderReport(stillMissing.length
+            ? `Queued ${files.length} file(s) for "${lastImport.name}". Still missing:`
+            : `Queued ${files.length} file(s) for "${lastImport.name}". Click "Sync iPod" to transfer them.`);
+    }
+
+    function hideReport() {
+        document.getElementById('playlistImportModal')?.classList.remove('show');
+        lastImport = null;
+    }
+
+    return { importPlaylist, queueUnmatched, hideReport };
+}
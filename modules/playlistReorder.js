@@ -0,0 +1,85 @@
+/**
+ * Drag-to-reorder for the track table while a regular playlist is shown.
+ * Rows are only draggable when renderTracks() was called with reorderable: true.
+ * Dragging a selected row moves the whole selection.
+ */
+export function createPlaylistReorder({ getSelectedTrackIds, ensureTrackSelected, onMove } = {}) {
+    let draggingIds = null;
+
+    function clearDropMarkers(tbody) {
+        tbody.querySelectorAll('tr.drop-before, tr.drop-after').forEach((row) => {
+            row.classList.remove('drop-before', 'drop-after');
+        });
+    }
+
+    function getRowTrackId(row) {
+        const id = Number(row?.getAttribute('data-track-id'));
+        return Number.isFinite(id) ? id : null;
+    }
+
+    /** Whether the pointer is over the lower half of the row (drop after it). */
+    function isAfter(row, e) {
+        const rect = row.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    }
+
+    function attach() {
+        const tbody = document.getElementById('trackTableBody');
+        if (!tbody || tbody.dataset.reorderHandler) return;
+
+        tbody.addEventListener('dragstart', (e) => {
+            const row = e.target.closest?.('tr[draggable="true"][data-track-id]');
+            const trackId = getRowTrackId(row);
+            if (trackId == null) return;
+
+            ensureTrackSelected?.(trackId);
+            const selected = getSelectedTrackIds?.() || [];
+            draggingIds = selected.includes(trackId) ? selected : [trackId];
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggingIds.join(','));
+        });
+
+        tbody.addEventListener('dragover', (e) => {
+            if (!draggingIds) return;
+            const row = e.target.closest('tr[data-track-id]');
+            if (!row) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            clearDropMarkers(tbody);
+            row.classList.add(isAfter(row, e) ? 'drop-after' : 'drop-before');
+        });
+
+        tbody.addEventListener('dragleave', (e) => {
+            if (!tbody.contains(e.relatedTarget)) clearDropMarkers(tbody);
+        });
+
+        tbody.addEventListener('drop', (e) => {
+            if (!draggingIds) return;
+            const row = e.target.closest('tr[data-track-id]');
+            if (!row) return;
+            e.preventDefault();
+            clearDropMarkers(tbody);
+
+            // Insert before the first row at or below the drop point that isn't being moved.
+            const moving = new Set(draggingIds);
+            const rows = Array.from(tbody.querySelectorAll('tr[data-track-id]'));
+            let pos = rows.indexOf(row) + (isAfter(row, e) ? 1 : 0);
+            while (pos < rows.length && moving.has(getRowTrackId(rows[pos]))) pos++;
+            // Rows are in playlist order, so a row's index is its entry's position.
+            const beforePosition = pos < rows.length ? pos : null;
+
+            const ids = draggingIds;
+            draggingIds = null;
+            onMove?.(ids, beforePosition);
+        });
+
+        tbody.addEventListener('dragend', () => {
+            draggingIds = null;
+            clearDropMarkers(tbody);
+        });
+
+        tbody.dataset.reorderHandler = 'true';
+    }
+
+    return { attach };
+}
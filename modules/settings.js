@@ -0,0 +1,121 @@
+/**
+ * User settings persisted in localStorage.
+ *
+ * The Settings modal binds inputs to keys via `data-setting="<key>"`.
+ * Inputs with `data-setting-type="list"` hold comma-separated values and
+ * map to arrays; checkboxes map to booleans. Inputs with
+ * `data-setting-type="map"` edit one entry (`data-setting-map-key`) of an
+ * object-valued setting; an empty value removes the entry.
+ */
+
+const SETTINGS_KEY = 'tunesreloaded_settings';
+
+export const DEFAULT_SETTINGS = {
+    // How sort fields (sort artist, sort album, ...) are filled on upload:
+    //   'off'      – leave them empty
+    //   'tags'     – copy the file's own sort tags (TSOP, soar, ARTISTSORT, ...)
+    //   'articles' – file's sort tags, else strip a leading article ("The Beatles" → "Beatles")
+    sortFieldsMode: 'tags',
+    sortArticles: ['The', 'A', 'Die', 'Les'],
+    // Attach embedded cover art (or the folder's cover.jpg / folder.jpg) to uploaded tracks.
+    importArtwork: true,
+    showArtworkColumn: false,
+    // Measure files without ReplayGain / R128 / iTunNORM tags on sync to fill in Sound Check.
+    analyzeLoudnessOnSync: false,
+    // Review queued files that match a track already on the iPod or in the queue.
+    checkDuplicatesOnQueue: true,
+    // Also compare a hash of the audio data (reads candidate files; slower).
+    duplicateFingerprint: false,
+    // Output profile for files that are transcoded on sync (see TRANSCODE_PROFILES in transcode.js).
+    transcodeProfile: 'alac',
+    // iPod model name → profile, overriding transcodeProfile for that model.
+    transcodeProfileByModel: {},
+    // Profile to retry lossless files with once the iPod runs out of space ('' = don't).
+    transcodeProfileWhenFull: '',
+    // Database backups kept in iPod_Control/iTunes/Backups (one is made before every sync; 0 = off).
+    databaseBackupCount: 5,
+    // Last choices in the Export Playlists dialog.
+    playlistExportFormat: 'm3u8',   // 'm3u8' | 'xspf'
+    playlistExportPaths: 'relative', // 'relative' to the iPod root, or 'absolute' under playlistExportRoot
+    playlistExportRoot: '',
+};
+
+export function createSettings({ log, storage = globalThis.localStorage } = {}) {
+    let values = load();
+
+    function load() {
+        try {
+            const raw = storage?.getItem(SETTINGS_KEY);
+            const parsed = raw ? JSON.parse(raw) : {};
+            return { ...DEFAULT_SETTINGS, ...(parsed && typeof parsed === 'object' ? parsed : {}) };
+        } catch (_) {
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    function persist() {
+        try {
+            storage?.setItem(SETTINGS_KEY, JSON.stringify(values));
+        } catch (e) {
+            log?.(`Could not save settings: ${e?.message || e}`, 'warning');
+        }
+    }
+
+    function get(key) {
+        return values[key];
+    }
+
+    function set(key, value) {
+        values = { ...values, [key]: value };
+        persist();
+    }
+
+    function getAll() {
+        return { ...values };
+    }
+
+    // ── modal ────────────────────────────────────────────────────────────────
+
+    function getBoundInputs() {
+        const modal = document.getElementById('settingsModal');
+        return modal ? Array.from(modal.querySelectorAll('[data-setting]')) : [];
+    }
+
+    function showModal() {
+        for (const el of getBoundInputs()) {
+            const value = values[el.dataset.setting];
+            if (el.type === 'checkbox') el.checked = Boolean(value);
+            else if (el.dataset.settingType === 'map') el.value = value?.[el.dataset.settingMapKey] ?? '';
+            else if (el.dataset.settingType === 'list') el.value = (Array.isArray(value) ? value : []).join(', ');
+            else el.value = value ?? '';
+        }
+        document.getElementById('settingsModal')?.classList.add('show');
+    }
+
+    function hideModal() {
+        document.getElementById('settingsModal')?.classList.remove('show');
+    }
+
+    function saveFromModal() {
+        const next = { ...values };
+        for (const el of getBoundInputs()) {
+            const key = el.dataset.setting;
+            if (el.type === 'checkbox') next[key] = el.checked;
+            else if (el.dataset.settingType === 'map') {
+                const mapKey = el.dataset.settingMapKey;
+                if (!mapKey) continue;
+                next[key] = { ...(next[key] || {}) };
+                if (el.value) next[key][mapKey] = el.value;
+                else delete next[key][mapKey];
+            } else if (el.dataset.settingType === 'list') next[key] = el.value.split(',').map((s) => s.trim()).filter(Boolean);
+            else if (el.type === 'number') next[key] = el.value === '' ? DEFAULT_SETTINGS[key] : Number(el.value);
+            else next[key] = el.value;
+        }
+        values = next;
+        persist();
+        hideModal();
+        log?.('Settings saved', 'success');
+    }
+
+    return { get, set, getAll, showModal, hideModal, saveFromModal };
+}
@@ -0,0 +1,527 @@
+/**
+ * Smart playlists: rule builder modal, and read-only descriptions of rules
+ * that already exist on the iPod.
+ *
+ * Rules are stored with libgpod's SPL field / action codes, so the iPod's own
+ * live-update logic evaluates them exactly as iTunes-created playlists.
+ */
+
+// Rule kinds decide which actions and value inputs a field gets.
+const KIND_STRING = 'string';
+const KIND_INT = 'int';
+const KIND_RATING = 'rating'; // stored as stars × 20
+const KIND_DATE = 'date';     // "in the last N days", or Unix times for after / before / range
+
+// Fields offered in the rule builder (ItdbSPLField).
+export const SPL_FIELDS = [
+    { code: 0x04, label: 'Artist', kind: KIND_STRING },
+    { code: 0x47, label: 'Album Artist', kind: KIND_STRING },
+    { code: 0x03, label: 'Album', kind: KIND_STRING },
+    { code: 0x02, label: 'Name', kind: KIND_STRING },
+    { code: 0x08, label: 'Genre', kind: KIND_STRING },
+    { code: 0x12, label: 'Composer', kind: KIND_STRING },
+    { code: 0x07, label: 'Year', kind: KIND_INT },
+    { code: 0x19, label: 'Rating', kind: KIND_RATING },
+    { code: 0x16, label: 'Play Count', kind: KIND_INT },
+    { code: 0x10, label: 'Date Added', kind: KIND_DATE },
+    { code: 0x17, label: 'Last Played', kind: KIND_DATE },
+];
+
+// Other fields iTunes may have written; shown in read-only descriptions only.
+const OTHER_FIELD_LABELS = {
+    0x05: 'Bit Rate', 0x06: 'Sample Rate', 0x09: 'Kind', 0x0a: 'Date Modified',
+    0x0b: 'Track Number', 0x0c: 'Size', 0x0d: 'Time', 0x0e: 'Comment', 0x18: 'Disc Number',
+    0x1f: 'Compilation', 0x23: 'BPM', 0x27: 'Grouping', 0x28: 'Playlist', 0x36: 'Description',
+    0x37: 'Category', 0x39: 'Podcast', 0x3c: 'Video Kind', 0x3e: 'TV Show', 0x3f: 'Season',
+    0x44: 'Skip Count', 0x45: 'Last Skipped',
+};
+
+// Actions per kind (ItdbSPLAction).
+const ACTIONS = {
+    [KIND_STRING]: [
+        { code: 0x01000002, label: 'contains' },
+        { code: 0x03000002, label: 'does not contain' },
+        { code: 0x01000001, label: 'is' },
+        { code: 0x03000001, label: 'is not' },
+        { code: 0x01000004, label: 'starts with' },
+        { code: 0x01000008, label: 'ends with' },
+    ],
+    [KIND_INT]: [
+        { code: 0x00000001, label: 'is' },
+        { code: 0x02000001, label: 'is not' },
+        { code: 0x00000010, label: 'is greater than' },
+        { code: 0x00000040, label: 'is less than' },
+        { code: 0x00000100, label: 'is in the range' },
+    ],
+    [KIND_DATE]: [
+        { code: 0x00000200, label: 'is in the last' },
+        { code: 0x02000200, label: 'is not in the last' },
+        { code: 0x00000010, label: 'is after' },
+        { code: 0x00000040, label: 'is before' },
+        { code: 0x00000100, label: 'is in the range' },
+    ],
+};
+ACTIONS[KIND_RATING] = ACTIONS[KIND_INT];
+
+// Extra action names for read-only descriptions.
+const OTHER_ACTION_LABELS = {
+    0x00000020: 'is greater than or equal to', 0x00000080: 'is less than or equal to',
+    0x00000400: 'is binary and', 0x02000010: 'is not greater than', 0x02000040: 'is not less than',
+    0x02000100: 'is not in the range', 0x03000004: 'does not start with', 0x03000008: 'does not end with',
+};
+
+const IN_THE_RANGE = 0x00000100;
+
+function isInTheLast(action) {
+    return (action & 0xffffff) === 0x00000200;
+}
+
+/** Unix seconds → "YYYY-MM-DD" in local time, for <input type="date">. */
+function toDateInputValue(seconds) {
+    const d = new Date(seconds * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** "YYYY-MM-DD" → Unix seconds at local midnight, or NaN. */
+function fromDateInputValue(value) {
+    return value ? Math.round(new Date(`${value}T00:00:00`).getTime() / 1000) : NaN;
+}
+
+// Seconds per unit for "in the last" rules, as iTunes writes them.
+export const DATE_UNITS = [
+    { seconds: 86400, label: 'days' },
+    { seconds: 604800, label: 'weeks' },
+    { seconds: 2628000, label: 'months' },
+];
+
+// ItdbLimitType
+export const LIMIT_TYPES = [
+    { code: 3, label: 'items' },
+    { code: 1, label: 'minutes' },
+    { code: 4, label: 'hours' },
+    { code: 2, label: 'MB' },
+    { code: 5, label: 'GB' },
+];
+
+// ItdbLimitSort; the high bit selects the opposite order.
+const LIMIT_SORT_OPPOSITE = 0x80000000;
+export const LIMIT_SORTS = [
+    { code: 0x02, label: 'random' },
+    { code: 0x03, label: 'name' },
+    { code: 0x04, label: 'album' },
+    { code: 0x05, label: 'artist' },
+    { code: 0x07, label: 'genre' },
+    { code: 0x17, label: 'highest rating' },
+    { code: 0x17 + LIMIT_SORT_OPPOSITE, label: 'lowest rating' },
+    { code: 0x14, label: 'most often played' },
+    { code: 0x14 + LIMIT_SORT_OPPOSITE, label: 'least often played' },
+    { code: 0x15, label: 'most recently played' },
+    { code: 0x15 + LIMIT_SORT_OPPOSITE, label: 'least recently played' },
+    { code: 0x10, label: 'most recently added' },
+    { code: 0x10 + LIMIT_SORT_OPPOSITE, label: 'least recently added' },
+];
+
+function getField(code) {
+    return SPL_FIELDS.find((f) => f.code === code) || null;
+}
+
+function getAction(kind, code) {
+    return (ACTIONS[kind] || []).find((a) => a.code === code) || null;
+}
+
+/** True if the rule builder can represent this rule (from wasmGetSmartPlaylistRules). */
+export function isRuleEditable(rule) {
+    const field = getField(rule?.field);
+    if (!field || !getAction(field.kind, rule.action)) return false;
+    if (field.kind === KIND_DATE && isInTheLast(rule.action)) {
+        return Boolean(rule.in_last) && DATE_UNITS.some((u) => u.seconds === rule.in_last.units);
+    }
+    return true;
+}
+
+function describeDateUnits(count, seconds) {
+    const unit = DATE_UNITS.find((u) => u.seconds === seconds);
+    if (unit) return `${count} ${count === 1 ? unit.label.replace(/s$/, '') : unit.label}`;
+    return `${count} × ${seconds}s`;
+}
+
+/** Human-readable text for one rule, e.g. 'Artist contains "Beatles"'. */
+export function describeRule(rule) {
+    const field = getField(rule.field);
+    const fieldLabel = field?.label || OTHER_FIELD_LABELS[rule.field] || `Field 0x${rule.field.toString(16)}`;
+    const actionLabel = (field && getAction(field.kind, rule.action)?.label)
+        || Object.values(ACTIONS).flat().find((a) => a.code === rule.action)?.label
+        || OTHER_ACTION_LABELS[rule.action]
+        || `action 0x${rule.action.toString(16)}`;
+
+    let value;
+    if (rule.in_last) {
+        value = describeDateUnits(rule.in_last.count, rule.in_last.units);
+    } else if ((rule.action & 0x01000000) !== 0) {
+        value = `"${rule.string}"`;
+    } else if (field?.kind === KIND_DATE) {
+        const from = new Date(rule.from_value * 1000).toLocaleDateString();
+        const to = new Date(rule.to_value * 1000).toLocaleDateString();
+        value = (rule.action & 0xffffff) === IN_THE_RANGE ? `${from} to ${to}` : from;
+    } else {
+        const scale = field?.kind === KIND_RATING ? 20 : 1;
+        const suffix = field?.kind === KIND_RATING ? ' stars' : '';
+        const from = rule.from_value / scale;
+        const to = rule.to_value / scale;
+        value = (rule.action & 0xffffff) === IN_THE_RANGE ? `${from} to ${to}${suffix}` : `${from}${suffix}`;
+    }
+    return `${fieldLabel} ${actionLabel} ${value}`;
+}
+
+/** One-line summary of a smart playlist's match mode and limit. */
+export function describeSmartPlaylist(spl) {
+    const parts = [];
+    if (spl.rules.length > 1) parts.push(`Match ${spl.match_any ? 'any' : 'all'} of the following rules`);
+    if (spl.limit.enabled) {
+        const type = LIMIT_TYPES.find((t) => t.code === spl.limit.type)?.label || 'items';
+        const sort = LIMIT_SORTS.find((s) => s.code === spl.limit.sort)?.label || 'random';
+        parts.push(`Limited to ${spl.limit.value} ${type} selected by ${sort}`);
+    }
+    if (spl.checked_only) parts.push('Checked items only');
+    parts.push(spl.live_update ? 'Live updating' : 'Not live updating');
+    return parts.join(' · ');
+}
+
+function optionsHtml(items, selected, escapeHtml) {
+    return items.map((item) => `<option value="${item.code ?? item.seconds}" ${(item.code ?? item.seconds) === selected ? 'selected' : ''}>${escapeHtml(item.label)}</option>`).join('');
+}
+
+export function createSmartPlaylistEditor({ appState, wasm, log, escapeHtml, refreshCurrentView, getPlaylistNameError } = {}) {
+    let editingIndex = -1; // playlist being edited, -1 when creating
+    let readOnly = false;
+
+    const els = () => ({
+        modal: document.getElementById('smartPlaylistModal'),
+        title: document.getElementById('smartPlaylistModalTitle'),
+        name: document.getElementById('smartPlaylistName'),
+        matchAny: document.getElementById('smartPlaylistMatch'),
+        rules: document.getElementById('smartPlaylistRules'),
+        addRule: document.getElementById('smartPlaylistAddRuleBtn'),
+        limitEnabled: document.getElementById('smartPlaylistLimitEnabled'),
+        limitValue: document.getElementById('smartPlaylistLimitValue'),
+        limitType: document.getElementById('smartPlaylistLimitType'),
+        limitSort: document.getElementById('smartPlaylistLimitSort'),
+        checkedOnly: document.getElementById('smartPlaylistCheckedOnly'),
+        liveUpdate: document.getElementById('smartPlaylistLiveUpdate'),
+        readOnlyNote: document.getElementById('smartPlaylistReadOnlyNote'),
+        saveBtn: document.getElementById('smartPlaylistSaveBtn'),
+    });
+
+    // ── rule rows ───────────────────────────────────────────────────────────
+
+    function renderValueInputs(field, actionCode, rule) {
+        if (field.kind === KIND_STRING) {
+            return `<input type="text" class="spl-value" value="${escapeHtml(rule?.string || '')}">`;
+        }
+        if (field.kind === KIND_DATE && !isInTheLast(actionCode)) {
+            const dated = rule && !rule.in_last;
+            const input = `<input type="date" class="spl-value" value="${dated ? toDateInputValue(rule.from_value) : ''}">`;
+            if (actionCode !== IN_THE_RANGE) return input;
+            return `${input}<span class="spl-to">to</span><input type="date" class="spl-value-to" value="${dated ? toDateInputValue(rule.to_value) : ''}">`;
+        }
+        if (field.kind === KIND_DATE) {
+            const count = rule?.in_last?.count ?? 2;
+            const units = rule?.in_last?.units ?? DATE_UNITS[1].seconds;
+            return `<input type="number" class="spl-value" min="1" value="${count}">
+                <select class="spl-units">${optionsHtml(DATE_UNITS, units, escapeHtml)}</select>`;
+        }
+        const scale = field.kind === KIND_RATING ? 20 : 1;
+        const max = field.kind === KIND_RATING ? 'max="5"' : '';
+        const from = rule ? rule.from_value / scale : '';
+        const input = `<input type="number" class="spl-value" min="0" ${max} value="${from}">`;
+        if (actionCode !== IN_THE_RANGE) return input;
+        const to = rule ? rule.to_value / scale : '';
+        return `${input}<span class="spl-to">to</span><input type="number" class="spl-value-to" min="0" ${max} value="${to}">`;
+    }
+
+    function renderRuleRow(row, rule = null) {
+        const fieldCode = rule?.field ?? Number(row.querySelector('.spl-field')?.value ?? SPL_FIELDS[0].code);
+        const field = getField(fieldCode) || SPL_FIELDS[0];
+        const actions = ACTIONS[field.kind];
+        const previousAction = Number(row.querySelector('.spl-action')?.value);
+        const actionCode = rule?.action ?? (getAction(field.kind, previousAction) ? previousAction : actions[0].code);
+
+        row.innerHTML = `
+            <select class="spl-field">${optionsHtml(SPL_FIELDS, field.code, escapeHtml)}</select>
+            <select class="spl-action">${optionsHtml(actions, actionCode, escapeHtml)}</select>
+            ${renderValueInputs(field, actionCode, rule)}
+            <button type="button" class="btn btn-secondary spl-remove" title="Remove rule">−</button>
+        `;
+    }
+
+    function addRule(rule = null) {
+        const { rules } = els();
+        if (!rules) return;
+        const row = document.createElement('div');
+        row.className = 'spl-rule';
+        renderRuleRow(row, rule);
+        rules.appendChild(row);
+    }
+
+    function onRulesChange(e) {
+        const row = e.target.closest('.spl-rule');
+        if (!row) return;
+        // Field or action changes swap the value inputs; keep what was typed where it still fits.
+        if (e.target.matches('.spl-field')) {
+            row.querySelector('.spl-action')?.remove();
+            renderRuleRow(row);
+        } else if (e.target.matches('.spl-action')) {
+            const previous = row.querySelector('.spl-value');
+            renderRuleRow(row);
+            const valueEl = row.querySelector('.spl-value');
+            if (valueEl && previous && valueEl.type !== 'text' && valueEl.type === previous.type) valueEl.value = previous.value;
+        }
+    }
+
+    function onRulesClick(e) {
+        if (!e.target.matches('.spl-remove')) return;
+        e.target.closest('.spl-rule')?.remove();
+    }
+
+    /** Read one rule row into wasmAddSmartPlaylistRule's shape, or throw a message. */
+    function readRuleRow(row) {
+        const field = getField(Number(row.querySelector('.spl-field').value));
+        const action = Number(row.querySelector('.spl-action').value);
+        const valueEl = row.querySelector('.spl-value');
+
+        if (field.kind === KIND_STRING) {
+            return { field: field.code, action, string: valueEl.value };
+        }
+
+        if (field.kind === KIND_DATE && !isInTheLast(action)) {
+            const from = fromDateInputValue(valueEl.value);
+            if (!Number.isFinite(from)) throw new Error(`Enter a date for "${field.label}"`);
+            let to = from;
+            if (action === IN_THE_RANGE) {
+                to = fromDateInputValue(row.querySelector('.spl-value-to').value);
+                if (!Number.isFinite(to) || to < from) throw new Error(`"${field.label}" range must end on or after its start`);
+                to += 86399; // through the end of the last day
+            }
+            return { field: field.code, action, fromValue: from, toValue: to };
+        }
+
+        const from = Number(valueEl.value);
+        if (valueEl.value === '' || !Number.isFinite(from) || from < 0) {
+            throw new Error(`Enter a number for "${field.label}"`);
+        }
+        if (field.kind === KIND_DATE) {
+            if (from < 1) throw new Error(`"${field.label}" needs at least 1`);
+            return { field: field.code, action, fromValue: Math.round(from), inLastUnits: Number(row.querySelector('.spl-units').value) };
+        }
+
+        const scale = field.kind === KIND_RATING ? 20 : 1;
+        if (field.kind === KIND_RATING && from > 5) throw new Error('Rating is 0 to 5 stars');
+        let to = from;
+        if (action === IN_THE_RANGE) {
+            const toEl = row.querySelector('.spl-value-to');
+            to = Number(toEl.value);
+            if (toEl.value === '' || !Number.isFinite(to) || to < from) {
+                throw new Error(`"${field.label}" range end must be at least ${from}`);
+            }
+        }
+        return { field: field.code, action, fromValue: Math.round(from * scale), toValue: Math.round(to * scale) };
+    }
+
+    // ── modal ───────────────────────────────────────────────────────────────
+
+    let wired = false;
+    function wire() {
+        if (wired) return;
+        const { rules, addRule: addRuleBtn } = els();
+        rules?.addEventListener('change', onRulesChange);
+        rules?.addEventListener('click', onRulesClick);
+        addRuleBtn?.addEventListener('click', () => addRule());
+        wired = true;
+    }
+
+    function setReadOnly(value) {
+        readOnly = value;
+        const e = els();
+        e.modal?.querySelectorAll('input, select, .spl-remove').forEach((el) => { el.disabled = value; });
+        if (e.addRule) e.addRule.style.display = value ? 'none' : '';
+        if (e.saveBtn) e.saveBtn.style.display = value ? 'none' : '';
+        if (e.readOnlyNote) e.readOnlyNote.style.display = value ? 'block' : 'none';
+    }
+
+    function fillForm({ name = '', spl = null } = {}) {
+        const e = els();
+        if (e.name) e.name.value = name;
+        if (e.matchAny) e.matchAny.value = spl?.match_any ? 'any' : 'all';
+        if (e.limitType) e.limitType.innerHTML = optionsHtml(LIMIT_TYPES, spl?.limit.type ?? 3, escapeHtml);
+        if (e.limitSort) e.limitSort.innerHTML = optionsHtml(LIMIT_SORTS, spl?.limit.sort ?? 2, escapeHtml);
+        if (e.limitEnabled) e.limitEnabled.checked = Boolean(spl?.limit.enabled);
+        if (e.limitValue) e.limitValue.value = String(spl?.limit.enabled ? spl.limit.value : 25);
+        if (e.checkedOnly) e.checkedOnly.checked = Boolean(spl?.checked_only);
+        if (e.liveUpdate) e.liveUpdate.checked = spl ? Boolean(spl.live_update) : true;
+        if (e.rules) e.rules.innerHTML = '';
+    }
+
+    function showNew() {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+        wire();
+        editingIndex = -1;
+        fillForm();
+        addRule();
+        const { title, modal, name } = els();
+        if (title) title.textContent = 'New Smart Playlist';
+        setReadOnly(false);
+        modal?.classList.add('show');
+        name?.focus();
+    }
+
+    /** Open an existing smart playlist; read-only if it uses rules the builder can't represent. */
+    function showEdit(playlistIndex) {
+        const playlist = appState.playlists?.[playlistIndex];
+        if (!playlist?.is_smart) return;
+        const spl = wasm.wasmGetSmartPlaylistRules(playlistIndex);
+        if (!spl) {
+            log?.(`Could not read rules of "${playlist.name}"`, 'error');
+            return;
+        }
+
+        wire();
+        editingIndex = playlistIndex;
+        fillForm({ name: playlist.name, spl });
+        const editable = spl.rules.every(isRuleEditable);
+        const { rules, title, modal } = els();
+        for (const rule of spl.rules) {
+            if (isRuleEditable(rule)) {
+                addRule(rule);
+            } else {
+                const row = document.createElement('div');
+                row.className = 'spl-rule spl-rule-readonly';
+                row.textContent = describeRule(rule);
+                rules?.appendChild(row);
+            }
+        }
+        if (title) title.textContent = editable ? 'Edit Smart Playlist' : 'Smart Playlist Rules';
+        setReadOnly(!editable);
+        modal?.classList.add('show');
+    }
+
+    function hide() {
+        els().modal?.classList.remove('show');
+        editingIndex = -1;
+    }
+
+    function readForm() {
+        const e = els();
+        const name = (e.name?.value || '').trim();
+        const nameError = getPlaylistNameError?.(name, editingIndex) ?? (name ? null : 'Playlist name cannot be empty');
+        if (nameError) throw new Error(nameError);
+
+        const rules = Array.from(e.rules?.querySelectorAll('.spl-rule') || []).map(readRuleRow);
+        const limitEnabled = Boolean(e.limitEnabled?.checked);
+        const limitValue = Number(e.limitValue?.value);
+        if (limitEnabled && (!Number.isInteger(limitValue) || limitValue < 1)) {
+            throw new Error('Limit must be a whole number of at least 1');
+        }
+        if (rules.length === 0 && !limitEnabled) throw new Error('Add at least one rule or a limit');
+
+        return {
+            name,
+            rules,
+            prefs: {
+                matchAny: e.matchAny?.value === 'any',
+                limitEnabled,
+                limitType: Number(e.limitType?.value) || 3,
+                limitValue: limitEnabled ? limitValue : 0,
+                limitSort: Number(e.limitSort?.value) || 2,
+                liveUpdate: Boolean(e.liveUpdate?.checked),
+                checkedOnly: Boolean(e.checkedOnly?.checked),
+            },
+        };
+    }
+
+    function applyRules(playlistIndex, { rules, prefs }) {
+        if (wasm.wasmCallWithError('ipod_spl_clear_rules', playlistIndex) !== 0) return false;
+        const result = wasm.wasmCallWithError(
+            'ipod_spl_set_prefs',
+            playlistIndex,
+            prefs.matchAny ? 1 : 0,
+            prefs.limitEnabled ? 1 : 0,
+            prefs.limitType,
+            prefs.limitValue,
+            prefs.limitSort,
+            prefs.liveUpdate ? 1 : 0,
+            prefs.checkedOnly ? 1 : 0
+        );
+        if (result !== 0) return false;
+        for (const rule of rules) {
+            if (wasm.wasmAddSmartPlaylistRule(playlistIndex, rule) !== 0) return false;
+        }
+        return wasm.wasmCallWithError('ipod_spl_update', playlistIndex) === 0;
+    }
+
+    async function save() {
+        if (readOnly) return;
+        let form;
+        try {
+            form = readForm();
+        } catch (e) {
+            log?.(e.message, 'warning');
+            return;
+        }
+
+        let playlistIndex = editingIndex;
+        const creating = playlistIndex < 0;
+        if (creating) {
+            playlistIndex = wasm.wasmCallWithStrings('ipod_create_smart_playlist', [form.name]);
+            if (playlistIndex == null || playlistIndex < 0) {
+                log?.('Failed to create smart playlist', 'error');
+                return;
+            }
+        } else if (form.name !== appState.playlists[playlistIndex]?.name) {
+            if (wasm.wasmRenamePlaylist(playlistIndex, form.name) !== 0) return;
+        }
+
+        if (!applyRules(playlistIndex, form)) {
+            // Don't leave a half-configured playlist behind.
+            if (creating) wasm.wasmCall('ipod_delete_playlist', playlistIndex);
+            await refreshCurrentView?.();
+            return;
+        }
+
+        hide();
+        await refreshCurrentView?.();
+        const count = appState.playlists?.[playlistIndex]?.track_count ?? 0;
+        log?.(`${creating ? 'Created' : 'Updated'} smart playlist "${form.name}" (${count} tracks). Click "Sync iPod" to save to device.`, 'success');
+    }
+
+    /** Show the rules of the viewed playlist above the track list (hidden for normal playlists). */
+    function renderRulesBanner(playlistIndex) {
+        const banner = document.getElementById('smartPlaylistBanner');
+        if (!banner) return;
+        const playlist = appState.playlists?.[playlistIndex];
+        const spl = playlist?.is_smart ? wasm.wasmGetSmartPlaylistRules(playlistIndex) : null;
+        if (!spl) {
+            banner.style.display = 'none';
+            banner.innerHTML = '';
+            return;
+        }
+
+        const editable = spl.rules.every(isRuleEditable);
+        const rules = spl.rules.length
+            ? `<ul>${spl.rules.map((r) => `<li>${escapeHtml(describeRule(r))}</li>`).join('')}</ul>`
+            : '';
+        banner.innerHTML = `
+            <div class="spl-banner-header">
+                <span>${escapeHtml(describeSmartPlaylist(spl))}</span>
+                <button class="btn btn-secondary" onclick="showEditSmartPlaylistModal(${playlistIndex})">${editable ? 'Edit Rules' : 'View Rules'}</button>
+            </div>
+            ${rules}
+        `;
+        banner.style.display = 'block';
+    }
+
+    return { showNew, showEdit, hide, save, renderRulesBanner };
+}
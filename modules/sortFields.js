@@ -0,0 +1,58 @@
+/**
+ * Sort-order field helpers.
+ *
+ * The iPod browses Artists/Albums/Songs by the sort_* fields when present,
+ * so "The Beatles" only lands under B if sort_artist is "Beatles".
+ */
+
+// [sort field, display field] pairs, using the queued-meta key names.
+const SORT_FIELD_SOURCES = [
+    ['sortTitle', 'title'],
+    ['sortArtist', 'artist'],
+    ['sortAlbum', 'album'],
+    ['sortAlbumArtist', 'albumArtist'],
+    ['sortComposer', 'composer'],
+];
+
+function escapeRegExp(str) {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Strip a leading article: "The Beatles" → "Beatles", "L'Arc" → "Arc".
+ * Articles ending in an apostrophe don't need a following space.
+ * Returns null if the value doesn't start with one of the articles.
+ */
+export function stripLeadingArticle(value, articles = []) {
+    const str = String(value || '').trim();
+    if (!str) return null;
+
+    for (const article of articles) {
+        const a = String(article || '').trim();
+        if (!a) continue;
+        const sep = /['’]$/.test(a) ? '\\s*' : '\\s+';
+        const match = str.match(new RegExp(`^${escapeRegExp(a)}${sep}(\\S.*)$`, 'i'));
+        if (match) return match[1];
+    }
+    return null;
+}
+
+/**
+ * Compute sort fields for a new track.
+ * @param {object} meta  Queued track metadata (title, artist, sortArtist, ...).
+ * @param {{ mode?: 'off'|'tags'|'articles', articles?: string[] }} options
+ * @returns {{ sortTitle, sortArtist, sortAlbum, sortAlbumArtist, sortComposer }}
+ *          Values are null where nothing should be written.
+ */
+export function buildSortFields(meta, { mode = 'tags', articles = [] } = {}) {
+    const out = {};
+    for (const [sortKey, sourceKey] of SORT_FIELD_SOURCES) {
+        let value = null;
+        if (mode !== 'off') {
+            value = meta?.[sortKey] || null;
+            if (!value && mode === 'articles') value = stripLeadingArticle(meta?.[sourceKey], articles);
+        }
+        out[sortKey] = value;
+    }
+    return out;
+}
@@ -16,6 +16,7 @@ export function createAppState(initialState = {}) {
         pendingUploads: [], // queued files to be processed on sync
         pendingFileDeletes: [], // relative FS paths to delete on next sync
         selectedTrackIds: [], // numeric track indices selected in the UI
+        artworkProfile: null, // { supported, formats } for the connected iPod, null if unknown
         ...initialState,
     };
 
@@ -84,5 +85,9 @@ export function createAppState(initialState = {}) {
         // Track selection
         get selectedTrackIds() { return state.selectedTrackIds; },
         set selectedTrackIds(v) { set('selectedTrackIds', v); },
+
+        // Device artwork formats
+        get artworkProfile() { return state.artworkProfile; },
+        set artworkProfile(v) { set('artworkProfile', v); },
     };
 }
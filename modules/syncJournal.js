@@ -0,0 +1,209 @@
+/**
+ * Sync journal, persisted in IndexedDB.
+ *
+ * Audio files are copied to the iPod one by one, but the iTunesDB is only
+ * written at the end of a sync, so a sync cut short (tab closed, crash, cable
+ * pulled) leaves files in iPod_Control/Music without database entries. The
+ * journal records every queued file, its destination and its state so the next
+ * connect can resume (register the copied files, queue the rest again) or roll
+ * back (delete them).
+ *
+ * Each sync job gets its own record (keyed `sync-<startedAt>-<random>`), so an
+ * interrupted job is kept until it is resumed or rolled back, whichever iPod
+ * is synced in the meantime.  Files "Replace File…" writes between syncs are
+ * journaled too (replacement: true, no track): until a database write lists
+ * them they can only be rolled back.
+ *
+ * Record shape:
+ *   { version: 1, ipodHandle, startedAt,
+ *     entries: [{ name, handle, coverHandle, profile, playlistTargets, replacement,
+ *                 state: 'pending' | 'writing' | 'written' | 'failed',
+ *                 destPath, relFsPath, sizeBytes, track, sortFields }] }
+ * where track is the wasmAddTrack() argument object for the file.
+ */
+
+const DB_NAME = 'tunesreloaded';
+const DB_VERSION = 1;
+const STORE = 'syncJournal';
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export function createSyncJournal({ log, indexedDB = globalThis.indexedDB } = {}) {
+    let dbPromise = null;
+    let journal = null; // the record of the sync in progress
+    let journalKey = null;
+
+    function openDb() {
+        if (!indexedDB) return Promise.reject(new Error('IndexedDB is not available'));
+        if (!dbPromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORE)) request.result.createObjectStore(STORE);
+            };
+            dbPromise = promisify(request);
+            dbPromise.catch(() => { dbPromise = null; });
+        }
+        return dbPromise;
+    }
+
+    async function withStore(mode, fn) {
+        const db = await openDb();
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /** Write the in-progress record; a failure only costs crash recovery, so it's logged, not thrown. */
+    async function persist() {
+        if (!journal) return;
+        try {
+            await withStore('readwrite', (store) => store.put(journal, journalKey));
+        } catch (e) {
+            log?.(`Could not update the sync journal: ${e?.message || e}`, 'warning');
+        }
+    }
+
+    /**
+     * Start journaling a sync of the given queue items. Copied files of an earlier
+     * attempt in this session whose database never reached the iPod are carried over
+     * (same record); otherwise the sync gets a new record.
+     * @returns {Promise<number>} Entry index of the first item; the rest follow in order.
+     */
+    async function begin(ipodHandle, items) {
+        const carried = (journal?.entries || []).filter((e) => e.state === 'written');
+        if (!journal) journalKey = `sync-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        journal = {
+            version: 1,
+            ipodHandle,
+            startedAt: Date.now(),
+            entries: [...carried, ...items.map((item) => ({
+                name: item.name,
+                // File handles survive a reload; plain Files (drag and drop, folder upload) don't.
+                handle: item.kind === 'handle' ? item.handle : null,
+                coverHandle: item.coverHandle || null,
+                profile: item.profile || null,
+                playlistTargets: item.playlistTargets || [],
+                state: 'pending',
+            }))],
+        };
+        await persist();
+        return carried.length;
+    }
+
+    /** Continue journaling a recovered sync: keep its copied files until the database is written. */
+    async function adopt(key, record, entries) {
+        journalKey = key;
+        journal = { ...record, entries };
+        await persist();
+    }
+
+    /**
+     * Journal a file written outside a sync ("Replace File…") until the next database
+     * write lists it; it joins the current record, or starts one.
+     * @returns {Promise<number>} The entry index, for markWritten() / markFailed().
+     */
+    async function recordFile(ipodHandle, { name, destPath, relFsPath, sizeBytes }) {
+        if (!journal) {
+            journalKey = `sync-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            journal = { version: 1, ipodHandle, startedAt: Date.now(), entries: [] };
+        }
+        journal.entries.push({
+            name,
+            handle: null,
+            coverHandle: null,
+            profile: null,
+            playlistTargets: [],
+            replacement: true,
+            state: 'writing',
+            destPath,
+            relFsPath,
+            sizeBytes,
+        });
+        await persist();
+        return journal.entries.length - 1;
+    }
+
+    /**
+     * Stop journaling into the current record without clearing it, e.g. when a
+     * database is (re)loaded: the record's files are then checked like any other
+     * interrupted sync's.
+     */
+    function detach() {
+        journal = null;
+        journalKey = null;
+    }
+
+    /** Record the destination before the copy starts, so a half-written file can be found later. */
+    async function markWriting(index, { destPath, relFsPath, sizeBytes, track, sortFields }) {
+        const entry = journal?.entries[index];
+        if (!entry) return;
+        Object.assign(entry, { state: 'writing', destPath, relFsPath, sizeBytes, track, sortFields });
+        await persist();
+    }
+
+    async function markWritten(index) {
+        const entry = journal?.entries[index];
+        if (!entry) return;
+        entry.state = 'written';
+        await persist();
+    }
+
+    async function markFailed(index) {
+        const entry = journal?.entries[index];
+        if (!entry) return;
+        entry.state = 'failed';
+        await persist();
+    }
+
+    /** The database now lists every copied file; nothing left to recover. */
+    async function finish() {
+        const key = journalKey;
+        journal = null;
+        journalKey = null;
+        if (key) await clear(key);
+    }
+
+    /**
+     * Records left behind by interrupted syncs (of any iPod), oldest first.
+     * The sync in progress in this session is not included.
+     * @returns {Promise<{ key: string, record: object }[]>}
+     */
+    async function loadAll() {
+        try {
+            const found = [];
+            await withStore('readonly', (store) => {
+                const request = store.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (cursor.key !== journalKey) found.push({ key: String(cursor.key), record: cursor.value });
+                    cursor.continue();
+                };
+                return null;
+            });
+            return found.sort((a, b) => (a.record?.startedAt || 0) - (b.record?.startedAt || 0));
+        } catch (e) {
+            log?.(`Could not read the sync journal: ${e?.message || e}`, 'warning');
+            return [];
+        }
+    }
+
+    async function clear(key) {
+        try {
+            await withStore('readwrite', (store) => store.delete(key));
+        } catch (e) {
+            log?.(`Could not clear the sync journal: ${e?.message || e}`, 'warning');
+        }
+    }
+
+    return { begin, adopt, recordFile, markWriting, markWritten, markFailed, finish, detach, loadAll, clear };
+}
@@ -1,3 +1,9 @@
+import { buildSortFields } from './sortFields.js';
+import { decodeAndResizeImage, getArtworkTarget } from './artwork.js';
+import { readGaplessInfo, soundCheckFromLoudness } from './audio.js';
+import { getIpodPcmConversion, getTranscodeTarget, TRANSCODE_PROFILES } from './transcode.js';
+import { isOutOfSpaceError } from './fsSync.js';
+
 export function createSyncPipeline({
     appState,
     wasm,
@@ -10,12 +16,20 @@ export function createSyncPipeline({
     rerenderAllTracksIfVisible,
     getOrComputeQueuedMeta,
     readAudioMetadata,
-    transcodeFlacToAlacM4a,
+    readEmbeddedPicture,
+    transcodeForIpod,
+    measureLoudness,
     getFiletypeFromName,
     formatDuration,
     firewireSetup,
+    settings,
+    getDefaultTranscodeProfile,
+    journal,
+    restoreQueuedUploads,
+    dbBackups,
+    isArtworkSupported,
 } = {}) {
-    function setUploadModalState({ title, status, detail, percent, showOk, okLabel } = {}) {
+    function setUploadModalState({ title, status, detail, percent, showOk, okLabel, showCancel } = {}) {
         const titleEl = document.getElementById('uploadTitle');
         const statusEl = document.getElementById('uploadStatus');
         const detailEl = document.getElementById('uploadDetail');
@@ -30,9 +44,30 @@ export function createSyncPipeline({
 
         if (actionsEl) actionsEl.style.display = showOk ? 'flex' : 'none';
         if (okBtn && typeof okLabel === 'string') okBtn.textContent = okLabel;
+
+        const cancelActionsEl = document.getElementById('uploadCancelActions');
+        if (cancelActionsEl && typeof showCancel === 'boolean') cancelActionsEl.style.display = showCancel ? 'flex' : 'none';
+    }
+
+    /** Per-file notes under the progress bar (e.g. hi-res files that were downsampled). */
+    function addUploadNote(text) {
+        const list = document.getElementById('uploadNotes');
+        if (!list) return;
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+        list.style.display = '';
+    }
+
+    function clearUploadNotes() {
+        const list = document.getElementById('uploadNotes');
+        if (!list) return;
+        list.replaceChildren();
+        list.style.display = 'none';
     }
 
     function dismissUploadModal() {
+        clearUploadNotes();
         setUploadModalState({
             title: 'Uploading',
             status: 'Preparing...',
@@ -55,7 +90,210 @@ export function createSyncPipeline({
         });
     }
 
-    async function uploadSingleTrack(file, precomputedMeta = null, { destName } = {}) {
+    // Per-sync artwork state: album key → index of the track that holds the album's artwork.
+    let albumArtworkSources = new Map();
+    let artworkUnavailable = false;
+
+    function resetArtworkState() {
+        albumArtworkSources = new Map();
+        artworkUnavailable = !settings?.get?.('importArtwork') || !isArtworkSupported?.();
+    }
+
+    function getAlbumArtworkKey(meta) {
+        const album = String(meta?.album || '').trim();
+        if (!album || album === 'Unknown Album') return null;
+        const artist = String(meta?.compilation ? 'Various Artists' : (meta?.albumArtist || meta?.artist || '')).trim();
+        return `${artist.toLowerCase()}\u0000${album.toLowerCase()}`;
+    }
+
+    /**
+     * Attach cover art to a freshly added track: embedded picture first, then the
+     * folder's cover.jpg / folder.jpg.  Tracks of an album already given artwork
+     * during this sync share that artwork instead of storing another copy.
+     */
+    async function attachArtwork(trackIndex, meta, { artworkFile, coverHandle } = {}) {
+        if (artworkUnavailable) return;
+
+        const albumKey = getAlbumArtworkKey(meta);
+        if (albumKey && albumArtworkSources.has(albumKey)) {
+            if (wasm.wasmCall('ipod_track_share_artwork', trackIndex, albumArtworkSources.get(albumKey)) === 0) return;
+        }
+
+        let image = artworkFile ? await readEmbeddedPicture?.(artworkFile) : null;
+        if (!image && coverHandle) {
+            try { image = await coverHandle.getFile(); } catch (_) { image = null; }
+        }
+        if (!image) return;
+
+        let decoded;
+        try {
+            decoded = await decodeAndResizeImage(image, getArtworkTarget(appState.artworkProfile));
+        } catch (e) {
+            log?.(`Could not read artwork for ${meta?.title || 'track'}: ${e?.message || e}`, 'warning');
+            return;
+        }
+
+        const result = wasm.wasmSetTrackArtworkRGBA(trackIndex, decoded.rgba, decoded.width, decoded.height);
+        if (result === -2) {
+            artworkUnavailable = true; // no GdkPixbuf in this build; don't retry for every track
+        } else if (result === 0 && albumKey) {
+            albumArtworkSources.set(albumKey, trackIndex);
+        }
+    }
+
+    // Set once a write fails because the iPod is full; see retryWithSpaceFallback().
+    let deviceFull = false;
+
+    // The sync in progress: aborted by "Cancel", which stops it between files.
+    let syncController = null;
+    // Queue item → its entry in the sync journal.
+    let journalIndices = new Map();
+    // Interrupted sync found on connect ({ key, record }), waiting for "Resume" or "Roll Back".
+    let pendingRecovery = null;
+    // Imported playlist name → positions (in its playlist file) of the entries already in it.
+    const importedPositions = new Map();
+
+    function warnBeforeUnload(e) {
+        e.preventDefault();
+        e.returnValue = '';
+    }
+
+    function cancelSync() {
+        if (!syncController || syncController.signal.aborted) return;
+        syncController.abort();
+        log?.('Cancelling sync after the current file...', 'warning');
+        setUploadModalState({ status: 'Cancelling after the current file...', showCancel: false });
+    }
+
+    /** Output profile for a queued item: its batch's choice, else the default for this iPod. */
+    function getItemProfile(item) {
+        return item?.profile || getDefaultTranscodeProfile?.() || 'alac';
+    }
+
+    /**
+     * With "analyzeLoudnessOnSync", measure files that carry no ReplayGain / R128 /
+     * iTunNORM tag so they still get a Sound Check value. Updates meta in place.
+     */
+    async function fillMissingSoundCheck(meta, file) {
+        if (meta.soundcheck > 0 || !settings?.get?.('analyzeLoudnessOnSync') || !measureLoudness) return;
+        try {
+            setUploadModalState({ status: 'Measuring loudness...', detail: file.name });
+            meta.soundcheck = soundCheckFromLoudness(await measureLoudness(file));
+        } catch (e) {
+            log?.(`Could not measure loudness of ${file.name}: ${e?.message || e}`, 'warning');
+        }
+    }
+
+    /** getTranscodeTarget options for a queued file's metadata. */
+    function getTargetOptions(meta, profile) {
+        return { profile, lossless: meta?.lossless, samplerate: meta?.samplerateHz, bitsPerSample: meta?.bitsPerSample };
+    }
+
+    /** Convert a queued file; tags come from the source, audio properties from the output. */
+    async function transcodeItem(item, file, profile, { signal } = {}) {
+        const meta = await getOrComputeQueuedMeta(item, file);
+        await fillMissingSoundCheck(meta, file);
+        const source = { samplerate: meta.samplerateHz, bitsPerSample: meta.bitsPerSample };
+        const outFile = await transcodeForIpod(file, { profile, source, signal });
+
+        const conversion = getIpodPcmConversion(source, profile);
+        if (conversion) {
+            addUploadNote(`${file.name}: ${conversion.description}`);
+            log?.(`Downsampled ${file.name} for iPod playback (${conversion.description})`, 'info');
+        }
+
+        const outMeta = await readAudioMetadata(outFile);
+        return {
+            outFile,
+            meta: {
+                ...meta,
+                title: meta.title || outMeta.tags.title,
+                artist: meta.artist || outMeta.tags.artist,
+                album: meta.album || outMeta.tags.album,
+                genre: meta.genre || outMeta.tags.genre,
+                trackNr: meta.trackNr || outMeta.tags.track || 0,
+                year: meta.year || outMeta.tags.year || 0,
+                durationMs: outMeta.props.duration,
+                bitrateKbps: outMeta.props.bitrate,
+                samplerateHz: outMeta.props.samplerate,
+                // Gapless info describes the encoded file, not the source.
+                lossless: outMeta.props.lossless,
+                sampleCount: outMeta.props.sampleCount,
+                iTunSmpb: outMeta.tags.iTunSmpb,
+            },
+        };
+    }
+
+    /**
+     * Once the iPod is full, retry a lossless upload converted with the
+     * "when the iPod is full" profile (if one is set). Returns true on success.
+     */
+    async function retryWithSpaceFallback(item, file) {
+        const fallback = settings?.get?.('transcodeProfileWhenFull');
+        if (!deviceFull || !TRANSCODE_PROFILES[fallback] || TRANSCODE_PROFILES[fallback].lossless) return false;
+        const target = getTranscodeTarget(file?.name, getTargetOptions(item.meta, fallback));
+        if (target !== fallback) return false; // already lossy; converting again wouldn't help
+
+        try {
+            log?.(`iPod is full; converting ${file.name} to ${TRANSCODE_PROFILES[fallback].label}`, 'warning');
+            const { outFile, meta } = await transcodeItem(item, file, fallback);
+            return await uploadSingleTrack(outFile, meta, {
+                destName: outFile.name,
+                artworkFile: file,
+                coverHandle: item.coverHandle,
+                playlistTargets: item.playlistTargets,
+                journalIndex: journalIndices.get(item),
+            });
+        } catch (e) {
+            log?.(`Convert failed for ${file.name}: ${e?.message || e}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Point the track just added (the database's last) at its copied file.
+     * Removes the track again if that fails.
+     */
+    function finalizeTrackPath(trackIndex, destPath, relFsPath, sizeBytes) {
+        // Finalize track metadata WITHOUT requiring the file to exist in MEMFS.
+        const finalizePathPtr = wasm.wasmAllocString(destPath);
+        const result = wasm.wasmCallWithError('ipod_finalize_last_track_no_stat', finalizePathPtr, sizeBytes);
+        wasm.wasmFreeString(finalizePathPtr);
+
+        if (result !== 0) {
+            const ipodPath = paths.toIpodDbPathFromRel(relFsPath) || '';
+            const setPathRes = wasm.wasmCallWithStrings('ipod_track_set_path', [ipodPath], [trackIndex]);
+            if (setPathRes !== 0) {
+                wasm.wasmCallWithError('ipod_remove_track', trackIndex);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Imported playlists: slot the track in where the playlist file listed it.
+     * Files finish out of order and some entries never arrive, so the entry goes
+     * after however many of the file's earlier entries are already in the playlist.
+     */
+    function addToPlaylistTargets(trackIndex, playlistTargets) {
+        for (const { name, position, placed = [] } of playlistTargets || []) {
+            const playlistIndex = (appState.playlists || []).findIndex((pl) => pl.name === name && !pl.is_smart);
+            if (playlistIndex < 0) continue;
+            if (wasm.wasmCall('ipod_playlist_add_track', playlistIndex, trackIndex) !== 0) continue;
+
+            if (!importedPositions.has(name)) importedPositions.set(name, new Set(placed));
+            const positions = importedPositions.get(name);
+            const insertAt = [...positions].filter((p) => p < position).length;
+            positions.add(position);
+
+            // The new entry is the playlist's last.
+            const last = (wasm.wasmGetJson('ipod_get_playlist_tracks_json', playlistIndex) || []).length - 1;
+            if (insertAt < last) wasm.wasmCall('ipod_playlist_move_entry', playlistIndex, last, insertAt);
+        }
+    }
+
+    async function uploadSingleTrack(file, precomputedMeta = null, { destName, artworkFile = file, coverHandle, playlistTargets = [], journalIndex } = {}) {
         if (!file) return false;
         const meta = precomputedMeta || (await getOrComputeQueuedMeta(null, file));
         const audioProps = {
@@ -66,27 +304,48 @@ export function createSyncPipeline({
 
         const effectiveName = String(destName || file.name || 'track');
         const filetype = getFiletypeFromName(effectiveName);
+        const gapless = await readGaplessInfo(file, meta);
 
-        const trackIndex = wasm.wasmAddTrack({
+        const track = {
             title: meta.title || file.name.replace(/\.[^/.]+$/, ''),
             artist: meta.artist,
             album: meta.album,
             genre: meta.genre,
             trackNr: meta.trackNr || 0,
-            cdNr: 0,
+            cdNr: meta.discNr || 0,
             year: meta.year || 0,
             durationMs: audioProps.duration,
             bitrateKbps: audioProps.bitrate,
             samplerateHz: audioProps.samplerate,
             sizeBytes: file.size,
             filetype,
-        });
+            albumArtist: meta.albumArtist,
+            composer: meta.composer,
+            comment: meta.comment,
+            trackTotal: meta.trackTotal || 0,
+            discTotal: meta.discTotal || 0,
+            bpm: meta.bpm || 0,
+            compilation: Boolean(meta.compilation),
+            soundcheck: meta.soundcheck || 0,
+            hasLyrics: Boolean(meta.hasLyrics),
+            gapless,
+            gaplessAlbum: Boolean(meta.gaplessAlbum),
+        };
+        const trackIndex = wasm.wasmAddTrack(track);
 
         if (trackIndex < 0) {
             logWasmError?.('Failed to add track');
             return false;
         }
 
+        const sortFields = buildSortFields(meta, {
+            mode: settings?.get?.('sortFieldsMode'),
+            articles: settings?.get?.('sortArticles'),
+        });
+        if (Object.values(sortFields).some(Boolean)) {
+            wasm.wasmUpdateTrackSortFields(trackIndex, sortFields);
+        }
+
         const destPathPtr = wasm.wasmCallWithStrings('ipod_get_track_dest_path', [effectiveName]);
         if (!destPathPtr) {
             log?.('Failed to get destination path', 'error');
@@ -105,34 +364,33 @@ export function createSyncPipeline({
         // Reserve this path in MEMFS to avoid collisions when generating multiple tracks.
         try { fsSync.reserveVirtualPath(destPath); } catch (_) {}
 
+        if (journalIndex != null) {
+            await journal?.markWriting(journalIndex, { destPath, relFsPath, sizeBytes: file.size, track, sortFields });
+        }
+
         // Upload audio directly to the real iPod filesystem (no MEMFS audio staging)
         try {
             await fsSync.writeFileToIpodRelativePath(appState.ipodHandle, relFsPath, file);
         } catch (e) {
+            if (isOutOfSpaceError(e)) deviceFull = true;
             log?.(`Failed to write file to iPod: ${e?.message || e}`, 'error');
             wasm.wasmCallWithError('ipod_remove_track', trackIndex);
+            if (journalIndex != null) await journal?.markFailed(journalIndex);
             return false;
         }
+        if (journalIndex != null) await journal?.markWritten(journalIndex);
 
-        // Finalize track metadata WITHOUT requiring the file to exist in MEMFS.
-        const finalizePathPtr = wasm.wasmAllocString(destPath);
-        const result = wasm.wasmCallWithError('ipod_finalize_last_track_no_stat', finalizePathPtr, file.size);
-        wasm.wasmFreeString(finalizePathPtr);
+        if (!finalizeTrackPath(trackIndex, destPath, relFsPath, file.size)) return false;
 
-        if (result !== 0) {
-            const ipodPath = paths.toIpodDbPathFromRel(relFsPath) || '';
-            const setPathRes = wasm.wasmCallWithStrings('ipod_track_set_path', [ipodPath], [trackIndex]);
-            if (setPathRes !== 0) {
-                wasm.wasmCallWithError('ipod_remove_track', trackIndex);
-                return false;
-            }
-        }
+        await attachArtwork(trackIndex, meta, { artworkFile, coverHandle });
 
         const idx = appState.currentPlaylistIndex;
         if (idx >= 0 && idx < appState.playlists.length) {
             wasm.wasmCall('ipod_playlist_add_track', idx, trackIndex);
         }
 
+        addToPlaylistTargets(trackIndex, playlistTargets);
+
         log?.(`Added: ${meta.title || file.name} (${formatDuration(audioProps.duration)})`, 'success');
         return true;
     }
@@ -142,8 +400,15 @@ export function createSyncPipeline({
             log?.('Please connect an iPod first', 'warning');
             return;
         }
+        if (pendingRecovery) {
+            // A new sync could reuse the names of the interrupted sync's files on the iPod.
+            log?.('Resume or roll back the interrupted sync before syncing again', 'warning');
+            document.getElementById('syncRecoveryModal')?.classList.add('show');
+            return;
+        }
 
         modals.showUpload();
+        clearUploadNotes();
         setUploadModalState({
             title: 'Uploading',
             status: 'Preparing...',
@@ -153,14 +418,32 @@ export function createSyncPipeline({
         });
 
         // 1) Process queued uploads
+        resetArtworkState();
+        deviceFull = false;
+        syncController = new AbortController();
+        const { signal } = syncController;
+        window.addEventListener('beforeunload', warnBeforeUnload);
+        try {
+            await runSync(signal);
+        } finally {
+            syncController = null;
+            window.removeEventListener('beforeunload', warnBeforeUnload);
+        }
+    }
+
+    async function runSync(signal) {
         const queue = appState.pendingUploads || [];
         const toStage = queue.filter((q) => q.status !== 'staged');
         if (toStage.length > 0) {
+            const offset = await journal?.begin(appState.ipodHandle, toStage) ?? 0;
+            journalIndices = new Map(toStage.map((item, i) => [item, offset + i]));
+            setUploadModalState({ showCancel: true });
+
             log?.(`Staging ${toStage.length} queued track(s)...`, 'info');
             setUploadModalState({ status: `Uploading... (${toStage.length} track${toStage.length !== 1 ? 's' : ''})` });
 
-            // Keep iPod writes sequential, but allow up to 2 FLAC transcodes to run concurrently
-            // in the background (via the transcode pool).
+            // Keep iPod writes sequential, but allow up to 2 transcodes (FLAC, Opus, ...) to run
+            // concurrently in the background (via the transcode pool).
             let completed = 0;
             const total = toStage.length;
 
@@ -171,82 +454,92 @@ export function createSyncPipeline({
                 return next;
             };
 
-            const flacTasks = [];
-
-            // Kick off FLAC transcodes early so they can overlap with MP3 uploads.
+            // Decide each file's output profile once, so both loops below agree.
+            const jobs = [];
             for (const item of toStage) {
+                if (signal.aborted) break;
                 const file = item.kind === 'handle' ? await item.handle.getFile() : item.file;
-                const lowerName = String(file?.name || '').toLowerCase();
-                if (!lowerName.endsWith('.flac')) continue;
+                const meta = await getOrComputeQueuedMeta(item, file);
+                const target = getTranscodeTarget(file?.name, getTargetOptions(meta, getItemProfile(item)));
+                jobs.push({ item, file, target });
+            }
+
+            const uploadJob = async ({ item, file }, uploadFile, meta) => {
+                if (signal.aborted) return; // cancelled: leave it queued
+                updateUploadProgress(completed + 1, total, uploadFile.name);
+                let ok = await uploadSingleTrack(uploadFile, meta, {
+                    destName: uploadFile.name,
+                    // A transcode drops the picture stream; read it from the source.
+                    artworkFile: file,
+                    coverHandle: item.coverHandle,
+                    playlistTargets: item.playlistTargets,
+                    journalIndex: journalIndices.get(item),
+                });
+                if (!ok) ok = await retryWithSpaceFallback(item, file);
+                if (ok) item.status = 'staged';
+                completed += 1;
+                updateUploadProgress(completed, total, uploadFile.name);
+            };
+
+            const transcodeTasks = [];
+
+            // Kick off transcodes early so they can overlap with uploads of iPod-native files.
+            for (const job of jobs) {
+                if (!job.target) continue;
+                const { item, file, target } = job;
 
                 const task = (async () => {
                     try {
                         setUploadModalState({
                             title: 'Uploading...',
-                            status: 'Converting FLACs (up to 2 at a time)...',
+                            status: 'Converting to iPod format (up to 2 at a time)...',
                             detail: file.name,
                             percent: Math.round((completed / total) * 100),
                             showOk: false,
                         });
 
-                        const meta = await getOrComputeQueuedMeta(item, file);
-                        const m4aFile = await transcodeFlacToAlacM4a(file);
-
-                        const outMeta = await readAudioMetadata(m4aFile);
-                        const combinedMeta = {
-                            title: meta.title || outMeta.tags.title,
-                            artist: meta.artist || outMeta.tags.artist,
-                            album: meta.album || outMeta.tags.album,
-                            genre: meta.genre || outMeta.tags.genre,
-                            trackNr: meta.trackNr || outMeta.tags.track || 0,
-                            year: meta.year || outMeta.tags.year || 0,
-                            durationMs: outMeta.props.duration,
-                            bitrateKbps: outMeta.props.bitrate,
-                            samplerateHz: outMeta.props.samplerate,
-                        };
-
-                        await enqueueUpload(async () => {
-                            updateUploadProgress(completed + 1, total, m4aFile.name);
-                            const ok = await uploadSingleTrack(m4aFile, combinedMeta, { destName: m4aFile.name });
-                            if (ok) item.status = 'staged';
-                            completed += 1;
-                            updateUploadProgress(completed, total, m4aFile.name);
-                        });
+                        const { outFile, meta } = await transcodeItem(item, file, target, { signal });
+                        await enqueueUpload(() => uploadJob(job, outFile, meta));
                     } catch (e) {
-                        log?.(`FLAC convert failed: ${e?.message || e}`, 'error');
+                        if (e?.name === 'AbortError') return;
+                        log?.(`Convert failed for ${file.name}: ${e?.message || e}`, 'error');
                     }
                 })();
 
-                flacTasks.push(task);
+                transcodeTasks.push(task);
             }
 
-            // Process non-FLAC uploads sequentially (while FLAC transcodes run in background).
-            for (const item of toStage) {
-                const file = item.kind === 'handle' ? await item.handle.getFile() : item.file;
-                const lowerName = String(file?.name || '').toLowerCase();
-                if (lowerName.endsWith('.flac')) continue; // handled by background tasks
+            // Process iPod-native uploads sequentially (while transcodes run in background).
+            for (const job of jobs) {
+                if (job.target) continue; // handled by background tasks
+                if (signal.aborted) break;
 
-                const meta = await getOrComputeQueuedMeta(item, file);
-                await enqueueUpload(async () => {
-                    updateUploadProgress(completed + 1, total, file?.name || item.name || 'Unknown');
-                    const ok = await uploadSingleTrack(file, meta);
-                    if (ok) item.status = 'staged';
-                    completed += 1;
-                    updateUploadProgress(completed, total, file?.name || item.name || 'Unknown');
-                });
+                const meta = await getOrComputeQueuedMeta(job.item, job.file);
+                await fillMissingSoundCheck(meta, job.file);
+                await enqueueUpload(() => uploadJob(job, job.file, meta));
             }
 
-            await Promise.allSettled(flacTasks);
+            await Promise.allSettled(transcodeTasks);
             await uploadChain;
 
-            appState.pendingUploads = [...queue];
+            // A cancelled sync still writes the database for the files already copied;
+            // the rest stay queued for the next sync.
+            appState.pendingUploads = signal.aborted ? queue.filter((q) => q.status !== 'staged') : [...queue];
             rerenderAllTracksIfVisible?.();
         }
+        setUploadModalState({ showCancel: false });
 
         // 2) Write iTunesDB
         log?.('Syncing iPod database...', 'info');
         setUploadModalState({ status: 'Preparing database...', detail: '' });
-        const result = wasm.wasmCallWithError('ipod_write_db');
+        let artworkReady = true;
+        try {
+            await fsSync.ensureArtworkLoaded();
+        } catch (e) {
+            log?.(`${e?.message || e}; the database was not written so existing artwork is kept`, 'error');
+            artworkReady = false;
+        }
+        const result = artworkReady ? wasm.wasmCallWithError('ipod_write_db') : -1;
         if (result !== 0) {
             setUploadModalState({
                 title: 'Upload failed',
@@ -271,8 +564,15 @@ export function createSyncPipeline({
             }
         }
 
-        // 3) Copy iTunesDB (+ optional iTunesSD) to iPod, then apply deletions
+        // 3) Back up the database on the iPod, copy iTunesDB (+ optional iTunesSD) to iPod, then apply deletions
         try {
+            setUploadModalState({ status: 'Backing up the iPod database...', detail: '', percent: 0 });
+            try {
+                await dbBackups?.snapshot();
+            } catch (e) {
+                log?.(`Could not back up the iPod database: ${e?.message || e}`, 'warning');
+            }
+
             setUploadModalState({ status: 'Uploading to iPod...', detail: '', percent: 0 });
             const res = await fsSync.syncDbToIpod(appState.ipodHandle, {
                 onProgress: ({ percent, detail }) => {
@@ -287,10 +587,11 @@ export function createSyncPipeline({
             });
 
             if (!res?.ok) {
+                // The journal stays, so the copied files can be recovered on the next connect.
                 setUploadModalState({
                     title: 'Upload finished with errors',
-                    status: 'Some files could not be uploaded.',
-                    detail: 'Please check the console log for details.',
+                    status: res?.outOfSpace ? 'The iPod is too full to write the database.' : 'Some files could not be uploaded.',
+                    detail: res?.outOfSpace ? `${res.error}.` : 'Please check the console log for details.',
                     percent: 100,
                     showOk: true,
                     okLabel: 'OK',
@@ -298,6 +599,9 @@ export function createSyncPipeline({
                 return;
             }
 
+            // The database on the iPod now lists every copied file.
+            await journal?.finish();
+
             const pendingDeletes = appState.pendingFileDeletes || [];
             if (pendingDeletes.length > 0) {
                 for (const relFsPath of pendingDeletes) {
@@ -321,10 +625,26 @@ export function createSyncPipeline({
             return;
         }
 
-        appState.pendingUploads = [];
+        const remaining = signal.aborted ? appState.pendingUploads || [] : [];
+        appState.pendingUploads = remaining;
         appState.pendingFileDeletes = [];
 
         await refreshCurrentView();
+        dbBackups?.rememberTrackCount(appState.tracks.length);
+
+        if (signal.aborted) {
+            log?.(`Sync cancelled; ${remaining.length} track(s) are still queued`, 'warning');
+            setUploadModalState({
+                title: 'Sync cancelled',
+                status: 'Files copied so far were saved to the iPod. Safe to disconnect.',
+                detail: `${remaining.length} track(s) are still queued for the next sync.`,
+                percent: 100,
+                showOk: true,
+                okLabel: 'OK',
+            });
+            return;
+        }
+
         log?.('Sync complete', 'success');
 
         setUploadModalState({
@@ -337,8 +657,169 @@ export function createSyncPipeline({
         });
     }
 
+    // ── interrupted sync recovery ───────────────────────────────────────────
+
+    /** Journal entries whose file is on the iPod but not in the loaded database. */
+    function getOrphanedEntries(record) {
+        const inDatabase = new Set((appState.tracks || []).map((t) => t.ipod_path).filter(Boolean));
+        return record.entries.filter((e) => e.relFsPath && e.state !== 'pending'
+            && !inDatabase.has(paths.toIpodDbPathFromRel(e.relFsPath)));
+    }
+
+    async function hasReadPermission(handle) {
+        try {
+            if ((await handle.queryPermission?.({ mode: 'read' })) === 'granted') return true;
+            return (await handle.requestPermission?.({ mode: 'read' })) === 'granted';
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * After connecting: if a sync on this iPod was interrupted, offer to resume or roll it back
+     * (the oldest first, when there are several).  Journals of other iPods are kept for when
+     * those are connected.
+     */
+    async function checkInterruptedSync() {
+        pendingRecovery = null;
+        if (!journal || !appState.ipodHandle) return;
+        let found = null;
+        for (const { key, record } of await journal.loadAll()) {
+            let sameIpod = false;
+            try { sameIpod = await record?.ipodHandle?.isSameEntry?.(appState.ipodHandle); } catch (_) {}
+            if (!sameIpod) continue;
+            if (getOrphanedEntries(record).length === 0) {
+                await journal.clear(key); // the database was written after all
+                continue;
+            }
+            found = { key, record };
+            break;
+        }
+        if (!found) return;
+
+        pendingRecovery = found;
+        const { record } = found;
+        const orphaned = getOrphanedEntries(record);
+        const replaced = orphaned.filter((e) => e.replacement).length;
+        const copied = orphaned.filter((e) => e.state === 'written' && !e.replacement).length;
+        const partial = orphaned.length - copied - replaced;
+        const notCopied = record.entries.filter((e) => e.state === 'pending').length;
+        const started = new Date(record.startedAt).toLocaleString();
+        const lines = [`A sync started ${started} did not finish.`];
+        if (copied) lines.push(`${copied} file(s) were copied to the iPod but are not in its database yet.`);
+        if (partial) lines.push(`${partial} file(s) were only partly copied.`);
+        if (replaced) lines.push(`${replaced} file(s) from "Replace File" were never saved to the database and will be deleted.`);
+        if (notCopied) lines.push(`${notCopied} file(s) were not copied.`);
+        const message = document.getElementById('syncRecoveryMessage');
+        if (message) message.textContent = lines.join(' ');
+        document.getElementById('syncRecoveryModal')?.classList.add('show');
+    }
+
+    function hideRecoveryModal() {
+        document.getElementById('syncRecoveryModal')?.classList.remove('show');
+    }
+
+    async function deleteJournalFiles(entries) {
+        let deleted = 0;
+        for (const entry of entries) {
+            try {
+                await fsSync.deleteFileFromIpodRelativePath(appState.ipodHandle, entry.relFsPath);
+                deleted++;
+            } catch (_) {
+                // already gone
+            }
+        }
+        return deleted;
+    }
+
+    /** Add a file the interrupted sync copied to the database, as uploadSingleTrack would have. */
+    async function registerCopiedFile(entry) {
+        const trackIndex = wasm.wasmAddTrack(entry.track);
+        if (trackIndex < 0) return false;
+        if (entry.sortFields && Object.values(entry.sortFields).some(Boolean)) {
+            wasm.wasmUpdateTrackSortFields(trackIndex, entry.sortFields);
+        }
+        try { fsSync.reserveVirtualPath(entry.destPath); } catch (_) {}
+        if (!finalizeTrackPath(trackIndex, entry.destPath, entry.relFsPath, entry.sizeBytes)) return false;
+
+        let artworkFile = null;
+        if (entry.handle && await hasReadPermission(entry.handle)) {
+            try { artworkFile = await entry.handle.getFile(); } catch (_) {}
+        }
+        await attachArtwork(trackIndex, entry.track, { artworkFile, coverHandle: entry.coverHandle });
+        addToPlaylistTargets(trackIndex, entry.playlistTargets);
+        return true;
+    }
+
+    /**
+     * Resume: register the copied files, delete partial ones, queue everything not
+     * yet copied again (files picked by handle only), then run the sync.
+     */
+    async function resumeInterruptedSync() {
+        if (!pendingRecovery) return;
+        const { key, record } = pendingRecovery;
+        pendingRecovery = null;
+        hideRecoveryModal();
+
+        resetArtworkState();
+        const orphaned = new Set(getOrphanedEntries(record));
+        const registered = [];
+        const toDelete = [];
+        const toRequeue = [];
+        for (const entry of record.entries) {
+            if (entry.state === 'pending') {
+                toRequeue.push(entry);
+            } else if (!orphaned.has(entry)) {
+                continue; // already in the database
+            } else if (entry.state === 'written' && entry.track && await registerCopiedFile(entry)) {
+                registered.push(entry);
+            } else {
+                toDelete.push(entry);
+                // A replacement's track edit was never saved, so it can't be redone from here.
+                if (entry.state !== 'failed' && !entry.replacement) toRequeue.push(entry);
+            }
+        }
+        await deleteJournalFiles(toDelete);
+
+        const restorable = [];
+        let lost = 0;
+        for (const entry of toRequeue) {
+            if (entry.handle && await hasReadPermission(entry.handle)) restorable.push(entry);
+            else lost++;
+        }
+        restoreQueuedUploads?.(restorable);
+
+        await journal.adopt(key, record, registered);
+        log?.(`Recovered ${registered.length} copied file(s) from the interrupted sync`, 'success');
+        if (lost > 0) {
+            log?.(`${lost} file(s) from the interrupted sync can't be reopened (added by drag and drop or Upload Folder); add them again`, 'warning');
+        }
+
+        await refreshCurrentView?.();
+        await saveDatabase();
+        await checkInterruptedSync();
+    }
+
+    /** Roll back: delete every file the interrupted sync copied and forget the job. */
+    async function rollBackInterruptedSync() {
+        if (!pendingRecovery) return;
+        const { key, record } = pendingRecovery;
+        pendingRecovery = null;
+        hideRecoveryModal();
+
+        const deleted = await deleteJournalFiles(getOrphanedEntries(record));
+        await journal.clear(key);
+        log?.(`Rolled back the interrupted sync: deleted ${deleted} file(s) from the iPod`, 'success');
+        await checkInterruptedSync();
+    }
+
     return {
         saveDatabase,
+        cancelSync,
+        checkInterruptedSync,
+        resumeInterruptedSync,
+        rollBackInterruptedSync,
+        hideSyncRecoveryModal: hideRecoveryModal,
         dismissUploadModal,
         setUploadModalState,
     };
@@ -0,0 +1,45 @@
+/**
+ * Fuzzy text matching shared by the features that pair files or images with
+ * tracks (artwork matching, playlist import, duplicates, Replace File).
+ */
+
+/** Lowercase, strip accents/punctuation and a leading "the" so "The Beatles" ≈ "beatles". */
+export function normalizeForMatch(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .replace(/^the /, '');
+}
+
+function bigrams(str) {
+    const s = str.replace(/ /g, '');
+    const grams = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+        const g = s.slice(i, i + 2);
+        grams.set(g, (grams.get(g) || 0) + 1);
+    }
+    return grams;
+}
+
+/** Dice coefficient over character bigrams of the normalized strings (0..1). */
+export function similarity(a, b) {
+    const na = normalizeForMatch(a);
+    const nb = normalizeForMatch(b);
+    if (!na || !nb) return 0;
+    if (na === nb) return 1;
+
+    const ga = bigrams(na);
+    const gb = bigrams(nb);
+    let overlap = 0;
+    let total = 0;
+    for (const count of ga.values()) total += count;
+    for (const [g, count] of gb) {
+        total += count;
+        overlap += Math.min(count, ga.get(g) || 0);
+    }
+    return total > 0 ? (2 * overlap) / total : 0;
+}
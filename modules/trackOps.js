@@ -150,13 +150,72 @@ export function createTrackOps({
         log?.(`Removed ${okCount}/${ids.length} track(s) from playlist: ${playlist.name}`, okCount === ids.length ? 'success' : 'warning');
     }
 
+    /**
+     * Move tracks within the selected playlist so they sit together, in playlist
+     * order, just before the entry at beforePosition (or at the bottom when it is null).
+     * Every entry of a selected track moves, so a track listed twice stays listed twice.
+     */
+    async function moveTracksInPlaylist(trackIds, beforePosition = null) {
+        const idx = appState.currentPlaylistIndex;
+        const playlist = appState.playlists[idx];
+        if (!playlist) {
+            log?.('No playlist selected', 'warning');
+            return;
+        }
+        if (playlist.is_master || playlist.is_smart) {
+            log?.(`Tracks in "${playlist.name}" can't be reordered`, 'warning');
+            return;
+        }
+
+        // Entries are identified by their position before the move.
+        const entries = (wasm.wasmGetJson('ipod_get_playlist_tracks_json', idx) || []).map((t, position) => ({ id: Number(t.id), position }));
+        const moving = new Set((trackIds || []).map(Number));
+        const block = entries.filter((e) => moving.has(e.id));
+        if (block.length === 0) return;
+
+        const rest = entries.filter((e) => !moving.has(e.id));
+        const beforeIndex = beforePosition == null ? -1 : rest.findIndex((e) => e.position === Number(beforePosition));
+        const insertAt = beforeIndex < 0 ? rest.length : beforeIndex;
+        const target = [...rest.slice(0, insertAt), ...block, ...rest.slice(insertAt)];
+
+        // Walk the target order, moving only entries that aren't already in place.
+        const current = entries.map((e) => e.position);
+        for (let pos = 0; pos < target.length; pos++) {
+            if (current[pos] === target[pos].position) continue;
+            const from = current.indexOf(target[pos].position);
+            const result = wasm.wasmCall('ipod_playlist_move_entry', idx, from, pos);
+            if (result !== 0) {
+                logWasmError?.('Failed to reorder playlist');
+                break;
+            }
+            current.splice(from, 1);
+            current.splice(pos, 0, target[pos].position);
+        }
+
+        await refreshCurrentView();
+    }
+
+    async function moveTracksToTop(trackIds) {
+        const order = wasm.wasmGetJson('ipod_get_playlist_tracks_json', appState.currentPlaylistIndex) || [];
+        const moving = new Set((trackIds || []).map(Number));
+        const first = order.findIndex((t) => !moving.has(Number(t.id)));
+        await moveTracksInPlaylist(trackIds, first < 0 ? null : first);
+    }
+
+    async function moveTracksToBottom(trackIds) {
+        await moveTracksInPlaylist(trackIds, null);
+    }
+
     return {
         deleteTrack,
         deleteTracks,
         addTrackToPlaylist,
         addTracksToPlaylist,
         removeTrackFromPlaylist,
-        removeTracksFromPlaylist
+        removeTracksFromPlaylist,
+        moveTracksInPlaylist,
+        moveTracksToTop,
+        moveTracksToBottom,
     };
 }
 
@@ -0,0 +1,191 @@
+/**
+ * "Replace File…": swap the audio file behind existing tracks (e.g. after a
+ * better-quality re-rip) without deleting them, so play counts, ratings,
+ * artwork and playlist membership survive.
+ *
+ * The new file is written to the iPod right away under a fresh name and
+ * recorded in the sync journal; the track is pointed at it, and the old file
+ * is deleted on the next "Sync iPod" together with the database write.  If the
+ * database is never written, the journal lets the next connect remove the new file.
+ */
+
+import { similarity } from './textMatch.js';
+import { AUDIO_FILE_EXTENSIONS, readGaplessInfo } from './audio.js';
+import { getTranscodeTarget } from './transcode.js';
+
+const MATCH_THRESHOLD = 0.6;
+
+export function createTrackReplace({
+    appState,
+    wasm,
+    fsSync,
+    paths,
+    log,
+    readAudioMetadata,
+    getFiletypeFromName,
+    transcodeForIpod,
+    getDefaultTranscodeProfile,
+    refreshCurrentView,
+    journal,
+} = {}) {
+    /**
+     * Pair picked files with tracks by title (and track/disc number), best pairs first.
+     * @returns {{ pairs: { track, file, meta }[], unmatchedFiles: File[] }}
+     */
+    function pairFilesWithTracks(tracks, candidates) {
+        const scored = [];
+        for (const track of tracks) {
+            for (const candidate of candidates) {
+                const { tags } = candidate.meta;
+                let score = similarity(tags.title || candidate.file.name.replace(/\.[^/.]+$/, ''), track.title);
+                if (tags.track > 0 && tags.track === track.track_nr && (!tags.disc || !track.cd_nr || tags.disc === track.cd_nr)) {
+                    score = Math.min(1, score + 0.2);
+                }
+                if (score >= MATCH_THRESHOLD) scored.push({ track, candidate, score });
+            }
+        }
+        scored.sort((a, b) => b.score - a.score);
+
+        const usedTracks = new Set();
+        const usedFiles = new Set();
+        const pairs = [];
+        for (const { track, candidate } of scored) {
+            if (usedTracks.has(track) || usedFiles.has(candidate)) continue;
+            usedTracks.add(track);
+            usedFiles.add(candidate);
+            pairs.push({ track, file: candidate.file, meta: candidate.meta });
+        }
+        return { pairs, unmatchedFiles: candidates.filter((c) => !usedFiles.has(c)).map((c) => c.file) };
+    }
+
+    /** Write one replacement file and repoint the track at it. */
+    async function replaceOne(track, file, meta) {
+        let uploadFile = file;
+        let uploadMeta = meta;
+        const { lossless, samplerate, bitsPerSample } = meta.props;
+        const target = getTranscodeTarget(file.name, { profile: getDefaultTranscodeProfile?.(), lossless, samplerate, bitsPerSample });
+        if (target) {
+            uploadFile = await transcodeForIpod(file, { profile: target, source: { samplerate, bitsPerSample } });
+            uploadMeta = await readAudioMetadata(uploadFile);
+        }
+        const { props, tags } = uploadMeta;
+
+        const oldRelFsPath = track.ipod_path ? paths.toRelFsPathFromIpodDbPath(track.ipod_path) : '';
+
+        const destPathPtr = wasm.wasmCallWithStrings('ipod_get_track_dest_path', [uploadFile.name]);
+        const destPath = destPathPtr ? wasm.wasmGetString(destPathPtr) : null;
+        if (destPathPtr) wasm.wasmCall('ipod_free_string', destPathPtr);
+        if (!destPath) throw new Error('Failed to get destination path');
+
+        const relFsPath = paths.toRelFsPathFromVfs(destPath);
+        const journalIndex = await journal?.recordFile(appState.ipodHandle, {
+            name: uploadFile.name, destPath, relFsPath, sizeBytes: uploadFile.size,
+        });
+        const discardCopy = async () => {
+            try { await fsSync.deleteFileFromIpodRelativePath(appState.ipodHandle, relFsPath); } catch (_) {}
+            await journal?.markFailed(journalIndex);
+        };
+
+        try { fsSync.reserveVirtualPath(destPath); } catch (_) {}
+        try {
+            await fsSync.writeFileToIpodRelativePath(appState.ipodHandle, relFsPath, uploadFile);
+        } catch (e) {
+            await discardCopy();
+            throw e;
+        }
+        await journal?.markWritten(journalIndex);
+
+        const result = wasm.wasmReplaceTrackFile(Number(track.id), {
+            destPath,
+            sizeBytes: uploadFile.size,
+            durationMs: props.duration,
+            bitrateKbps: props.bitrate,
+            samplerateHz: props.samplerate,
+            filetype: getFiletypeFromName(uploadFile.name),
+        });
+        if (result !== 0) {
+            // The track still points at its old file.
+            await discardCopy();
+            throw new Error('Failed to update the track');
+        }
+        wasm.wasmSetTrackGapless(Number(track.id), await readGaplessInfo(uploadFile, {
+            iTunSmpb: tags.iTunSmpb,
+            sampleCount: props.sampleCount,
+            lossless: props.lossless,
+            durationMs: props.duration,
+            samplerateHz: props.samplerate,
+        }));
+
+        if (oldRelFsPath) {
+            appState.pendingFileDeletes = [...(appState.pendingFileDeletes || []), oldRelFsPath];
+        }
+    }
+
+    async function replaceFiles(trackIds) {
+        if (!appState.isConnected) {
+            log?.('Please connect an iPod first', 'warning');
+            return;
+        }
+        const ids = Array.from(new Set((trackIds || []).map(Number))).filter(Number.isFinite);
+        const tracks = ids.map((id) => appState.tracks?.[id]).filter(Boolean);
+        if (tracks.length === 0) return;
+
+        let files;
+        try {
+            const handles = await window.showOpenFilePicker({
+                multiple: tracks.length > 1,
+                types: [{
+                    description: 'Audio Files',
+                    accept: { 'audio/*': AUDIO_FILE_EXTENSIONS.map((ext) => `.${ext}`) },
+                }],
+            });
+            files = await Promise.all(handles.map((h) => h.getFile()));
+        } catch (e) {
+            if (e.name !== 'AbortError') log?.(`File selection failed: ${e.message}`, 'error');
+            return;
+        }
+
+        const candidates = [];
+        for (const file of files) {
+            try {
+                candidates.push({ file, meta: await readAudioMetadata(file) });
+            } catch (e) {
+                log?.(`Could not read ${file.name}: ${e?.message || e}`, 'warning');
+            }
+        }
+
+        // A single track takes the picked file as-is; several are paired up by title.
+        const { pairs, unmatchedFiles } = tracks.length === 1 && candidates.length === 1
+            ? { pairs: [{ track: tracks[0], ...candidates[0] }], unmatchedFiles: [] }
+            : pairFilesWithTracks(tracks, candidates);
+        if (pairs.length === 0) {
+            log?.('None of the chosen files match the selected tracks', 'warning');
+            return;
+        }
+
+        const summary = pairs.map(({ track, file }) => `${track.title || 'Untitled'} ← ${file.name}`).join('\n');
+        const skipped = tracks.length - pairs.length;
+        if (!confirm(`Replace the audio file of ${pairs.length} track(s)?\n\n${summary}${skipped ? `\n\n${skipped} selected track(s) had no matching file and stay unchanged.` : ''}`)) {
+            return;
+        }
+
+        let replaced = 0;
+        for (const { track, file, meta } of pairs) {
+            try {
+                log?.(`Replacing file for "${track.title}" with ${file.name}...`, 'info');
+                await replaceOne(track, file, meta);
+                replaced++;
+            } catch (e) {
+                log?.(`Could not replace file for "${track.title}": ${e?.message || e}`, 'error');
+            }
+        }
+        for (const file of unmatchedFiles) log?.(`No selected track matches ${file.name}`, 'warning');
+
+        await refreshCurrentView?.();
+        if (replaced > 0) {
+            log?.(`Replaced ${replaced} file(s). Click "Sync iPod" to save the database and remove the old files.`, replaced === pairs.length ? 'success' : 'warning');
+        }
+    }
+
+    return { replaceFiles };
+}
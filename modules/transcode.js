@@ -1,4 +1,13 @@
-// FLAC -> ALAC (M4A) transcoding via ffmpeg.wasm (Vite + npm).
+// Transcoding for the iPod via ffmpeg.wasm (Vite + npm).
+//
+// Output is chosen by profile (see TRANSCODE_PROFILES): lossless sources
+// (FLAC, APE, WavPack, CAF) are encoded with the profile, ALAC by default.
+// Lossy sources the iPod can't play (Vorbis, Opus, WMA) become AAC 256 unless
+// a lossy profile is chosen. With a lossy profile, iPod-native lossless files
+// (WAV, AIFF, ALAC) are converted too; MP3 and AAC are always uploaded as-is.
+// Hi-res sources are brought down to a rate and bit depth the iPod can decode
+// (see getIpodPcmConversion); hi-res WAV/AIFF/ALAC is converted for that alone.
+// The same ffmpeg instances measure loudness for Sound Check (measureLoudness).
 //
 // Notes:
 // - This is CPU + memory heavy; run only during Sync.
@@ -29,20 +38,127 @@ function computeThreadsPerJob(concurrency) {
     return Math.max(1, Math.floor(usable / Math.max(1, concurrency)));
 }
 
+// Output profiles, from "keep lossless" down to small lossy files for small iPods.
+export const TRANSCODE_PROFILES = {
+    alac: { label: 'Lossless (ALAC)', args: ['-c:a', 'alac'], extension: '.m4a', type: 'audio/mp4', lossless: true },
+    aac256: { label: 'AAC 256 kbps', args: ['-c:a', 'aac', '-b:a', '256k'], extension: '.m4a', type: 'audio/mp4' },
+    aac192: { label: 'AAC 192 kbps', args: ['-c:a', 'aac', '-b:a', '192k'], extension: '.m4a', type: 'audio/mp4' },
+    aac128: { label: 'AAC 128 kbps', args: ['-c:a', 'aac', '-b:a', '128k'], extension: '.m4a', type: 'audio/mp4' },
+    mp3v0: { label: 'MP3 V0', args: ['-c:a', 'libmp3lame', '-q:a', '0'], extension: '.mp3', type: 'audio/mpeg' },
+    mp3v2: { label: 'MP3 V2', args: ['-c:a', 'libmp3lame', '-q:a', '2'], extension: '.mp3', type: 'audio/mpeg' },
+};
+
+export const DEFAULT_TRANSCODE_PROFILE = 'alac';
+
+// Lossy sources aren't made lossless; with the ALAC profile they use this instead.
+// A high bitrate keeps the generation loss inaudible.
+const LOSSY_SOURCE_PROFILE = 'aac256';
+
+const LOSSLESS_SOURCE_EXTENSIONS = new Set(['flac', 'ape', 'wv', 'caf']);
+const LOSSY_SOURCE_EXTENSIONS = new Set(['ogg', 'oga', 'opus', 'wma']);
+const NATIVE_LOSSLESS_EXTENSIONS = new Set(['wav', 'aiff', 'aif']);
+
+// Ogg containers keep Vorbis comments on the audio stream rather than the file.
+const STREAM_TAG_EXTENSIONS = new Set(['ogg', 'oga', 'opus']);
+
+// iPod firmware decodes up to 48 kHz / 16-bit; hi-res files upload but play silent or skip.
+const IPOD_MAX_SAMPLE_RATE = 48000;
+const IPOD_MAX_BITS_PER_SAMPLE = 16;
+
+function formatPcm(sampleRate, bitsPerSample) {
+    const rate = `${Math.round(sampleRate / 100) / 10} kHz`;
+    return bitsPerSample ? `${bitsPerSample}-bit/${rate}` : rate;
+}
+
+/**
+ * How a source's sample rate / bit depth must change for the iPod to play it, or null if it fits.
+ * Multiples of 48 kHz go down to 48 kHz, everything else (88.2, 176.4 kHz) to 44.1 kHz.
+ * Bit depth only matters for lossless output; lossy encoders choose their own sample format.
+ * @param {{ samplerate?: number, bitsPerSample?: number }} source
+ * @param {string} [profile]  Profile key the file is encoded with.
+ * @returns {{ sampleRate: number|null, bitsPerSample: number|null, description: string } | null}
+ *   sampleRate / bitsPerSample: the new value, or null to keep the source's.
+ */
+export function getIpodPcmConversion({ samplerate, bitsPerSample } = {}, profile = DEFAULT_TRANSCODE_PROFILE) {
+    const lossless = Boolean(TRANSCODE_PROFILES[profile]?.lossless);
+    const rate = Number(samplerate) || 0;
+    const bits = lossless ? Number(bitsPerSample) || 0 : 0;
+
+    const newRate = rate > IPOD_MAX_SAMPLE_RATE ? (rate % 48000 === 0 ? 48000 : 44100) : null;
+    const newBits = bits > IPOD_MAX_BITS_PER_SAMPLE ? IPOD_MAX_BITS_PER_SAMPLE : null;
+    if (!newRate && !newBits) return null;
+
+    return {
+        sampleRate: newRate,
+        bitsPerSample: newBits,
+        description: `${formatPcm(rate, bits)} → ${formatPcm(newRate || rate, bits ? newBits || bits : 0)}`,
+    };
+}
+
+/** ffmpeg arguments for a conversion; bit depth is reduced with triangular dither. */
+function pcmConversionArgs(conversion) {
+    if (!conversion) return [];
+    const options = [];
+    if (conversion.sampleRate) options.push(`osr=${conversion.sampleRate}`);
+    if (conversion.bitsPerSample) options.push('osf=s16p', 'dither_method=triangular');
+    return [
+        '-af', `aresample=${options.join(':')}`,
+        ...(conversion.bitsPerSample ? ['-sample_fmt', 's16p'] : []),
+    ];
+}
+
+function getExtension(name) {
+    const match = /\.([^/.]+)$/.exec(String(name || ''));
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Profile key a file must be converted with before upload, or null to upload it as-is.
+ * @param {string} filename
+ * @param {{ profile?: string, lossless?: boolean, samplerate?: number, bitsPerSample?: number }} [options]
+ *   lossless: the source is lossless (needed for .m4a, which may hold ALAC or AAC);
+ *   samplerate / bitsPerSample: the source's format, so hi-res lossless files get converted
+ */
+export function getTranscodeTarget(filename, { profile = DEFAULT_TRANSCODE_PROFILE, lossless = false, samplerate, bitsPerSample } = {}) {
+    const key = TRANSCODE_PROFILES[profile] ? profile : DEFAULT_TRANSCODE_PROFILE;
+    const keepsLossless = TRANSCODE_PROFILES[key].lossless;
+    const ext = getExtension(filename);
+
+    if (LOSSY_SOURCE_EXTENSIONS.has(ext)) return keepsLossless ? LOSSY_SOURCE_PROFILE : key;
+    if (LOSSLESS_SOURCE_EXTENSIONS.has(ext)) return key;
+    // The iPod plays these already; only convert them to save space or when they're hi-res.
+    if (NATIVE_LOSSLESS_EXTENSIONS.has(ext) || (ext === 'm4a' && lossless)) {
+        if (!keepsLossless) return key;
+        return getIpodPcmConversion({ samplerate, bitsPerSample }, key) ? key : null;
+    }
+    return null;
+}
+
 function replaceExtension(name, newExtWithDot) {
     const base = String(name || 'track').replace(/\.[^/.]+$/, '');
     return `${base}${newExtWithDot}`;
 }
 
-export async function transcodeFlacToAlacM4a(file, { onProgress, onLog } = {}) {
+/**
+ * @param {File} file
+ * @param {{ profile?: string, source?: { samplerate?: number, bitsPerSample?: number }, signal?: AbortSignal, onProgress?, onLog? }} [options]
+ *   source: the file's format from readAudioMetadata, used to downsample hi-res audio
+ *   signal: a cancelled sync; checked before the transcode starts (a running one finishes)
+ */
+export async function transcodeForIpod(file, { profile, source, signal, onProgress, onLog } = {}) {
+    throwIfAborted(signal);
     // Back-compat single-instance behavior:
     // Create an isolated instance each call (safe but slower). Most callers should
     // instead use createTranscodePool({ concurrency: 2 }).
     const ffmpeg = await loadFfmpegInstance(new FFmpeg());
-    return await transcodeWithInstance(ffmpeg, file, { onProgress, onLog, threads: 0 });
+    return await transcodeWithInstance(ffmpeg, file, { profile, source, onProgress, onLog, threads: 0 });
 }
 
-async function transcodeWithInstance(ffmpeg, file, { onProgress, onLog, threads = 0 } = {}) {
+function throwIfAborted(signal) {
+    if (signal?.aborted) throw new DOMException('Sync cancelled', 'AbortError');
+}
+
+async function transcodeWithInstance(ffmpeg, file, { profile, source, onProgress, onLog, threads = 0 } = {}) {
     // Capture logs so failures are debuggable (rc=1 is otherwise opaque).
     const logLines = [];
 
@@ -64,31 +180,38 @@ async function transcodeWithInstance(ffmpeg, file, { onProgress, onLog, threads
     ffmpeg.on('log', logHandler);
     ffmpeg.on('progress', progressHandler);
 
+    const sourceExt = getExtension(file?.name) || 'flac';
+    const profileKey = TRANSCODE_PROFILES[profile] ? profile : getTranscodeTarget(file?.name) || DEFAULT_TRANSCODE_PROFILE;
+    const output = TRANSCODE_PROFILES[profileKey];
+    const pcmConversion = getIpodPcmConversion(source, profileKey);
     const jobId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
-    const inputName = `input-${jobId}.flac`;
-    const outputName = `output-${jobId}.m4a`;
+    const inputName = `input-${jobId}.${sourceExt}`;
+    const outputName = `output-${jobId}${output.extension}`;
 
     try {
         await ffmpeg.writeFile(inputName, await fetchFile(file));
 
         // Equivalent to: ffmpeg -i track.flac -acodec alac track.m4a
         //
-        // IMPORTANT: Many FLACs contain embedded cover art as an "attached picture" stream.
+        // IMPORTANT: Many FLACs (and other tagged sources) contain embedded cover art as an "attached picture" stream.
         // If we don't constrain stream mapping, ffmpeg may try to encode that picture as video
         // (e.g. h264) into the output container, which fails for iPod/MP4 audio-only output.
         //
         // Force audio-only output:
         // -map 0:a:0 : pick first audio stream only
         // -vn/-sn/-dn: disable video/subtitle/data
-        // -c:a alac   : encode ALAC
+        // -af aresample=osr=48000:osf=s16p:dither_method=triangular -sample_fmt s16p
+        //             : only for hi-res sources; downsample / dither to what the iPod decodes
+        // -c:a alac   : encode with the profile's codec (ALAC, AAC or MP3)
         // -threads N  : cap per-job threads (avoid oversubscription when running 2 jobs)
-        // -map_metadata 0 : preserve tags where possible
+        // -map_metadata 0 : preserve tags where possible (0:s:a:0 for Ogg stream tags)
         const rc = await ffmpeg.exec([
             '-i', inputName,
             '-map', '0:a:0',
             '-vn', '-sn', '-dn',
-            '-map_metadata', '0',
-            '-c:a', 'alac',
+            '-map_metadata', STREAM_TAG_EXTENSIONS.has(sourceExt) ? '0:s:a:0' : '0',
+            ...pcmConversionArgs(pcmConversion),
+            ...output.args,
             '-threads', String(threads || 0),
             outputName
         ]);
@@ -98,7 +221,7 @@ async function transcodeWithInstance(ffmpeg, file, { onProgress, onLog, threads
         }
 
         const data = await ffmpeg.readFile(outputName); // Uint8Array
-        const outFile = new File([data], replaceExtension(file?.name || 'track.flac', '.m4a'), { type: 'audio/mp4' });
+        const outFile = new File([data], replaceExtension(file?.name || 'track.flac', output.extension), { type: output.type });
         return outFile;
     } finally {
         // Best-effort cleanup to reduce memory in the ffmpeg FS.
@@ -109,6 +232,58 @@ async function transcodeWithInstance(ffmpeg, file, { onProgress, onLog, threads
     }
 }
 
+/**
+ * Integrated loudness (EBU R128, LUFS) of a file's first audio stream, via ffmpeg's
+ * ebur128 filter. Decodes the whole file, so it costs about as much as a transcode.
+ * @returns {Promise<number>}
+ */
+export async function measureLoudness(file) {
+    const ffmpeg = await loadFfmpegInstance(new FFmpeg());
+    return await measureLoudnessWithInstance(ffmpeg, file, { threads: 0 });
+}
+
+async function measureLoudnessWithInstance(ffmpeg, file, { threads = 0 } = {}) {
+    const logLines = [];
+    const logHandler = ({ type, message }) => {
+        if (typeof message === 'string' && message) {
+            logLines.push(`[${type}] ${message}`);
+            if (logLines.length > 200) logLines.shift();
+        }
+    };
+    ffmpeg.on('log', logHandler);
+
+    const jobId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    const inputName = `loudness-${jobId}.${getExtension(file?.name) || 'bin'}`;
+
+    try {
+        await ffmpeg.writeFile(inputName, await fetchFile(file));
+
+        // framelog=verbose keeps the per-frame readings out of the log; the summary
+        // ("Integrated loudness: I: -14.2 LUFS") is still printed at info level.
+        const rc = await ffmpeg.exec([
+            '-i', inputName,
+            '-map', '0:a:0',
+            '-af', 'ebur128=framelog=verbose',
+            '-threads', String(threads || 0),
+            '-f', 'null', '-',
+        ]);
+        const tail = logLines.slice(-40).join('\n');
+        if (rc !== 0) throw new Error(`ffmpeg exited with code ${rc}\n\nffmpeg log tail:\n${tail}`);
+
+        // The summary block follows the last "I:" reading.
+        let lufs = null;
+        for (const line of logLines) {
+            const match = /\bI:\s*(-?[\d.]+)\s*LUFS/.exec(line);
+            if (match) lufs = Number(match[1]);
+        }
+        if (!Number.isFinite(lufs)) throw new Error(`No loudness reading in ffmpeg output\n\nffmpeg log tail:\n${tail}`);
+        return lufs;
+    } finally {
+        try { await ffmpeg.deleteFile(inputName); } catch (_) {}
+        try { ffmpeg.off('log', logHandler); } catch (_) {}
+    }
+}
+
 export function createTranscodePool({ concurrency = 2 } = {}) {
     const size = Math.max(1, Math.floor(concurrency));
     const slots = Array.from({ length: size }, () => ({
@@ -148,18 +323,31 @@ export function createTranscodePool({ concurrency = 2 } = {}) {
         }
     }
 
-    async function transcodeFlacToAlacM4aPooled(file, { onProgress, onLog } = {}) {
+    async function transcodeForIpodPooled(file, { profile, source, signal, onProgress, onLog } = {}) {
+        throwIfAborted(signal);
         const { slot, release } = await acquire();
         const threads = computeThreadsPerJob(size);
         try {
-            return await transcodeWithInstance(slot.ffmpeg, file, { onProgress, onLog, threads });
+            // Jobs still waiting for a slot when the sync is cancelled don't start.
+            throwIfAborted(signal);
+            return await transcodeWithInstance(slot.ffmpeg, file, { profile, source, onProgress, onLog, threads });
+        } finally {
+            release();
+        }
+    }
+
+    async function measureLoudnessPooled(file) {
+        const { slot, release } = await acquire();
+        try {
+            return await measureLoudnessWithInstance(slot.ffmpeg, file, { threads: computeThreadsPerJob(size) });
         } finally {
             release();
         }
     }
 
     return {
-        transcodeFlacToAlacM4a: transcodeFlacToAlacM4aPooled,
+        transcodeForIpod: transcodeForIpodPooled,
+        measureLoudness: measureLoudnessPooled,
         concurrency: size,
     };
 }
@@ -24,21 +24,30 @@ export function updateConnectionStatus(connected) {
     }
 }
 
-export function enableUIIfReady({ wasmReady, isConnected }) {
+export function enableUIIfReady({ wasmReady, isConnected, artworkSupported = true }) {
     const ready = Boolean(wasmReady && isConnected);
-    ['uploadBtn', 'uploadFolderBtn', 'saveBtn', 'refreshBtn', 'newPlaylistBtn'].forEach(id => {
+    ['uploadBtn', 'uploadFolderBtn', 'saveBtn', 'refreshBtn', 'newPlaylistBtn', 'newSmartPlaylistBtn', 'newFolderBtn', 'importPlaylistBtn', 'exportPlaylistsBtn', 'findDuplicatesBtn', 'analyzeLoudnessBtn', 'restoreDbBtn'].forEach(id => {
         const el = document.getElementById(id);
         if (el) el.disabled = !ready;
     });
+
+    const matchArtworkBtn = document.getElementById('matchArtworkBtn');
+    if (matchArtworkBtn) {
+        matchArtworkBtn.disabled = !ready || !artworkSupported;
+        matchArtworkBtn.title = ready && !artworkSupported ? "This iPod model doesn't display album artwork" : '';
+    }
 }
 
-export function renderTracks({ tracks, escapeHtml, selectedTrackIds } = {}) {
+export function renderTracks({ tracks, escapeHtml, selectedTrackIds, artwork, reorderable = false } = {}) {
     const tbody = document.getElementById('trackTableBody');
     const table = document.getElementById('trackTable');
     const emptyState = document.getElementById('emptyState');
     if (!tbody || !table || !emptyState) return;
 
     const selectedSet = new Set(Array.isArray(selectedTrackIds) ? selectedTrackIds : []);
+    const showArtwork = Boolean(artwork?.isEnabled?.());
+    const artworkHeader = document.getElementById('trackArtworkHeader');
+    if (artworkHeader) artworkHeader.style.display = showArtwork ? '' : 'none';
 
     if (!tracks || tracks.length === 0) {
         table.style.display = 'none';
@@ -58,7 +67,8 @@ export function renderTracks({ tracks, escapeHtml, selectedTrackIds } = {}) {
         const numericId = Number(track.id);
         const isSelectable = !isQueued && Number.isFinite(numericId) && numericId >= 0;
         const isSelected = isSelectable && selectedSet.has(numericId);
-        const title = escapeHtml(track.title || 'Unknown') + (isQueued ? ' *' : '');
+        const title = escapeHtml(track.title || 'Unknown') + (isQueued ? ' *' : '')
+            + (isQueued && track.queueProfile ? ` <span class="queue-profile">${escapeHtml(track.queueProfile)}</span>` : '');
         const artist = escapeHtml(track.artist || (isQueued ? 'Queued' : 'Unknown'));
         const album = escapeHtml(track.album || 'Unknown');
         const genre = escapeHtml(track.genre || '');
@@ -72,13 +82,19 @@ export function renderTracks({ tracks, escapeHtml, selectedTrackIds } = {}) {
                     Delete
                </button>`;
 
+        // Thumbnails are filled in lazily by artwork.observe() below.
+        const artworkHtml = showArtwork
+            ? `<td class="artwork-cell"${isSelectable && track.has_artwork ? ` data-artwork-track-id="${numericId}"` : ''}></td>`
+            : '';
+
         const attrs = isSelectable
-            ? `data-track-id="${escapeHtml(String(numericId))}"`
+            ? `data-track-id="${escapeHtml(String(numericId))}"${reorderable ? ' draggable="true"' : ''}`
             : `data-queued="true"`;
 
         return `
             <tr class="${isSelected ? 'selected' : ''}" data-id="${escapeHtml(String(track.id))}" ${attrs}>
                 <td>${index + 1}</td>
+                ${artworkHtml}
                 <td class="title">${title}</td>
                 <td>${artist}</td>
                 <td>${album}</td>
@@ -88,9 +104,11 @@ export function renderTracks({ tracks, escapeHtml, selectedTrackIds } = {}) {
             </tr>
         `;
     }).join('');
+
+    if (showArtwork) artwork.observe(tbody);
 }
 
-export function renderPlaylists({ playlists, currentPlaylistIndex, allTracksCount, escapeHtml }) {
+export function renderPlaylists({ playlists, currentPlaylistIndex, allTracksCount, escapeHtml, tree = null }) {
     const list = document.getElementById('playlistList');
     if (!list) return;
 
@@ -102,19 +120,43 @@ export function renderPlaylists({ playlists, currentPlaylistIndex, allTracksCoun
         </li>
     `;
 
-    html += (playlists || [])
-        .map((pl, idx) => {
-            if (pl.is_master) return '';
-            return `
-                <li class="playlist-item ${currentPlaylistIndex === idx ? 'active' : ''}"
-                    data-playlist-index="${idx}"
-                    onclick="selectPlaylist(${idx})">
-                    <span>${escapeHtml(pl.name)}</span>
-                    <span class="track-count">${pl.track_count}</span>
-                </li>
-            `;
-        })
-        .join('');
+    const indent = (depth) => (depth > 0 ? `style="padding-left: ${12 + depth * 16}px"` : '');
+
+    const renderPlaylist = (pl, idx, depth) => `
+        <li class="playlist-item ${currentPlaylistIndex === idx ? 'active' : ''} ${pl.is_smart ? 'smart' : ''}"
+            data-playlist-index="${idx}"
+            onclick="selectPlaylist(${idx})"
+            ondblclick="startPlaylistRename(${idx})"
+            ${indent(depth)}
+            ${pl.is_smart ? 'title="Smart playlist"' : ''}>
+            <span>${escapeHtml(pl.name)}</span>
+            <span class="track-count">${pl.track_count}</span>
+        </li>
+    `;
+
+    // Folders are flat <li>s indented by depth, so existing .playlist-item styles and handlers apply.
+    const renderNodes = (nodes, depth) => nodes.map((node) => {
+        if (node.type === 'playlist') return renderPlaylist(node.playlist, node.index, depth);
+        return `
+            <li class="playlist-item playlist-folder ${node.collapsed ? '' : 'expanded'}"
+                data-folder-id="${escapeHtml(node.id)}"
+                onclick="togglePlaylistFolder('${escapeHtml(node.id)}')"
+                ondblclick="startFolderRename('${escapeHtml(node.id)}')"
+                title="Folders are only shown in TunesReloaded; on the iPod and in iTunes their playlists appear unfiled"
+                ${indent(depth)}>
+                <span>${escapeHtml(node.name)}</span>
+            </li>
+            ${node.collapsed ? '' : renderNodes(node.children, depth + 1)}
+        `;
+    }).join('');
+
+    if (tree) {
+        html += renderNodes(tree, 0);
+    } else {
+        html += (playlists || [])
+            .map((pl, idx) => (pl.is_master ? '' : renderPlaylist(pl, idx, 0)))
+            .join('');
+    }
 
     list.innerHTML = html;
 }
@@ -1,8 +1,12 @@
+import { computeSoundCheck } from './audio.js';
+
 export function createUploadQueue({
     appState,
     log,
     readAudioMetadata,
     rerenderAllTracksIfVisible,
+    checkDuplicates,
+    getBatchProfile,
 } = {}) {
     function appendPendingUploads(queued) {
         appState.pendingUploads = [...(appState.pendingUploads || []), ...queued];
@@ -10,23 +14,46 @@ export function createUploadQueue({
         rerenderAllTracksIfVisible?.();
     }
 
+    function buildQueuedMeta({ tags, props }) {
+        return {
+            title: tags.title,
+            artist: tags.artist,
+            album: tags.album,
+            genre: tags.genre,
+            durationMs: props.duration,
+            bitrateKbps: props.bitrate,
+            samplerateHz: props.samplerate,
+            bitsPerSample: props.bitsPerSample || 0,
+            sampleCount: props.sampleCount || 0,
+            lossless: Boolean(props.lossless),
+            trackNr: tags.track || 0,
+            year: tags.year || 0,
+            sortTitle: tags.sortTitle || '',
+            sortArtist: tags.sortArtist || '',
+            sortAlbum: tags.sortAlbum || '',
+            sortAlbumArtist: tags.sortAlbumArtist || '',
+            sortComposer: tags.sortComposer || '',
+            albumArtist: tags.albumArtist || '',
+            composer: tags.composer || '',
+            comment: tags.comment || '',
+            trackTotal: tags.trackTotal || 0,
+            discNr: tags.disc || 0,
+            discTotal: tags.discTotal || 0,
+            bpm: tags.bpm || 0,
+            compilation: Boolean(tags.compilation),
+            hasLyrics: Boolean(tags.hasLyrics),
+            soundcheck: computeSoundCheck(tags),
+            iTunSmpb: tags.iTunSmpb || '',
+            gaplessAlbum: Boolean(tags.gaplessAlbum),
+        };
+    }
+
     async function enrichQueuedUploadsWithTags(queued, getFile) {
         // Best-effort metadata read (fast; does not stage audio into WASM FS)
         for (const item of queued) {
             try {
                 const file = await getFile(item);
-                const { tags, props } = await readAudioMetadata(file);
-                item.meta = {
-                    title: tags.title,
-                    artist: tags.artist,
-                    album: tags.album,
-                    genre: tags.genre,
-                    durationMs: props.duration,
-                    bitrateKbps: props.bitrate,
-                    samplerateHz: props.samplerate,
-                    trackNr: tags.track || 0,
-                    year: tags.year || 0,
-                };
+                item.meta = buildQueuedMeta(await readAudioMetadata(file));
             } catch (_) {
                 // ignore
             }
@@ -50,28 +77,24 @@ export function createUploadQueue({
 
         if (hasCoreFields) return existing;
 
-        const { tags, props } = await readAudioMetadata(file);
-        const computed = {
-            title: tags.title,
-            artist: tags.artist,
-            album: tags.album,
-            genre: tags.genre,
-            durationMs: props.duration,
-            bitrateKbps: props.bitrate,
-            samplerateHz: props.samplerate,
-            trackNr: tags.track || 0,
-            year: tags.year || 0,
-        };
+        const computed = buildQueuedMeta(await readAudioMetadata(file));
 
         if (item) item.meta = computed;
         return computed;
     }
 
-    function queueUploads({ kind, items, getFileForTags }) {
+    function queueUploads({ kind, items, getFileForTags, folderCovers, playlistTargets }) {
+        // Transcode profile chosen for this batch; null follows the device / global default at sync time.
+        const profile = getBatchProfile?.() || null;
         const queued = (items || []).map((value) => ({
             kind,
             handle: kind === 'handle' ? value : undefined,
             file: kind === 'file' ? value : undefined,
+            // FileSystemFileHandle of a cover.jpg / folder.jpg next to the file, if any.
+            coverHandle: folderCovers?.get(value) || null,
+            // Playlists ({ name, position }) to add the track to once it's on the iPod.
+            playlistTargets: playlistTargets?.get(value) || [],
+            profile,
             name: value?.name || 'Unknown',
             status: 'queued',
             meta: null,
@@ -80,7 +103,8 @@ export function createUploadQueue({
         appendPendingUploads(queued);
 
         if (getFileForTags) {
-            void enrichQueuedUploadsWithTags(queued, getFileForTags);
+            // Duplicates are matched on tags, so check once they've been read.
+            void enrichQueuedUploadsWithTags(queued, getFileForTags).then(() => checkDuplicates?.(queued));
         }
     }
 
@@ -92,14 +116,34 @@ export function createUploadQueue({
         });
     }
 
-    function queueFilesForSync(files) {
+    function queueFilesForSync(files, { folderCovers, playlistTargets } = {}) {
         queueUploads({
             kind: 'file',
             items: files,
             getFileForTags: (item) => item.file,
+            folderCovers,
+            playlistTargets,
         });
     }
 
+    /** Queue again the files of an interrupted sync (journal entries with a file handle). */
+    function restoreQueuedUploads(entries) {
+        if (!entries?.length) return;
+        const queued = entries.map((entry) => ({
+            kind: 'handle',
+            handle: entry.handle,
+            file: undefined,
+            coverHandle: entry.coverHandle || null,
+            playlistTargets: entry.playlistTargets || [],
+            profile: entry.profile || null,
+            name: entry.name || entry.handle?.name || 'Unknown',
+            status: 'queued',
+            meta: null,
+        }));
+        appendPendingUploads(queued);
+        void enrichQueuedUploadsWithTags(queued, (item) => item.handle.getFile());
+    }
+
     function removeQueuedTrack(queueIndex) {
         const q = [...(appState.pendingUploads || [])];
         if (queueIndex < 0 || queueIndex >= q.length) return;
@@ -113,6 +157,7 @@ export function createUploadQueue({
         queueFileHandlesForSync,
         queueFilesForSync,
         removeQueuedTrack,
+        restoreQueuedUploads,
         getOrComputeQueuedMeta,
     };
 }
@@ -114,6 +114,17 @@ export function createWasmApi({ log, createModule = globalThis.createIPodModule
         samplerateHz,
         sizeBytes,
         filetype,
+        albumArtist,
+        composer,
+        comment,
+        trackTotal = 0,
+        discTotal = 0,
+        bpm = 0,
+        compilation = false,
+        soundcheck = 0,
+        hasLyrics = false,
+        gapless = null,
+        gaplessAlbum = false,
     }) {
         if (!wasmReady || !Module?.ccall) return -1;
 
@@ -131,12 +142,63 @@ export function createWasmApi({ log, createModule = globalThis.createIPodModule
         const safeSamplerate = Number.isFinite(samplerateHz) && samplerateHz > 0 ? samplerateHz : 44100;
         const safeSize = Number.isFinite(sizeBytes) && sizeBytes > 0 ? sizeBytes : 0;
 
-        return Module.ccall(
+        const trackIndex = Module.ccall(
             'ipod_add_track',
             'number',
             ['string','string','string','string','number','number','number','number','number','number','number','string'],
             [safeTitle, safeArtist, safeAlbum, safeGenre, safeTrackNr, safeCdNr, safeYear, safeDurationMs, safeBitrate, safeSamplerate, safeSize, safeFiletype]
         );
+        if (!Number.isFinite(trackIndex) || trackIndex < 0) return trackIndex;
+
+        // Tags beyond the core set are applied to the new track in a second pass.
+        // Zero/empty values are skipped so libgpod's defaults stay in place.
+        const extended = {
+            albumArtist,
+            composer,
+            comment,
+            trackTotal: trackTotal > 0 ? trackTotal : -1,
+            discTotal: discTotal > 0 ? discTotal : -1,
+            bpm: bpm > 0 ? bpm : -1,
+            compilation: compilation ? 1 : -1,
+        };
+        const hasExtended = albumArtist || composer || comment ||
+            extended.trackTotal > 0 || extended.discTotal > 0 || extended.bpm > 0 || extended.compilation === 1;
+        if (hasExtended) wasmUpdateTrack(trackIndex, extended);
+
+        const safeSoundcheck = Number.isFinite(soundcheck) && soundcheck > 0 ? Math.floor(soundcheck) : 0;
+        if (safeSoundcheck > 0) wasmCall('ipod_track_set_soundcheck', trackIndex, safeSoundcheck);
+        if (hasLyrics) wasmCall('ipod_track_set_lyrics_flag', trackIndex, 1);
+        if (gapless) wasmSetTrackGapless(trackIndex, gapless);
+        if (gaplessAlbum) wasmCall('ipod_track_set_gapless_album', trackIndex, 1);
+
+        return trackIndex;
+    }
+
+    /**
+     * Set (or, with null, clear) a track's gapless playback info.
+     * @param {{ pregap, postgap, sampleCount, gaplessData }|null} gapless  as returned by readGaplessInfo
+     */
+    function wasmSetTrackGapless(trackIndex, gapless) {
+        const num = (v) => (Number.isFinite(v) && v > 0 ? Math.round(v) : 0);
+        return wasmCall('ipod_track_set_gapless', trackIndex,
+            num(gapless?.pregap), num(gapless?.postgap), num(gapless?.sampleCount), num(gapless?.gaplessData));
+    }
+
+    /** Point an existing track at a replacement file copied to destPath (a MEMFS-style path). */
+    function wasmReplaceTrackFile(trackIndex, { destPath, sizeBytes, durationMs, bitrateKbps, samplerateHz, filetype }) {
+        if (!wasmReady || !Module?.ccall) return -1;
+        const num = (v) => (Number.isFinite(v) && v > 0 ? Math.round(v) : 0);
+        const result = Module.ccall(
+            'ipod_track_replace_file',
+            'number',
+            ['number', 'string', 'number', 'number', 'number', 'number', 'string'],
+            [trackIndex, destPath, num(sizeBytes), num(durationMs), num(bitrateKbps), num(samplerateHz), filetype || '']
+        );
+        if (result !== 0) {
+            const errorPtr = wasmCall('ipod_get_last_error');
+            log?.(`WASM error (ipod_track_replace_file): ${wasmGetString(errorPtr) || 'Unknown error'}`, 'error');
+        }
+        return result;
     }
 
     function wasmSetTrackArtwork(trackIndex, imageBytes) {
@@ -217,26 +279,96 @@ export function createWasmApi({ log, createModule = globalThis.createIPodModule
         }
     }
 
-    function wasmUpdateTrack(trackIndex, { title, artist, album, genre, trackNr = -1, year = -1, rating = -1 } = {}) {
+    /**
+     * Cover art formats of the connected iPod.
+     * @returns {{ supported: boolean, formats: { id, width, height, crop, padding, back_color }[] } | null}
+     */
+    function wasmGetArtworkFormats() {
+        const info = wasmGetJson('ipod_get_artwork_formats_json');
+        if (!info) return null;
+        return {
+            supported: Boolean(info.supports_artwork),
+            formats: Array.isArray(info.formats) ? info.formats : [],
+        };
+    }
+
+    /**
+     * Read a track's current artwork (from the device's ArtworkDB or pending edits).
+     * @param {number} size  Fit into size×size; 0 for the largest stored thumbnail.
+     * @returns {{ rgba: Uint8ClampedArray, width: number, height: number } | null}
+     *          null if the track has no artwork (or the build lacks GdkPixbuf).
+     */
+    function wasmGetTrackArtworkRGBA(trackIndex, size = 0) {
+        if (!wasmReady || !Module?.HEAPU8) return null;
+        const ptr = wasmCall('ipod_track_get_artwork_rgba', trackIndex, size);
+        if (!ptr) return null;
+        try {
+            const view = new DataView(Module.HEAPU8.buffer, ptr, 8);
+            const width = view.getUint32(0, true);
+            const height = view.getUint32(4, true);
+            if (!width || !height) return null;
+            const rgba = new Uint8ClampedArray(Module.HEAPU8.slice(ptr + 8, ptr + 8 + width * height * 4));
+            return { rgba, width, height };
+        } finally {
+            wasmCall('ipod_free_string', ptr);
+        }
+    }
+
+    function wasmUpdateTrack(trackIndex, {
+        title,
+        artist,
+        album,
+        genre,
+        albumArtist,
+        composer,
+        comment,
+        trackNr = -1,
+        trackTotal = -1,
+        discNr = -1,
+        discTotal = -1,
+        year = -1,
+        bpm = -1,
+        compilation = -1,
+        rating = -1,
+    } = {}) {
         if (!wasmReady || !Module?.ccall) return -1;
 
         // Pass null to skip a string field (C checks `if (title)` before updating).
         // Pass '' or a string to update. Never coerce empty → '' since that would clear the field.
-        const safeTitle  = (title  != null && title  !== '') ? String(title)  : null;
-        const safeArtist = (artist != null && artist !== '') ? String(artist) : null;
-        const safeAlbum  = (album  != null && album  !== '') ? String(album)  : null;
-        const safeGenre  = (genre  != null && genre  !== '') ? String(genre)  : null;
+        const toStringArg = (v) => (v != null && v !== '') ? String(v) : null;
+        const safeTitle       = toStringArg(title);
+        const safeArtist      = toStringArg(artist);
+        const safeAlbum       = toStringArg(album);
+        const safeGenre       = toStringArg(genre);
+        const safeAlbumArtist = toStringArg(albumArtist);
+        const safeComposer    = toStringArg(composer);
+        const safeComment     = toStringArg(comment);
 
         // Pass -1 to skip an int field (C checks `if (field >= 0)` before updating).
-        const safeTrackNr = Number.isFinite(trackNr) && trackNr >= 0 ? Math.floor(trackNr) : -1;
-        const safeYear    = Number.isFinite(year)    && year    >  0 ? Math.floor(year)    : -1;
-        const safeRating  = Number.isFinite(rating)  && rating  >= 0 ? Math.floor(rating)  : -1;
+        const toIntArg = (v) => Number.isFinite(v) && v >= 0 ? Math.floor(v) : -1;
+        const safeTrackNr    = toIntArg(trackNr);
+        const safeTrackTotal = toIntArg(trackTotal);
+        const safeDiscNr     = toIntArg(discNr);
+        const safeDiscTotal  = toIntArg(discTotal);
+        const safeYear       = Number.isFinite(year) && year > 0 ? Math.floor(year) : -1;
+        const safeBpm        = toIntArg(bpm);
+        const safeRating     = toIntArg(rating);
+        // compilation: true/1 → 1, false/0 → 0, anything else → skip
+        const safeCompilation = (compilation === true || compilation === 1) ? 1
+            : (compilation === false || compilation === 0) ? 0
+            : -1;
 
         const result = Module.ccall(
             'ipod_update_track',
             'number',
-            ['number', 'string', 'string', 'string', 'string', 'number', 'number', 'number'],
-            [trackIndex, safeTitle, safeArtist, safeAlbum, safeGenre, safeTrackNr, safeYear, safeRating]
+            [
+                'number', 'string', 'string', 'string', 'string', 'number', 'number', 'number',
+                'string', 'string', 'string', 'number', 'number', 'number', 'number', 'number',
+            ],
+            [
+                trackIndex, safeTitle, safeArtist, safeAlbum, safeGenre, safeTrackNr, safeYear, safeRating,
+                safeAlbumArtist, safeComposer, safeComment, safeTrackTotal, safeDiscNr, safeDiscTotal, safeBpm, safeCompilation,
+            ]
         );
         if (result !== 0) {
             const errorPtr = wasmCall('ipod_get_last_error');
@@ -245,6 +377,88 @@ export function createWasmApi({ log, createModule = globalThis.createIPodModule
         return result;
     }
 
+    function wasmUpdateTrackSortFields(trackIndex, {
+        sortTitle,
+        sortArtist,
+        sortAlbum,
+        sortAlbumArtist,
+        sortComposer,
+    } = {}) {
+        if (!wasmReady || !Module?.ccall) return -1;
+
+        // Same convention as wasmUpdateTrack: null skips the field.
+        const toStringArg = (v) => (v != null && v !== '') ? String(v) : null;
+
+        const result = Module.ccall(
+            'ipod_update_track_sort_fields',
+            'number',
+            ['number', 'string', 'string', 'string', 'string', 'string'],
+            [
+                trackIndex,
+                toStringArg(sortTitle),
+                toStringArg(sortArtist),
+                toStringArg(sortAlbum),
+                toStringArg(sortAlbumArtist),
+                toStringArg(sortComposer),
+            ]
+        );
+        if (result !== 0) {
+            const errorPtr = wasmCall('ipod_get_last_error');
+            log?.(`WASM error (ipod_update_track_sort_fields): ${wasmGetString(errorPtr) || 'Unknown error'}`, 'error');
+        }
+        return result;
+    }
+
+    function wasmRenamePlaylist(playlistIndex, name) {
+        if (!wasmReady || !Module?.ccall) return -1;
+
+        const result = Module.ccall('ipod_rename_playlist', 'number', ['number', 'string'], [playlistIndex, name]);
+        if (result !== 0) {
+            const errorPtr = wasmCall('ipod_get_last_error');
+            log?.(`WASM error (ipod_rename_playlist): ${wasmGetString(errorPtr) || 'Unknown error'}`, 'error');
+        }
+        return result;
+    }
+
+    /**
+     * Rules and preferences of a smart playlist.
+     * @returns {{ match_any, live_update, checked_only, limit: { enabled, type, value, sort },
+     *            rules: { field, action, string, from_value, to_value, in_last: { count, units } | null }[] } | null}
+     */
+    function wasmGetSmartPlaylistRules(playlistIndex) {
+        const spl = wasmGetJson('ipod_get_playlist_rules_json', playlistIndex);
+        if (!spl) return null;
+        return { ...spl, rules: Array.isArray(spl.rules) ? spl.rules : [] };
+    }
+
+    /**
+     * Append a rule to a smart playlist (SPL field / action codes from libgpod).
+     * Date rules use fromValue = N and inLastUnits = seconds per unit for "in the last N units",
+     * or Unix times in fromValue / toValue for "is after", "is before" and ranges.
+     */
+    function wasmAddSmartPlaylistRule(playlistIndex, {
+        field,
+        action,
+        string = null,
+        fromValue = 0,
+        toValue = 0,
+        inLastUnits = 0,
+    } = {}) {
+        if (!wasmReady || !Module?.ccall) return -1;
+
+        const result = Module.ccall(
+            'ipod_spl_add_rule',
+            'number',
+            ['number', 'number', 'number', 'string', 'number', 'number', 'number'],
+            [playlistIndex, field, action, string, fromValue, toValue, inLastUnits]
+        );
+        if (result !== 0) {
+            const errorPtr = wasmCall('ipod_get_last_error');
+            log?.(`WASM error (ipod_spl_add_rule): ${wasmGetString(errorPtr) || 'Unknown error'}`, 'error');
+        }
+        return result;
+    }
+
     return {
         initWasm,
         isReady,
@@ -258,8 +472,16 @@ export function createWasmApi({ log, createModule = globalThis.createIPodModule
         wasmCallWithError,
         wasmAddTrack,
         wasmUpdateTrack,
+        wasmUpdateTrackSortFields,
+        wasmReplaceTrackFile,
+        wasmSetTrackGapless,
         wasmSetTrackArtwork,
         wasmSetTrackArtworkRGBA,
+        wasmGetTrackArtworkRGBA,
+        wasmGetArtworkFormats,
+        wasmRenamePlaylist,
+        wasmGetSmartPlaylistRules,
+        wasmAddSmartPlaylistRule,
     };
 }
 